@@ -2,16 +2,58 @@
 
 /**
  * Cache cleanup script
- * Usage: node scripts/cache-cleanup.js [pattern]
+ * Usage: node scripts/cache-cleanup.js [pattern] [--city=X] [--state=X] [--country=X] [--dry-run] [--limit=N] [--cursor=C]
  */
 
 require('dotenv').config();
 const redisService = require('../src/config/redis');
-const { logger } = require('../src/utils/logger');
+const cacheManager = require('../src/utils/cacheManager');
+
+function parseArgs(args) {
+  const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  return {
+    pattern: args.find(arg => !arg.startsWith('--')),
+    city: option('city'),
+    state: option('state'),
+    country: option('country'),
+    dryRun: args.includes('--dry-run'),
+    limit: parseInt(option('limit')) || undefined,
+    cursor: option('cursor') || '0'
+  };
+}
+
+function showUsage() {
+  console.log(`
+ℹ️  Cache cleanup options:
+
+1. Clear a specific key:
+   npm run cache-cleanup "reverse-geocode:067fba21bab2f4ae3e4dfd2a7a238962"
+
+2. Clear every key matching a pattern:
+   npm run cache-cleanup "geocode:user:*"
+
+3. Clear every entry located in a city (optionally with --state and --country):
+   npm run cache-cleanup -- --city="São Paulo" --country=BR
+
+4. Preview without deleting, or cap the number of deletions (default 1000):
+   npm run cache-cleanup -- --city="São Paulo" --dry-run
+   npm run cache-cleanup -- "reverse-geocode:*" --limit=5000
+
+5. Test a specific key:
+   npm run cache-diagnostic "reverse-geocode:067fba21bab2f4ae3e4dfd2a7a238962"
+
+Keys are found with SCAN, so patterns work on Upstash and local Redis alike.
+When the limit is reached, the script prints a --cursor to continue from.
+`);
+}
 
 async function main() {
   console.log('🧹 Starting cache cleanup...\n');
 
+  // The file backend loads its data asynchronously
+  await redisService.ensureInitialized();
+
   if (!redisService.isAvailable()) {
     console.log('❌ Redis is not available. Check your environment configuration.');
     process.exit(1);
@@ -26,66 +68,45 @@ async function main() {
 
   console.log('✅ Connected to Redis successfully');
 
-  const pattern = process.argv[2];
-  
-  if (pattern) {
-    console.log(`\n🎯 Clearing cache entries matching pattern: ${pattern}`);
-    
-    // Since Upstash doesn't support KEYS command, we can only clear specific keys
-    // For now, let's just attempt to clear the specific key
-    const deleted = await redisService.del(pattern);
-    
-    if (deleted) {
-      console.log(`✅ Cleared cache key: ${pattern}`);
-    } else {
-      console.log(`ℹ️  Key not found or already deleted: ${pattern}`);
-    }
-  } else {
-    console.log(`
-ℹ️  Cache cleanup options:
+  const { pattern, ...options } = parseArgs(process.argv.slice(2));
 
-1. Clear specific key:
-   npm run cache-cleanup "reverse-geocode:067fba21bab2f4ae3e4dfd2a7a238962"
+  if (!pattern && !options.city && !options.state && !options.country) {
+    showUsage();
+    return;
+  }
 
-2. Test a specific key:
-   npm run cache-diagnostic "reverse-geocode:067fba21bab2f4ae3e4dfd2a7a238962"
+  const filters = ['city', 'state', 'country']
+    .filter(name => options[name])
+    .map(name => `${name}=${options[name]}`);
+  console.log(`\n🎯 ${options.dryRun ? 'Finding' : 'Clearing'} cache entries matching ${pattern || 'every geocoding key'}${filters.length ? ` (${filters.join(', ')})` : ''}`);
 
-Note: Upstash Redis doesn't support pattern-based deletion.
-You'll need to specify exact keys to clear.
-`);
+  const results = await cacheManager.clearByPattern(pattern, options);
+
+  if (!results.success) {
+    console.log(`❌ ${results.message}${results.error ? `: ${results.error}` : ''}`);
+    process.exit(1);
   }
 
-  console.log('\n✨ Cache cleanup completed!');
-}
+  results.keys.forEach(key => console.log(`  • ${key}`));
+  if (results.matched > results.keys.length) {
+    console.log(`  … and ${results.matched - results.keys.length} more`);
+  }
 
-// Handle the specific problematic key mentioned in the error
-async function clearProblematicKey() {
-  const problematicKey = 'reverse-geocode:067fba21bab2f4ae3e4dfd2a7a238962';
-  console.log(`\n🔧 Attempting to clear the problematic key: ${problematicKey}`);
-  
-  try {
-    const deleted = await redisService.del(problematicKey);
-    if (deleted) {
-      console.log('✅ Problematic key cleared successfully');
-    } else {
-      console.log('ℹ️  Key was not found (may have been already cleared or expired)');
-    }
-  } catch (error) {
-    console.log(`❌ Error clearing problematic key: ${error.message}`);
+  console.log(`\nScanned: ${results.scanned}`);
+  console.log(`Matched: ${results.matched}`);
+  console.log(options.dryRun ? 'Dry run: nothing was deleted' : `✅ Deleted: ${results.deleted}`);
+
+  if (!results.complete) {
+    console.log(`\n⏸️  Limit reached. Continue with --cursor=${results.cursor}`);
   }
-}
 
-// If no arguments provided, clear the specific problematic key from the error
-if (process.argv.length === 2) {
-  clearProblematicKey().then(() => {
-    main().catch(error => {
-      console.error('💥 Cleanup script failed:', error.message);
-      process.exit(1);
-    });
-  });
-} else {
-  main().catch(error => {
-    console.error('💥 Cleanup script failed:', error.message);
-    process.exit(1);
-  });
+  console.log('\n✨ Cache cleanup completed!');
 }
+
+main().then(async () => {
+  await redisService.close();
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Cleanup script failed:', error.message);
+  process.exit(1);
+});
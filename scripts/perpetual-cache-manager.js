@@ -10,15 +10,27 @@
  * node scripts/perpetual-cache-manager.js [command]
  * 
  * Commands:
- * - status: Check cache status and statistics
+ * - status [from] [to]: Check cache status and statistics (days as YYYY-MM-DD, default last 30 days)
  * - health: Perform health check
- * - migrate: Migrate existing cache entries to perpetual
+ * - migrate [pattern] [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]:
+ *   Migrate existing cache entries to perpetual
+ * - upgrade [pattern] [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]:
+ *   Upgrade stored entries to the current cache schema version
+ * - export <file> [pattern] [--batch-size=N]: Write cached entries to an NDJSON file (gzipped if it ends in .gz)
+ * - import <file> [--on-conflict=skip|overwrite|newer] [--dry-run]: Load entries from an export
+ * - reindex [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]:
+ *   Rebuild the geo index of reverse geocoding entries
  * - info: Show detailed information about perpetual caching
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
 const redisService = require('../src/config/redis');
 const perpetualCache = require('../src/utils/perpetualCache');
+const cacheBackup = require('../src/utils/cacheBackup');
+const { parseStatsRange } = require('../src/middleware/validation');
 const { logger } = require('../src/utils/logger');
 
 class PerpetualCacheManager {
@@ -27,6 +39,10 @@ class PerpetualCacheManager {
       status: this.showStatus.bind(this),
       health: this.performHealthCheck.bind(this),
       migrate: this.migrateToPerpetual.bind(this),
+      upgrade: this.upgradeSchema.bind(this),
+      export: this.exportCache.bind(this),
+      import: this.importCache.bind(this),
+      reindex: this.rebuildGeoIndex.bind(this),
       info: this.showInfo.bind(this),
       help: this.showHelp.bind(this)
     };
@@ -40,6 +56,8 @@ class PerpetualCacheManager {
     
     if (this.commands[command]) {
       try {
+        // The file backend loads its data asynchronously
+        await redisService.ensureInitialized();
         await this.commands[command]();
       } catch (error) {
         console.error('❌ Command failed:', error.message);
@@ -65,19 +83,33 @@ class PerpetualCacheManager {
       console.log(`Redis Ping: ${ping ? '✅ PONG' : '❌ No response'}`);
       
       if (isAvailable && ping) {
-        const stats = await perpetualCache.getStats();
-        console.log('\n📈 Cache Statistics:');
-        console.log(`Strategy: ${stats.perpetualStrategy || 'Unknown'}`);
-        
-        if (stats.benefits) {
-          console.log('\n✨ Benefits:');
-          stats.benefits.forEach(benefit => console.log(`  • ${benefit}`));
-        }
-        
-        if (stats.recommendations) {
-          console.log('\n💡 Recommendations:');
-          stats.recommendations.forEach(rec => console.log(`  • ${rec}`));
+        const range = parseStatsRange({ from: process.argv[3], to: process.argv[4] });
+        if (range.error) {
+          console.log(`❌ ${range.error.error}`);
+          return;
         }
+
+        const stats = await perpetualCache.getStats(range);
+        const { totals } = stats;
+        console.log(`\n📈 Cache Statistics (${stats.period.from} to ${stats.period.to}):`);
+        console.log(`Hit rate: ${this.formatRate(totals.hitRate)} (${totals.lookups} lookups)`);
+        console.log(`Hits: ${totals.hits} exact, ${totals.approximateHits} nearby`);
+        console.log(`Misses: ${totals.misses}`);
+        console.log(`Writes: ${totals.writes}`);
+
+        Object.entries(stats.byPrefix).forEach(([prefix, counters]) => {
+          console.log(`  • ${prefix}: ${this.formatRate(counters.hitRate)} hit rate, ${counters.lookups} lookups`);
+        });
+
+        console.log('\n🗝️  Cached Keys:');
+        Object.entries(stats.keys).forEach(([prefix, keys]) => {
+          console.log(`  • ${prefix}: ${keys.count}${keys.complete ? '' : '+'} keys`);
+        });
+        console.log(`Estimated memory: ${(stats.estimatedMemoryBytes / 1024 / 1024).toFixed(2)} MB`);
+
+        console.log('\n💰 Estimated Savings:');
+        console.log(`Google calls avoided: ${stats.savings.googleCallsAvoided}`);
+        console.log(`Estimated saved: $${stats.savings.estimatedDollarsSaved.toFixed(2)} ${stats.savings.currency} at $${stats.savings.costPer1000} per 1000 requests`);
       }
     } catch (error) {
       console.error('❌ Status check failed:', error.message);
@@ -120,14 +152,23 @@ class PerpetualCacheManager {
     console.log('-'.repeat(30));
     
     try {
-      console.log('Starting migration process...');
-      const results = await perpetualCache.migrateToPerpetual();
+      const { pattern = '*geocode:*', options } = this.parseScanArgs();
+
+      console.log(`Starting migration process for ${pattern}${options.dryRun ? ' (dry run)' : ''}...`);
+      const results = await perpetualCache.migrateToPerpetual(pattern, options);
       
       if (results.success) {
-        console.log('✅ Migration completed successfully!');
+        console.log(`✅ ${results.message}`);
         console.log(`Total processed: ${results.totalProcessed || 0}`);
-        console.log(`Successful: ${results.successCount || 0}`);
+        console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'}: ${results.successCount || 0}`);
+        console.log(`Already perpetual: ${results.alreadyPerpetual || 0}`);
+        console.log(`Skipped: ${results.skippedCount || 0}`);
         console.log(`Errors: ${results.errorCount || 0}`);
+        results.errors.forEach(error => console.log(`  • ${error}`));
+
+        if (!results.complete) {
+          console.log(`\n⏸️  Resume with: node scripts/perpetual-cache-manager.js migrate ${pattern} --cursor=${results.cursor}`);
+        }
       } else {
         console.log('❌ Migration failed:', results.message);
         if (results.error) {
@@ -139,6 +180,167 @@ class PerpetualCacheManager {
     }
   }
 
+  async upgradeSchema() {
+    console.log('🧬 Upgrading Cache Schema');
+    console.log('-'.repeat(30));
+
+    try {
+      const { pattern = '*geocode:*', options } = this.parseScanArgs();
+
+      console.log(`Starting upgrade of ${pattern}${options.dryRun ? ' (dry run)' : ''}...`);
+      const results = await perpetualCache.upgradeSchema(pattern, options);
+
+      if (results.success) {
+        console.log(`✅ ${results.message}`);
+        console.log(`Schema version: ${results.schemaVersion}`);
+        console.log(`Total processed: ${results.totalProcessed || 0}`);
+        console.log(`${options.dryRun ? 'Would upgrade' : 'Upgraded'}: ${results.successCount || 0}`);
+        console.log(`Already current: ${results.alreadyCurrent || 0}`);
+        console.log(`Skipped: ${results.skippedCount || 0}`);
+        console.log(`Errors: ${results.errorCount || 0}`);
+        results.errors.forEach(error => console.log(`  • ${error}`));
+
+        if (!results.complete) {
+          console.log(`\n⏸️  Resume with: node scripts/perpetual-cache-manager.js upgrade ${pattern} --cursor=${results.cursor}`);
+        }
+      } else {
+        console.log('❌ Upgrade failed:', results.message);
+        if (results.error) {
+          console.log('Error details:', results.error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Upgrade failed:', error.message);
+    }
+  }
+
+  async exportCache() {
+    console.log('📦 Exporting Cache');
+    console.log('-'.repeat(30));
+
+    const args = process.argv.slice(3);
+    const [file, pattern] = args.filter(arg => !arg.startsWith('--'));
+    if (!file) {
+      console.log('❌ Usage: export <file> [pattern] [--batch-size=N]');
+      return;
+    }
+
+    const output = fs.createWriteStream(file);
+    const gzip = file.endsWith('.gz') ? zlib.createGzip() : null;
+    const stream = gzip || output;
+    if (gzip) {
+      gzip.pipe(output);
+    }
+
+    const finished = new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+    const writeLine = (line) => new Promise((resolve, reject) => {
+      stream.write(`${line}\n`, error => (error ? reject(error) : resolve()));
+    });
+
+    console.log(`Exporting ${pattern || 'every entry'} to ${file}...`);
+    const { options } = this.parseScanArgs();
+    const results = await cacheBackup.exportEntries(writeLine, { pattern, batchSize: options.batchSize });
+    stream.end();
+    await finished;
+
+    if (results.success) {
+      console.log(`✅ ${results.exportedCount} entries exported to ${file}`);
+      console.log(`Skipped: ${results.skippedCount}`);
+      console.log(`Errors: ${results.errorCount}`);
+      results.errors.forEach(error => console.log(`  • ${error}`));
+    } else {
+      console.log('❌ Export failed:', results.message);
+      if (results.error) {
+        console.log('Error details:', results.error);
+      }
+    }
+  }
+
+  async importCache() {
+    console.log('📥 Importing Cache');
+    console.log('-'.repeat(30));
+
+    const args = process.argv.slice(3);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const onConflict = args.find(arg => arg.startsWith('--on-conflict='))?.split('=')[1] || 'skip';
+    const dryRun = args.includes('--dry-run');
+    if (!file) {
+      console.log('❌ Usage: import <file> [--on-conflict=skip|overwrite|newer] [--dry-run]');
+      return;
+    }
+
+    const input = fs.createReadStream(file);
+    const lines = readline.createInterface({
+      input: file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input,
+      crlfDelay: Infinity
+    });
+
+    console.log(`Importing ${file} (on conflict: ${onConflict})${dryRun ? ' (dry run)' : ''}...`);
+    const results = await cacheBackup.importEntries(lines, { onConflict, dryRun });
+
+    if (results.success) {
+      console.log(`✅ ${results.message}`);
+      if (results.header) {
+        console.log(`Exported at: ${results.header.exportedAt} (schema version ${results.header.schemaVersion})`);
+      }
+      console.log(`${dryRun ? 'Would import' : 'Imported'}: ${results.importedCount}`);
+      console.log(`${dryRun ? 'Would replace' : 'Replaced'}: ${results.replacedCount}`);
+      console.log(`Skipped (already cached): ${results.skippedCount}`);
+      console.log(`Invalid lines: ${results.invalidCount}`);
+      console.log(`Errors: ${results.errorCount}`);
+      results.errors.forEach(error => console.log(`  • ${error}`));
+    } else {
+      console.log('❌ Import failed:', results.message);
+    }
+  }
+
+  async rebuildGeoIndex() {
+    console.log('🗺️  Rebuilding Geo Index');
+    console.log('-'.repeat(30));
+
+    const { options } = this.parseScanArgs();
+    const results = await cacheBackup.rebuildGeoIndex(options);
+
+    if (results.success) {
+      console.log(`✅ ${results.message}`);
+      console.log(`${options.dryRun ? 'Would index' : 'Indexed'}: ${results.indexedCount}`);
+      console.log(`Skipped: ${results.skippedCount}`);
+      console.log(`Errors: ${results.errorCount}`);
+      results.errors.forEach(error => console.log(`  • ${error}`));
+
+      if (!results.complete) {
+        console.log(`\n⏸️  Resume with: node scripts/perpetual-cache-manager.js reindex --cursor=${results.cursor}`);
+      }
+    } else {
+      console.log('❌ Reindex failed:', results.message);
+      if (results.error) {
+        console.log('Error details:', results.error);
+      }
+    }
+  }
+
+  /**
+   * Parse [pattern] [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N] after the command
+   * @returns {Object} { pattern, options } where pattern is undefined when not given
+   */
+  parseScanArgs() {
+    const args = process.argv.slice(3);
+    const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+    return {
+      pattern: args.find(arg => !arg.startsWith('--')),
+      options: {
+        dryRun: args.includes('--dry-run'),
+        batchSize: parseInt(option('batch-size')) || undefined,
+        cursor: option('cursor') || '0',
+        maxBatches: parseInt(option('max-batches')) || Infinity
+      }
+    };
+  }
+
   showInfo() {
     console.log('📚 Perpetual Cache Information');
     console.log('-'.repeat(30));
@@ -176,16 +378,29 @@ class PerpetualCacheManager {
   showHelp() {
     console.log('📖 Available Commands:');
     console.log('-'.repeat(30));
-    console.log('status   - Check cache status and statistics');
+    console.log('status   - Check cache status and statistics [from] [to]');
     console.log('health   - Perform comprehensive health check');
-    console.log('migrate  - Migrate existing cache entries to perpetual');
+    console.log('migrate  - Migrate existing cache entries to perpetual [pattern] [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]');
+    console.log('upgrade  - Upgrade stored entries to the current cache schema version [pattern] [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]');
+    console.log('export   - Write cached entries to an NDJSON file, gzipped for .gz <file> [pattern] [--batch-size=N]');
+    console.log('import   - Load entries from an export <file> [--on-conflict=skip|overwrite|newer] [--dry-run]');
+    console.log('reindex  - Rebuild the geo index of reverse geocoding entries [--dry-run] [--batch-size=N] [--cursor=C] [--max-batches=N]');
     console.log('info     - Show detailed information about perpetual caching');
     console.log('help     - Show this help message');
     
     console.log('\n💡 Usage Examples:');
     console.log('node scripts/perpetual-cache-manager.js status');
+    console.log('node scripts/perpetual-cache-manager.js status 2026-01-01 2026-01-31');
     console.log('node scripts/perpetual-cache-manager.js health');
     console.log('node scripts/perpetual-cache-manager.js migrate');
+    console.log('node scripts/perpetual-cache-manager.js migrate "reverse-geocode:*" --dry-run');
+    console.log('node scripts/perpetual-cache-manager.js upgrade --dry-run');
+    console.log('node scripts/perpetual-cache-manager.js export backups/cache-2026-01-31.ndjson.gz');
+    console.log('node scripts/perpetual-cache-manager.js import backups/cache-2026-01-31.ndjson.gz --on-conflict=newer');
+  }
+
+  formatRate(rate) {
+    return rate === null ? 'n/a' : `${(rate * 100).toFixed(1)}%`;
   }
 
   getStatusIcon(status) {
@@ -202,7 +417,8 @@ class PerpetualCacheManager {
 // Run the manager if this script is executed directly
 if (require.main === module) {
   const manager = new PerpetualCacheManager();
-  manager.run().then(() => {
+  manager.run().then(async () => {
+    await redisService.close();
     console.log('\n✅ Done!');
     process.exit(0);
   }).catch(error => {
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Grant, revoke or show the `role` custom claim of a Firebase user
+ * Usage:
+ *   node scripts/user-roles.js show <uid|email> [--project=<tenant>]
+ *   node scripts/user-roles.js grant <uid|email> <admin|ops|field> [--project=<tenant>]
+ *   node scripts/user-roles.js revoke <uid|email> [--project=<tenant>]
+ */
+
+require('dotenv').config();
+const { initializeFirebase, getFirebaseApp } = require('../src/config/firebase');
+const { getTenants } = require('../src/config/tenants');
+const { ROLES } = require('../src/middleware/auth');
+
+function showUsage() {
+  console.log(`
+Usage:
+  npm run user-roles -- show <uid|email> [--project=<tenant>]
+  npm run user-roles -- grant <uid|email> <${ROLES.join('|')}> [--project=<tenant>]
+  npm run user-roles -- revoke <uid|email> [--project=<tenant>]
+
+--project selects the Firebase configuration: a tenant name, or primary/anonymous without TENANTS_CONFIG_PATH.
+It defaults to the first tenant (primary without TENANTS_CONFIG_PATH).
+Other custom claims of the user are kept.
+`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, user, role] = args.filter(arg => !arg.startsWith('--'));
+  const project = args.find(arg => arg.startsWith('--project='))?.split('=')[1] || getTenants()[0]?.name;
+
+  if (!['show', 'grant', 'revoke'].includes(command) || !user) {
+    showUsage();
+    process.exit(1);
+  }
+
+  if (command === 'grant' && !ROLES.includes(role)) {
+    console.log(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  initializeFirebase();
+  const auth = getFirebaseApp(project).auth();
+  const record = user.includes('@') ? await auth.getUserByEmail(user) : await auth.getUser(user);
+  const claims = { ...(record.customClaims || {}) };
+
+  console.log(`👤 ${record.uid}${record.email ? ` (${record.email})` : ''} in ${project}`);
+  console.log(`Current role: ${claims.role || 'none'}`);
+
+  if (command === 'show') {
+    return;
+  }
+
+  if (command === 'grant') {
+    claims.role = role;
+  } else {
+    delete claims.role;
+  }
+
+  await auth.setCustomUserClaims(record.uid, claims);
+  console.log(command === 'grant' ? `✅ Granted role ${role}` : '✅ Role revoked');
+  console.log('The change reaches the user\'s ID token on its next refresh (within an hour, or at once on a forced refresh).');
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 User roles script failed:', error.message);
+  process.exit(1);
+});
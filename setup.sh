@@ -6,7 +6,7 @@ echo "🚀 Setting up GM Merchandising Backend..."
 
 # Check if Node.js is installed
 if ! command -v node &> /dev/null; then
-    echo "❌ Node.js is not installed. Please install Node.js 16+ and try again."
+    echo "❌ Node.js is not installed. Please install Node.js 18+ and try again."
     exit 1
 fi
 
@@ -0,0 +1,174 @@
+/**
+ * Base class for cache stores
+ *
+ * A store executes raw commands against one backend (Upstash, Redis, a local
+ * file). Values are strings as written by RedisService, which handles
+ * serialization, availability and error logging; stores throw on failure.
+ * TTLs follow Redis semantics: ttl() returns -1 for keys without expiration
+ * and -2 for missing keys.
+ */
+class CacheStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Open the connection or load the data
+   * @returns {Promise<void>}
+   * @throws {Error} When the store cannot be used (missing configuration, unreachable server)
+   */
+  async connect() {
+    throw new Error(`${this.name} cache store does not implement connect`);
+  }
+
+  /**
+   * Finish pending writes before the process exits
+   * Network stores have nothing pending once a command resolved.
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<string|Object|null>} Stored value (Upstash may return it parsed) or null
+   */
+  async get(key) {
+    throw new Error(`${this.name} cache store does not implement get`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string} value - Serialized value
+   * @param {number} ttl - Time to live in seconds (0 for no expiration)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    throw new Error(`${this.name} cache store does not implement set`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async del(key) {
+    throw new Error(`${this.name} cache store does not implement del`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether the key exists
+   */
+  async exists(key) {
+    throw new Error(`${this.name} cache store does not implement exists`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<number>} TTL in seconds (-1 for no expiration, -2 for key not found)
+   */
+  async ttl(key) {
+    throw new Error(`${this.name} cache store does not implement ttl`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether a TTL was removed
+   */
+  async persist(key) {
+    throw new Error(`${this.name} cache store does not implement persist`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {number} seconds - TTL in seconds
+   * @returns {Promise<void>}
+   */
+  async expire(key, seconds) {
+    throw new Error(`${this.name} cache store does not implement expire`);
+  }
+
+  /**
+   * @param {string} cursor - Cursor from the previous call ('0' to start)
+   * @param {Object} options - { match, count }
+   * @returns {Promise<Object>} { cursor, keys } where cursor '0' means the iteration is complete
+   */
+  async scan(cursor, { match, count }) {
+    throw new Error(`${this.name} cache store does not implement scan`);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the store answers
+   */
+  async ping() {
+    throw new Error(`${this.name} cache store does not implement ping`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<boolean>} true when set, false when the key already exists
+   */
+  async setIfAbsent(key, value, ttlMs) {
+    throw new Error(`${this.name} cache store does not implement setIfAbsent`);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string} value - Expected value
+   * @returns {Promise<boolean>} Whether the key was deleted
+   */
+  async delIfEquals(key, value) {
+    throw new Error(`${this.name} cache store does not implement delIfEquals`);
+  }
+
+  // Sets, geo indexes and hashes follow the Redis commands of the same name
+
+  async sadd(key, member) {
+    throw new Error(`${this.name} cache store does not implement sadd`);
+  }
+
+  async srem(key, member) {
+    throw new Error(`${this.name} cache store does not implement srem`);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Set members
+   */
+  async smembers(key) {
+    throw new Error(`${this.name} cache store does not implement smembers`);
+  }
+
+  async geoadd(key, longitude, latitude, member) {
+    throw new Error(`${this.name} cache store does not implement geoadd`);
+  }
+
+  /**
+   * @returns {Promise<Array<{member: string, distanceMeters: number}>>} Members nearest first
+   */
+  async geosearch(key, longitude, latitude, radiusMeters, count) {
+    throw new Error(`${this.name} cache store does not implement geosearch`);
+  }
+
+  async zrem(key, member) {
+    throw new Error(`${this.name} cache store does not implement zrem`);
+  }
+
+  /**
+   * @returns {Promise<number>} Value of the field after the increment
+   */
+  async hincrby(key, field, increment) {
+    throw new Error(`${this.name} cache store does not implement hincrby`);
+  }
+
+  /**
+   * @returns {Promise<Object>} Field/value pairs (empty when missing)
+   */
+  async hgetall(key) {
+    throw new Error(`${this.name} cache store does not implement hgetall`);
+  }
+}
+
+module.exports = {
+  CacheStore
+};
@@ -0,0 +1,453 @@
+const fs = require('fs');
+const path = require('path');
+const { CacheStore } = require('./cacheStore');
+const { logger } = require('../utils/logger');
+const { distanceMeters } = require('../utils/geoUtils');
+
+const DEFAULT_FILE_PATH = 'data/cache-store.jsonl';
+const DEFAULT_COMPACT_AFTER = 10000;
+
+/**
+ * Convert a Redis glob pattern (*, ?, [abc], \x) to a regular expression
+ * @param {string} glob - Pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  const escape = char => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const classEnd = char === '[' ? glob.indexOf(']', i + 1) : -1;
+
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escape(glob[++i]);
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (classEnd !== -1) {
+      source += `[${glob.slice(i + 1, classEnd).replace(/\\/g, '\\\\')}]`;
+      i = classEnd;
+    } else {
+      source += escape(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Find the first position in a sorted array whose key is greater than (or equal to) a key
+ * @param {string[]} keys - Sorted keys
+ * @param {string} key - Key to look for
+ * @param {boolean} inclusive - Whether an equal key counts
+ * @returns {number} Position, keys.length when there is none
+ */
+function searchSorted(keys, key, inclusive = true) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (keys[middle] < key || (!inclusive && keys[middle] === key)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Embedded persistent store in an append-only file (CACHE_BACKEND=file)
+ *
+ * For single-instance and on-prem deployments without Redis. Data lives in
+ * memory and every change is appended to CACHE_FILE_PATH as a JSON line; the
+ * file is replayed on start and rewritten without superseded lines on start
+ * and after CACHE_FILE_COMPACT_AFTER appends. Lines are idempotent (counters
+ * record their resulting value), so a line replayed twice is harmless and a
+ * line cut short by a crash is skipped.
+ *
+ * Only one process may use a file at a time: stop the server before running
+ * the cache scripts against it.
+ */
+class FileStore extends CacheStore {
+  constructor() {
+    super('file');
+    // key -> { type: 'string' | 'hash' | 'set' | 'geo', value, expiresAt (ms or null) }
+    this.entries = new Map();
+    // Keys of entries in sorted order, kept in step with entries for scan
+    // (rebuilt in one sort after the file is replayed)
+    this.sortedKeys = [];
+    this.replaying = false;
+    this.filePath = null;
+    this.buffer = [];
+    this.appended = 0;
+    this.writes = Promise.resolve();
+  }
+
+  getCompactAfter() {
+    return parseInt(process.env.CACHE_FILE_COMPACT_AFTER) || DEFAULT_COMPACT_AFTER;
+  }
+
+  async connect() {
+    this.filePath = path.resolve(process.env.CACHE_FILE_PATH || DEFAULT_FILE_PATH);
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Replayed keys are indexed with one sort at the end, not one insert per line
+    let skipped = 0;
+    this.replaying = true;
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+    this.replaying = false;
+    this.sortedKeys = [...this.entries.keys()].sort();
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} unreadable lines in cache file ${this.filePath}`);
+    }
+
+    await this.compact();
+    logger.info('File cache store loaded', { filePath: this.filePath, keys: this.entries.size });
+  }
+
+  /**
+   * Store a key's entry, adding the key to the sorted index when new (except during replay)
+   * @param {string} key - Key
+   * @param {Object} entry - Entry
+   */
+  setEntry(key, entry) {
+    if (!this.replaying && !this.entries.has(key)) {
+      this.sortedKeys.splice(searchSorted(this.sortedKeys, key), 0, key);
+    }
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Remove a key's entry and its place in the sorted index
+   * @param {string} key - Key
+   */
+  deleteEntry(key) {
+    if (this.entries.delete(key) && !this.replaying) {
+      this.sortedKeys.splice(searchSorted(this.sortedKeys, key), 1);
+    }
+  }
+
+  /**
+   * Get a key's entry, dropping it when expired
+   * @param {string} key - Key
+   * @param {string} type - Expected type, if any
+   * @returns {Object|null} Entry or null when missing
+   * @throws {Error} When the key holds another type, like Redis WRONGTYPE
+   */
+  live(key, type = null) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.deleteEntry(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error(`WRONGTYPE key ${key} holds a ${entry.type}, not a ${type}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Get a key's entry, creating an empty one of the given type when missing
+   */
+  ensure(key, type, createValue) {
+    const entry = this.live(key, type);
+    if (entry) {
+      return entry;
+    }
+
+    const created = { type, value: createValue(), expiresAt: null };
+    this.setEntry(key, created);
+    return created;
+  }
+
+  /**
+   * Apply a change record to the in-memory data
+   * @param {Object} record - { op, key, ... } as written to the file
+   */
+  apply(record) {
+    const { op, key } = record;
+
+    switch (op) {
+      case 'set':
+        this.setEntry(key, { type: 'string', value: record.value, expiresAt: record.expiresAt });
+        break;
+      case 'del':
+        this.deleteEntry(key);
+        break;
+      case 'expire': {
+        const entry = this.live(key);
+        if (entry) {
+          entry.expiresAt = record.expiresAt;
+        }
+        break;
+      }
+      case 'hset':
+        this.ensure(key, 'hash', () => ({})).value[record.field] = record.value;
+        break;
+      case 'sadd':
+        this.ensure(key, 'set', () => new Set()).value.add(record.member);
+        break;
+      case 'geoadd':
+        this.ensure(key, 'geo', () => new Map()).value.set(record.member, {
+          longitude: record.longitude,
+          latitude: record.latitude
+        });
+        break;
+      case 'srem':
+      case 'zrem': {
+        const entry = this.live(key);
+        if (entry) {
+          entry.value.delete(record.member);
+          if (entry.value.size === 0) {
+            this.deleteEntry(key);
+          }
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown cache file operation: ${op}`);
+    }
+  }
+
+  /**
+   * Apply a change and queue it for the file
+   * @param {Object} record - Change record
+   */
+  mutate(record) {
+    this.apply(record);
+    this.buffer.push(JSON.stringify(record));
+
+    // Lines queued while a write is in progress go out together in the next one
+    if (this.buffer.length === 1) {
+      this.writes = this.writes.then(() => this.flush());
+    }
+  }
+
+  async flush() {
+    const lines = this.buffer;
+    this.buffer = [];
+
+    try {
+      await fs.promises.appendFile(this.filePath, `${lines.join('\n')}\n`);
+      this.appended += lines.length;
+    } catch (error) {
+      logger.error('Failed to append to cache file:', error.message);
+    }
+
+    if (this.appended >= this.getCompactAfter()) {
+      await this.compact();
+    }
+  }
+
+  async close() {
+    await this.writes;
+  }
+
+  /**
+   * Rewrite the file with one line per live value
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const lines = [];
+
+    for (const key of [...this.entries.keys()]) {
+      const entry = this.live(key);
+      if (!entry) {
+        continue;
+      }
+
+      if (entry.type === 'string') {
+        lines.push({ op: 'set', key, value: entry.value, expiresAt: entry.expiresAt });
+        continue;
+      }
+      if (entry.type === 'hash') {
+        Object.entries(entry.value).forEach(([field, value]) => lines.push({ op: 'hset', key, field, value }));
+      } else if (entry.type === 'set') {
+        entry.value.forEach(member => lines.push({ op: 'sadd', key, member }));
+      } else {
+        entry.value.forEach(({ longitude, latitude }, member) => lines.push({ op: 'geoadd', key, member, longitude, latitude }));
+      }
+      if (entry.expiresAt !== null) {
+        lines.push({ op: 'expire', key, expiresAt: entry.expiresAt });
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+      await fs.promises.rename(tempPath, this.filePath);
+      this.appended = 0;
+    } catch (error) {
+      logger.error('Failed to compact cache file:', error.message);
+    }
+  }
+
+  async get(key) {
+    const entry = this.live(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttl) {
+    this.mutate({ op: 'set', key, value, expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null });
+  }
+
+  async del(key) {
+    if (!this.live(key)) {
+      return 0;
+    }
+    this.mutate({ op: 'del', key });
+    return 1;
+  }
+
+  async exists(key) {
+    return this.live(key) !== null;
+  }
+
+  async ttl(key) {
+    const entry = this.live(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async persist(key) {
+    const entry = this.live(key);
+    if (!entry || entry.expiresAt === null) {
+      return false;
+    }
+    this.mutate({ op: 'expire', key, expiresAt: null });
+    return true;
+  }
+
+  async expire(key, seconds) {
+    if (this.live(key)) {
+      this.mutate({ op: 'expire', key, expiresAt: Date.now() + seconds * 1000 });
+    }
+  }
+
+  /**
+   * Iterate over keys in sorted order; the cursor encodes the last key examined,
+   * so keys present for the whole iteration are returned even if others are deleted
+   */
+  async scan(cursor, { match, count }) {
+    const keys = this.sortedKeys;
+    const after = cursor === '0' ? null : Buffer.from(cursor, 'base64url').toString();
+    const start = after === null ? 0 : searchSorted(keys, after, false);
+    if (start >= keys.length) {
+      return { cursor: '0', keys: [] };
+    }
+
+    const batch = keys.slice(start, start + count);
+    const pattern = globToRegExp(match);
+    const done = start + count >= keys.length;
+
+    return {
+      cursor: done ? '0' : Buffer.from(batch[batch.length - 1]).toString('base64url'),
+      keys: batch.filter(key => pattern.test(key) && this.live(key))
+    };
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this.live(key)) {
+      return false;
+    }
+    this.mutate({ op: 'set', key, value, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async delIfEquals(key, value) {
+    const entry = this.live(key, 'string');
+    if (!entry || entry.value !== value) {
+      return false;
+    }
+    this.mutate({ op: 'del', key });
+    return true;
+  }
+
+  async sadd(key, member) {
+    this.mutate({ op: 'sadd', key, member: String(member) });
+  }
+
+  async srem(key, member) {
+    const entry = this.live(key, 'set');
+    if (entry && entry.value.has(String(member))) {
+      this.mutate({ op: 'srem', key, member: String(member) });
+    }
+  }
+
+  async smembers(key) {
+    const entry = this.live(key, 'set');
+    return entry ? [...entry.value] : [];
+  }
+
+  async geoadd(key, longitude, latitude, member) {
+    this.mutate({ op: 'geoadd', key, member: String(member), longitude, latitude });
+  }
+
+  async geosearch(key, longitude, latitude, radiusMeters, count) {
+    const entry = this.live(key, 'geo');
+    if (!entry) {
+      return [];
+    }
+
+    return [...entry.value]
+      .map(([member, point]) => ({
+        member,
+        distanceMeters: distanceMeters(latitude, longitude, point.latitude, point.longitude)
+      }))
+      .filter(result => result.distanceMeters <= radiusMeters)
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .slice(0, count);
+  }
+
+  async zrem(key, member) {
+    const entry = this.live(key, 'geo');
+    if (entry && entry.value.has(String(member))) {
+      this.mutate({ op: 'zrem', key, member: String(member) });
+    }
+  }
+
+  async hincrby(key, field, increment) {
+    const entry = this.live(key, 'hash');
+    const value = (Number(entry?.value[field]) || 0) + increment;
+    this.mutate({ op: 'hset', key, field, value: String(value) });
+    return value;
+  }
+
+  async hgetall(key) {
+    const entry = this.live(key, 'hash');
+    return entry ? { ...entry.value } : {};
+  }
+}
+
+module.exports = FileStore;
@@ -1,69 +1,74 @@
-const { Redis } = require('@upstash/redis');
-const { createClient } = require('redis');
+const UpstashStore = require('./upstashStore');
+const RedisStore = require('./redisStore');
+const FileStore = require('./fileStore');
 const { logger } = require('../utils/logger');
 
+const CACHE_BACKENDS = ['upstash', 'redis', 'file', 'none'];
+
+/**
+ * Get the cache backend to use
+ * CACHE_BACKEND picks it explicitly; when unset, Upstash is used if its
+ * credentials are configured and a Redis server otherwise.
+ * @returns {string} 'upstash', 'redis', 'file' or 'none'
+ */
+function getCacheBackend() {
+  const configured = (process.env.CACHE_BACKEND || '').trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN ? 'upstash' : 'redis';
+}
+
+/**
+ * Cache access for the whole application
+ *
+ * Commands go to the store selected by CACHE_BACKEND (see cacheStore.js). This
+ * service serializes values, and when the store is unavailable or a command
+ * fails it logs and returns an empty result, so callers can treat the cache
+ * as optional. Kept under its historical name: every backend speaks the
+ * Redis command set used here.
+ */
 class RedisService {
   constructor() {
-    this.isUpstash = process.env.NODE_ENV === 'production';
-    this.client = null;
+    this.backend = getCacheBackend();
+    this.store = null;
     this.isEnabled = false;
     this.initializationPromise = this.initializeClient();
   }
 
+  createStore() {
+    switch (this.backend) {
+      case 'upstash':
+        return new UpstashStore();
+      case 'redis':
+        return new RedisStore({ onAvailabilityChange: (available) => { this.isEnabled = available; } });
+      case 'file':
+        return new FileStore();
+      default:
+        return null;
+    }
+  }
+
   async initializeClient() {
-    try {
-      if (this.isUpstash) {
-        // Use Upstash Redis for production
-        if (!process.env.UPSTASH_REDIS_REST_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) {
-          logger.warn('Upstash Redis credentials not found. Caching will be disabled.');
-          return;
-        }
+    if (!CACHE_BACKENDS.includes(this.backend)) {
+      logger.warn(`Unknown CACHE_BACKEND '${this.backend}'. Caching will be disabled.`);
+      return;
+    }
 
-        this.client = new Redis({
-          url: process.env.UPSTASH_REDIS_REST_URL,
-          token: process.env.UPSTASH_REDIS_REST_TOKEN,
-        });
-        this.isEnabled = true;
-        logger.info('Upstash Redis client initialized successfully');
-      } else {
-        // Use local Redis for development
-        const redisConfig = {
-          socket: {
-            host: process.env.REDIS_HOST || 'localhost',
-            port: parseInt(process.env.REDIS_PORT) || 6379,
-            connectTimeout: 10000,
-          },
-          database: parseInt(process.env.REDIS_DB) || 0,
-        };
-
-        if (process.env.REDIS_PASSWORD) {
-          redisConfig.password = process.env.REDIS_PASSWORD;
-        }
+    const store = this.createStore();
+    if (!store) {
+      logger.info('Caching disabled (CACHE_BACKEND=none)');
+      return;
+    }
 
-        this.client = createClient(redisConfig);
-        
-        this.client.on('error', (err) => {
-          logger.warn('Local Redis connection error:', err.message);
-          this.isEnabled = false;
-        });
-
-        this.client.on('connect', () => {
-          logger.info('Local Redis client connected successfully');
-          this.isEnabled = true;
-        });
-
-        try {
-          await this.client.connect();
-        } catch (error) {
-          logger.warn('Failed to connect to local Redis:', error.message);
-          logger.info('Caching will be disabled. Make sure Redis is running locally or check your configuration.');
-          this.client = null;
-          this.isEnabled = false;
-        }
-      }
+    try {
+      await store.connect();
+      this.store = store;
+      this.isEnabled = true;
     } catch (error) {
-      logger.error('Failed to initialize Redis client:', error.message);
-      this.client = null;
+      logger.warn(`Failed to initialize ${this.backend} cache store:`, error.message);
+      logger.info('Caching will be disabled. Check the cache backend configuration.');
+      this.store = null;
       this.isEnabled = false;
     }
   }
@@ -72,6 +77,33 @@ class RedisService {
     await this.initializationPromise;
   }
 
+  /**
+   * Finish pending writes (file store) before the process exits
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.ensureInitialized();
+
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Get the stored value of a key without parsing it
+   * @param {string} key - Cache key
+   * @returns {Promise<string|Object|null>} Raw value as returned by the store, or null
+   */
+  async getRaw(key) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return null;
+    }
+
+    return this.store.get(key);
+  }
+
   /**
    * Get data from Redis cache
    * @param {string} key - Cache key
@@ -80,20 +112,12 @@ class RedisService {
   async get(key) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return null;
     }
 
     try {
-      let data;
-      
-      if (this.isUpstash) {
-        // Upstash Redis
-        data = await this.client.get(key);
-      } else {
-        // Local Redis
-        data = await this.client.get(key);
-      }
+      const data = await this.store.get(key);
 
       if (data) {
         logger.debug(`Cache hit for key: ${key}`);
@@ -132,7 +156,7 @@ class RedisService {
   async set(key, data, ttl = 3600) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return false;
     }
 
@@ -140,27 +164,11 @@ class RedisService {
       // Ensure data is properly serialized
       const serializedData = typeof data === 'string' ? data : JSON.stringify(data);
       
-      if (ttl === 0) {
-        // Set without expiration (perpetual cache)
-        if (this.isUpstash) {
-          // Upstash Redis - set without TTL
-          await this.client.set(key, serializedData);
-        } else {
-          // Local Redis - set without TTL
-          await this.client.set(key, serializedData);
-        }
-        logger.debug(`Perpetual cache set for key: ${key} (no expiration)`);
-      } else {
-        // Set with TTL
-        if (this.isUpstash) {
-          // Upstash Redis
-          await this.client.setex(key, ttl, serializedData);
-        } else {
-          // Local Redis
-          await this.client.setEx(key, ttl, serializedData);
-        }
-        logger.debug(`Cache set for key: ${key}, TTL: ${ttl}s`);
-      }
+      // TTL 0 sets without expiration (perpetual cache)
+      await this.store.set(key, serializedData, ttl);
+      logger.debug(ttl === 0
+        ? `Perpetual cache set for key: ${key} (no expiration)`
+        : `Cache set for key: ${key}, TTL: ${ttl}s`);
       
       return true;
     } catch (error) {
@@ -177,12 +185,12 @@ class RedisService {
   async del(key) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return false;
     }
 
     try {
-      const result = await this.client.del(key);
+      const result = await this.store.del(key);
       logger.debug(`Cache deleted for key: ${key}`);
       return result > 0;
     } catch (error) {
@@ -196,7 +204,7 @@ class RedisService {
    * @returns {boolean} Cache availability status
    */
   isAvailable() {
-    return this.isEnabled && this.client !== null;
+    return this.isEnabled && this.store !== null;
   }
 
   /**
@@ -206,20 +214,12 @@ class RedisService {
   async ping() {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return false;
     }
 
     try {
-      if (this.isUpstash) {
-        // Upstash Redis
-        const result = await this.client.ping();
-        return result === 'PONG';
-      } else {
-        // Local Redis
-        const result = await this.client.ping();
-        return result === 'PONG';
-      }
+      return await this.store.ping();
     } catch (error) {
       logger.error('Redis ping error:', error.message);
       return false;
@@ -234,12 +234,12 @@ class RedisService {
   async ttl(key) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return -2;
     }
 
     try {
-      return await this.client.ttl(key);
+      return await this.store.ttl(key);
     } catch (error) {
       logger.error(`Redis TTL error for key ${key}:`, error.message);
       return -2;
@@ -254,20 +254,283 @@ class RedisService {
   async persist(key) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return false;
     }
 
     try {
-      const result = await this.client.persist(key);
+      const result = await this.store.persist(key);
       logger.debug(`Key ${key} set to persist (no expiration)`);
-      return result === 1;
+      return result;
     } catch (error) {
       logger.error(`Redis persist error for key ${key}:`, error.message);
       return false;
     }
   }
 
+  /**
+   * Add a member to a set
+   * @param {string} key - Set key
+   * @param {string} member - Member to add
+   * @returns {Promise<boolean>} Success status
+   */
+  async sadd(key, member) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.sadd(key, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis sadd error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a set
+   * @param {string} key - Set key
+   * @param {string} member - Member to remove
+   * @returns {Promise<boolean>} Success status
+   */
+  async srem(key, member) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.srem(key, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis srem error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get all members of a set
+   * @param {string} key - Set key
+   * @returns {Promise<string[]>} Set members (empty when unavailable)
+   */
+  async smembers(key) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return [];
+    }
+
+    try {
+      return await this.store.smembers(key);
+    } catch (error) {
+      logger.error(`Redis smembers error for key ${key}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Add a member to a geo index
+   * @param {string} key - Geo index key
+   * @param {number} longitude - Member longitude
+   * @param {number} latitude - Member latitude
+   * @param {string} member - Member name
+   * @returns {Promise<boolean>} Success status
+   */
+  async geoadd(key, longitude, latitude, member) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.geoadd(key, longitude, latitude, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis geoadd error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Find the members of a geo index closest to a point
+   * @param {string} key - Geo index key
+   * @param {number} longitude - Search centre longitude
+   * @param {number} latitude - Search centre latitude
+   * @param {number} radiusMeters - Search radius in meters
+   * @param {number} count - Maximum members to return (default: 1)
+   * @returns {Promise<Array<{member: string, distanceMeters: number}>>} Members nearest first (empty when unavailable)
+   */
+  async geosearch(key, longitude, latitude, radiusMeters, count = 1) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return [];
+    }
+
+    try {
+      return await this.store.geosearch(key, longitude, latitude, radiusMeters, count);
+    } catch (error) {
+      logger.error(`Redis geosearch error for key ${key}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Remove a member from a sorted set (geo indexes are sorted sets)
+   * @param {string} key - Sorted set key
+   * @param {string} member - Member to remove
+   * @returns {Promise<boolean>} Success status
+   */
+  async zrem(key, member) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.zrem(key, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis zrem error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Increment a hash field
+   * @param {string} key - Hash key
+   * @param {string} field - Field to increment
+   * @param {number} increment - Amount to add (default: 1)
+   * @returns {Promise<number|null>} Value of the field after the increment, or null when Redis is unavailable or failed
+   */
+  async hincrby(key, field, increment = 1) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return null;
+    }
+
+    try {
+      return await this.store.hincrby(key, field, increment);
+    } catch (error) {
+      logger.error(`Redis hincrby error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get all fields of a hash
+   * @param {string} key - Hash key
+   * @returns {Promise<Object>} Field/value pairs (empty when missing or unavailable)
+   */
+  async hgetall(key) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return {};
+    }
+
+    try {
+      return await this.store.hgetall(key);
+    } catch (error) {
+      logger.error(`Redis hgetall error for key ${key}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Set a key's time to live
+   * @param {string} key - Cache key
+   * @param {number} seconds - TTL in seconds
+   * @returns {Promise<boolean>} Success status
+   */
+  async expire(key, seconds) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.expire(key, seconds);
+      return true;
+    } catch (error) {
+      logger.error(`Redis expire error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Set a key only if it does not exist yet, with a TTL in milliseconds (SET NX PX)
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<boolean|null>} true when set, false when the key already exists, null when Redis failed
+   */
+  async setIfAbsent(key, value, ttlMs) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return null;
+    }
+
+    try {
+      return await this.store.setIfAbsent(key, value, ttlMs);
+    } catch (error) {
+      logger.error(`Redis set NX error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a key only if it still holds the given value (e.g. releasing a lock this process owns)
+   * @param {string} key - Key
+   * @param {string} value - Expected value
+   * @returns {Promise<boolean>} Whether the key was deleted
+   */
+  async delIfEquals(key, value) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return false;
+    }
+
+    try {
+      return await this.store.delIfEquals(key, value);
+    } catch (error) {
+      logger.error(`Redis conditional delete error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Iterate over keys matching a pattern, one batch at a time
+   * @param {string} cursor - Cursor from the previous call ('0' to start)
+   * @param {Object} options - { match, count }
+   * @returns {Promise<Object>} { cursor, keys } where cursor '0' means the iteration is complete
+   * @throws {Error} When the scan fails, so a partial iteration is never mistaken for a complete one
+   */
+  async scan(cursor = '0', { match = '*', count = 1000 } = {}) {
+    await this.ensureInitialized();
+    
+    if (!this.isEnabled || !this.store) {
+      return { cursor: '0', keys: [] };
+    }
+
+    try {
+      return await this.store.scan(String(cursor), { match, count });
+    } catch (error) {
+      logger.error(`Redis scan error for pattern ${match}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get cache information for a key
    * @param {string} key - Cache key
@@ -276,12 +539,12 @@ class RedisService {
   async getCacheInfo(key) {
     await this.ensureInitialized();
     
-    if (!this.isEnabled || !this.client) {
+    if (!this.isEnabled || !this.store) {
       return null;
     }
 
     try {
-      const exists = await this.client.exists(key);
+      const exists = await this.store.exists(key);
       if (!exists) {
         return null;
       }
@@ -291,7 +554,7 @@ class RedisService {
       
       return {
         key,
-        exists: exists === 1,
+        exists,
         ttl: ttl,
         isPerpetual: ttl === -1,
         hasExpiration: ttl > 0,
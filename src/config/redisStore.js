@@ -0,0 +1,151 @@
+const { createClient } = require('redis');
+const { CacheStore } = require('./cacheStore');
+const { logger } = require('../utils/logger');
+
+const DEL_IF_EQUALS_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Redis server over TCP (CACHE_BACKEND=redis)
+ */
+class RedisStore extends CacheStore {
+  /**
+   * @param {Object} options - { onAvailabilityChange(available) } called when the connection drops or comes back
+   */
+  constructor({ onAvailabilityChange = () => {} } = {}) {
+    super('redis');
+    this.client = null;
+    this.onAvailabilityChange = onAvailabilityChange;
+  }
+
+  async connect() {
+    const redisConfig = {
+      socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        connectTimeout: 10000,
+      },
+      database: parseInt(process.env.REDIS_DB) || 0,
+    };
+
+    if (process.env.REDIS_PASSWORD) {
+      redisConfig.password = process.env.REDIS_PASSWORD;
+    }
+
+    this.client = createClient(redisConfig);
+
+    this.client.on('error', (err) => {
+      logger.warn('Local Redis connection error:', err.message);
+      this.onAvailabilityChange(false);
+    });
+
+    this.client.on('connect', () => {
+      logger.info('Local Redis client connected successfully');
+      this.onAvailabilityChange(true);
+    });
+
+    try {
+      await this.client.connect();
+    } catch (error) {
+      this.client = null;
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.client?.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttl) {
+    if (ttl === 0) {
+      await this.client.set(key, value);
+    } else {
+      await this.client.setEx(key, ttl, value);
+    }
+  }
+
+  async del(key) {
+    return this.client.del(key);
+  }
+
+  async exists(key) {
+    return (await this.client.exists(key)) === 1;
+  }
+
+  async ttl(key) {
+    return this.client.ttl(key);
+  }
+
+  async persist(key) {
+    return (await this.client.persist(key)) === 1;
+  }
+
+  async expire(key, seconds) {
+    await this.client.expire(key, seconds);
+  }
+
+  async scan(cursor, { match, count }) {
+    const result = await this.client.scan(String(cursor), { MATCH: match, COUNT: count });
+    return { cursor: String(result.cursor), keys: result.keys };
+  }
+
+  async ping() {
+    return (await this.client.ping()) === 'PONG';
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const result = await this.client.set(key, value, { condition: 'NX', expiration: { type: 'PX', value: ttlMs } });
+    return result === 'OK';
+  }
+
+  async delIfEquals(key, value) {
+    const result = await this.client.eval(DEL_IF_EQUALS_SCRIPT, { keys: [key], arguments: [value] });
+    return Number(result) === 1;
+  }
+
+  async sadd(key, member) {
+    await this.client.sAdd(key, member);
+  }
+
+  async srem(key, member) {
+    await this.client.sRem(key, member);
+  }
+
+  async smembers(key) {
+    return this.client.sMembers(key);
+  }
+
+  async geoadd(key, longitude, latitude, member) {
+    await this.client.geoAdd(key, { longitude, latitude, member });
+  }
+
+  async geosearch(key, longitude, latitude, radiusMeters, count) {
+    const results = await this.client.geoSearchWith(
+      key,
+      { longitude, latitude },
+      { radius: radiusMeters, unit: 'm' },
+      ['WITHDIST'],
+      { SORT: 'ASC', COUNT: count }
+    );
+    return results.map(result => ({ member: result.member, distanceMeters: Number(result.distance) }));
+  }
+
+  async zrem(key, member) {
+    await this.client.zRem(key, member);
+  }
+
+  async hincrby(key, field, increment) {
+    return Number(await this.client.hIncrBy(key, field, increment));
+  }
+
+  async hgetall(key) {
+    return this.client.hGetAll(key);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { logger } = require('../utils/logger');
+
+const TENANT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+// Cache key namespaces sit between the key prefix and the hash (reverse-geocode:<namespace>:<hash>),
+// so they must not look like a hash or the user-specific marker
+const CACHE_PREFIX_PATTERN = /^[a-z][a-z0-9_-]{0,23}$/;
+const QUOTA_FIELDS = ['userHits', 'userMisses', 'tenantHits', 'tenantMisses'];
+
+let tenants = null;
+
+/**
+ * Build a service account from environment variables
+ * @param {string} configName - Tenant name, for warnings
+ * @param {string} envPrefix - Variable prefix, e.g. 'FIREBASE' for FIREBASE_PROJECT_ID
+ * @returns {Object|null} Service account, or null when a variable is missing
+ */
+const createFirebaseConfig = (configName, envPrefix) => {
+  const requiredEnvVars = [
+    `${envPrefix}_PROJECT_ID`,
+    `${envPrefix}_PRIVATE_KEY_ID`,
+    `${envPrefix}_PRIVATE_KEY`,
+    `${envPrefix}_CLIENT_EMAIL`,
+    `${envPrefix}_CLIENT_ID`
+  ];
+
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  if (missingVars.length > 0) {
+    logger.warn(`Missing Firebase environment variables for ${configName}: ${missingVars.join(', ')}`);
+    return null;
+  }
+
+  return {
+    type: "service_account",
+    project_id: process.env[`${envPrefix}_PROJECT_ID`],
+    private_key_id: process.env[`${envPrefix}_PRIVATE_KEY_ID`],
+    private_key: process.env[`${envPrefix}_PRIVATE_KEY`].replace(/\\n/g, '\n'),
+    client_email: process.env[`${envPrefix}_CLIENT_EMAIL`],
+    client_id: process.env[`${envPrefix}_CLIENT_ID`],
+    auth_uri: process.env[`${envPrefix}_AUTH_URI`] || "https://accounts.google.com/o/oauth2/auth",
+    token_uri: process.env[`${envPrefix}_TOKEN_URI`] || "https://oauth2.googleapis.com/token",
+    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+    client_x509_cert_url: process.env[`${envPrefix}_CLIENT_CERT_URL`]
+  };
+};
+
+/**
+ * Replace ${VAR} references in config strings with environment variables, so secrets stay out of the file
+ * @param {*} value - Parsed config value
+ * @returns {*} Value with references resolved
+ * @throws {Error} When a referenced variable is not set
+ */
+const resolveEnvReferences = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Environment variable ${name} referenced in the tenant config is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveEnvReferences);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, resolveEnvReferences(nested)]));
+  }
+  return value;
+};
+
+/**
+ * Resolve a tenant's Firebase service account
+ * @param {string} name - Tenant name
+ * @param {Object} firebase - { envPrefix } | { serviceAccountFile } | { projectId, clientEmail, privateKey }
+ * @param {string} baseDir - Directory of the config file, for relative paths
+ * @returns {Object|null} Service account, or null when envPrefix variables are missing
+ */
+const resolveServiceAccount = (name, firebase, baseDir) => {
+  if (firebase.envPrefix) {
+    return createFirebaseConfig(name, firebase.envPrefix);
+  }
+  if (firebase.serviceAccountFile) {
+    return JSON.parse(fs.readFileSync(path.resolve(baseDir, firebase.serviceAccountFile), 'utf8'));
+  }
+  if (!firebase.projectId || !firebase.clientEmail || !firebase.privateKey) {
+    throw new Error(`Tenant '${name}': firebase needs envPrefix, serviceAccountFile or projectId, clientEmail and privateKey`);
+  }
+  return {
+    projectId: firebase.projectId,
+    clientEmail: firebase.clientEmail,
+    privateKey: firebase.privateKey.replace(/\\n/g, '\n')
+  };
+};
+
+/**
+ * Validate one tenant entry of the config file
+ * @param {string} name - Tenant name (key of the tenants map)
+ * @param {Object} entry - Raw entry
+ * @param {string} baseDir - Directory of the config file
+ * @returns {Object|null} Tenant, or null when its Firebase credentials are missing from the environment
+ * @throws {Error} When the entry is invalid
+ */
+const buildTenant = (name, entry, baseDir) => {
+  if (!TENANT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid tenant name '${name}': use letters, digits, '-' and '_'`);
+  }
+  if (!entry || typeof entry !== 'object' || !entry.firebase || typeof entry.firebase !== 'object') {
+    throw new Error(`Tenant '${name}' has no firebase section`);
+  }
+  if (entry.cachePrefix !== undefined && entry.cachePrefix !== null
+    && (!CACHE_PREFIX_PATTERN.test(entry.cachePrefix) || entry.cachePrefix === 'user')) {
+    throw new Error(`Tenant '${name}': cachePrefix must be 1-24 lowercase letters, digits, '-' or '_', starting with a letter`);
+  }
+  if (entry.allowedOrigins !== undefined && !Array.isArray(entry.allowedOrigins)) {
+    throw new Error(`Tenant '${name}': allowedOrigins must be a list`);
+  }
+
+  const quotas = entry.quotas || {};
+  for (const [field, value] of Object.entries(quotas)) {
+    if (!QUOTA_FIELDS.includes(field) || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Tenant '${name}': quotas.${field} is not one of ${QUOTA_FIELDS.join(', ')} with a non-negative integer`);
+    }
+  }
+
+  const serviceAccount = resolveServiceAccount(name, entry.firebase, baseDir);
+  if (!serviceAccount) {
+    return null;
+  }
+
+  return {
+    name,
+    projectId: serviceAccount.project_id || serviceAccount.projectId,
+    serviceAccount,
+    googleMapsApiKey: entry.googleMapsApiKey || null,
+    allowedOrigins: entry.allowedOrigins || [],
+    cachePrefix: entry.cachePrefix || null,
+    quotas
+  };
+};
+
+/**
+ * @param {Array} values - Values to check, null and empty ones ignored
+ * @returns {*} First value that appears more than once, or undefined
+ */
+const findDuplicate = (values) => {
+  const present = values.filter(Boolean);
+  return present.find((value, index) => present.indexOf(value) !== index);
+};
+
+/**
+ * Reject two tenants on the same Firebase project
+ * ID tokens are routed to the tenant whose project matches their aud claim
+ * (see middleware/auth), so the second tenant would never be reached.
+ * @param {Object[]} loaded - Tenants
+ * @throws {Error} When a project ID is used by more than one tenant
+ */
+const assertDistinctProjects = (loaded) => {
+  const sharedProject = findDuplicate(loaded.map(tenant => tenant.projectId));
+  if (sharedProject) {
+    throw new Error(`Firebase project '${sharedProject}' is used by more than one tenant`);
+  }
+};
+
+/**
+ * Read the tenant config file (JSON, or YAML for .yaml/.yml)
+ * @param {string} filePath - Path from TENANTS_CONFIG_PATH
+ * @returns {Object[]} Tenants with Firebase credentials available
+ */
+const loadTenantsFile = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+  const config = /\.ya?ml$/i.test(resolvedPath) ? yaml.load(content) : JSON.parse(content);
+
+  if (!config || typeof config.tenants !== 'object' || Array.isArray(config.tenants) || config.tenants === null) {
+    throw new Error(`Tenant config ${resolvedPath} must have a 'tenants' map`);
+  }
+
+  const baseDir = path.dirname(resolvedPath);
+  const loaded = Object.entries(resolveEnvReferences(config.tenants))
+    .map(([name, entry]) => buildTenant(name, entry, baseDir))
+    .filter(Boolean);
+
+  const sharedPrefix = findDuplicate(loaded.map(tenant => tenant.cachePrefix));
+  if (sharedPrefix) {
+    // Separate tenants may share the default namespace, but a named one is private to its tenant
+    throw new Error(`cachePrefix '${sharedPrefix}' is used by more than one tenant`);
+  }
+  assertDistinctProjects(loaded);
+
+  logger.info(`Loaded ${loaded.length} tenant(s) from ${resolvedPath}: ${loaded.map(tenant => tenant.name).join(', ')}`);
+  return loaded;
+};
+
+/**
+ * Tenants without a config file: the primary (FIREBASE_*) and anonymous (FIREBASE_ANONYMOUS_*)
+ * projects, sharing GOOGLE_MAPS_API_KEY, ALLOWED_ORIGINS and the default cache namespace
+ * @returns {Object[]} Tenants with Firebase credentials available
+ * @throws {Error} When both use the same Firebase project
+ */
+const loadTenantsFromEnv = () => {
+  const loaded = [
+    buildTenant('primary', { firebase: { envPrefix: 'FIREBASE' } }, process.cwd()),
+    buildTenant('anonymous', { firebase: { envPrefix: 'FIREBASE_ANONYMOUS' } }, process.cwd())
+  ].filter(Boolean);
+
+  assertDistinctProjects(loaded);
+  return loaded;
+};
+
+/**
+ * Get the tenant registry, loading it on first use
+ * Each tenant: { name, projectId, serviceAccount, googleMapsApiKey, allowedOrigins, cachePrefix, quotas }
+ * where null googleMapsApiKey falls back to GOOGLE_MAPS_API_KEY and null cachePrefix uses the shared cache.
+ * @returns {Object[]} Tenants
+ * @throws {Error} When TENANTS_CONFIG_PATH is set and the file is missing or invalid
+ */
+const getTenants = () => {
+  if (!tenants) {
+    tenants = process.env.TENANTS_CONFIG_PATH
+      ? loadTenantsFile(process.env.TENANTS_CONFIG_PATH)
+      : loadTenantsFromEnv();
+  }
+  return tenants;
+};
+
+/**
+ * @param {string} name - Tenant name (req.user.authenticatedWith)
+ * @returns {Object|null} Tenant or null
+ */
+const getTenant = (name) => getTenants().find(tenant => tenant.name === name) || null;
+
+/**
+ * Origins allowed by CORS: ALLOWED_ORIGINS plus every tenant's allowedOrigins
+ * @returns {string[]|string} Origins, or '*' when none are configured
+ */
+const getAllowedOrigins = () => {
+  const origins = new Set(process.env.ALLOWED_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean));
+  getTenants().forEach(tenant => tenant.allowedOrigins.forEach(origin => origins.add(origin)));
+  return origins.size > 0 ? [...origins] : '*';
+};
+
+/**
+ * Drop the loaded registry so the next call re-reads configuration
+ */
+const resetTenants = () => {
+  tenants = null;
+};
+
+module.exports = {
+  getTenants,
+  getTenant,
+  getAllowedOrigins,
+  resetTenants
+};
@@ -0,0 +1,117 @@
+const { Redis } = require('@upstash/redis');
+const { CacheStore } = require('./cacheStore');
+const { logger } = require('../utils/logger');
+
+const DEL_IF_EQUALS_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Upstash Redis over its REST API (CACHE_BACKEND=upstash)
+ */
+class UpstashStore extends CacheStore {
+  constructor() {
+    super('upstash');
+    this.client = null;
+  }
+
+  async connect() {
+    if (!process.env.UPSTASH_REDIS_REST_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) {
+      throw new Error('Upstash Redis credentials not found');
+    }
+
+    this.client = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
+    logger.info('Upstash Redis client initialized successfully');
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttl) {
+    if (ttl === 0) {
+      await this.client.set(key, value);
+    } else {
+      await this.client.setex(key, ttl, value);
+    }
+  }
+
+  async del(key) {
+    return this.client.del(key);
+  }
+
+  async exists(key) {
+    return (await this.client.exists(key)) === 1;
+  }
+
+  async ttl(key) {
+    return this.client.ttl(key);
+  }
+
+  async persist(key) {
+    return (await this.client.persist(key)) === 1;
+  }
+
+  async expire(key, seconds) {
+    await this.client.expire(key, seconds);
+  }
+
+  async scan(cursor, { match, count }) {
+    const [nextCursor, keys] = await this.client.scan(cursor, { match, count });
+    return { cursor: String(nextCursor), keys };
+  }
+
+  async ping() {
+    return (await this.client.ping()) === 'PONG';
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    return (await this.client.set(key, value, { nx: true, px: ttlMs })) === 'OK';
+  }
+
+  async delIfEquals(key, value) {
+    return Number(await this.client.eval(DEL_IF_EQUALS_SCRIPT, [key], [value])) === 1;
+  }
+
+  async sadd(key, member) {
+    await this.client.sadd(key, member);
+  }
+
+  async srem(key, member) {
+    await this.client.srem(key, member);
+  }
+
+  async smembers(key) {
+    return this.client.smembers(key);
+  }
+
+  async geoadd(key, longitude, latitude, member) {
+    await this.client.geoadd(key, { longitude, latitude, member });
+  }
+
+  async geosearch(key, longitude, latitude, radiusMeters, count) {
+    const results = await this.client.geosearch(
+      key,
+      { type: 'FROMLONLAT', coordinate: { lon: longitude, lat: latitude } },
+      { type: 'BYRADIUS', radius: radiusMeters, radiusType: 'M' },
+      'ASC',
+      { count: { limit: count }, withDist: true }
+    );
+    return results.map(result => ({ member: String(result.member), distanceMeters: Number(result.dist) }));
+  }
+
+  async zrem(key, member) {
+    await this.client.zrem(key, member);
+  }
+
+  async hincrby(key, field, increment) {
+    return Number(await this.client.hincrby(key, field, increment));
+  }
+
+  async hgetall(key) {
+    return (await this.client.hgetall(key)) || {};
+  }
+}
+
+module.exports = UpstashStore;
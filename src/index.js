@@ -5,13 +5,18 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { initializeFirebase } = require('./config/firebase');
+const { getAllowedOrigins } = require('./config/tenants');
 const { logFirebaseStatus, getAuthStatistics } = require('./utils/firebaseUtils');
 const geocodingRoutes = require('./routes/geocoding');
+const { getProviders } = require('./services/providerRegistry');
 const { errorHandler } = require('./middleware/errorHandler');
+const warmupJobs = require('./utils/warmupJobs');
+const redisService = require('./config/redis');
 const { logger } = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
 
 // Initialize Firebase Admin SDK
 initializeFirebase();
@@ -19,6 +24,9 @@ initializeFirebase();
 // Log Firebase configuration status
 logFirebaseStatus();
 
+// Load geocoding providers so configuration problems are logged at startup
+getProviders();
+
 // Trust proxy configuration for rate limiting and security
 // Configure to trust only the first proxy (recommended for Render deployment)
 app.set('trust proxy', 1);
@@ -26,7 +34,7 @@ app.set('trust proxy', 1);
 // Security middleware
 app.use(helmet());
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
+  origin: getAllowedOrigins(),
   credentials: true
 }));
 
@@ -92,8 +100,56 @@ app.use('*', (req, res) => {
 app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info('Server started', { port: PORT, env: process.env.NODE_ENV || 'development' });
+
+  // Pick up warmup jobs interrupted by a restart
+  warmupJobs.startResumeMonitor();
 });
 
+let shuttingDown = false;
+
+/**
+ * Stop accepting requests, let in-flight ones finish, then close the cache store
+ * so the file backend's pending appends reach the disk before the process exits.
+ * Requests still open after SHUTDOWN_TIMEOUT_MS are cut off.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS;
+  await new Promise(resolve => {
+    const timer = setTimeout(() => {
+      logger.warn('Closing open connections after shutdown timeout', { timeoutMs });
+      server.closeAllConnections();
+      resolve();
+    }, timeoutMs);
+    timer.unref();
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+
+  try {
+    await redisService.close();
+    logger.info('Cache store closed');
+  } catch (error) {
+    logger.error('Failed to close cache store:', error.message);
+    process.exitCode = 1;
+  }
+
+  process.exit();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
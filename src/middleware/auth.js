@@ -1,124 +1,153 @@
 const { admin, getAllFirebaseAuths } = require('../config/firebase');
+const { getTenant } = require('../config/tenants');
 const { logger } = require('../utils/logger');
+const tokenCache = require('../utils/tokenCache');
 
-const authenticateFirebaseToken = async (req, res, next) => {
-  try {
-    // Log incoming request
-    const timestamp = new Date().toISOString();
-    logger.info(`${'🔥'.repeat(30)}`);
-    logger.info(`🔐 [${timestamp}] Authenticating ${req.method} ${req.originalUrl}`);
-    
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return res.status(401).json({
-        error: 'Authorization header is required',
-        code: 'MISSING_AUTH_HEADER'
-      });
-    }
+// Values of the `role` custom claim, granted with scripts/user-roles.js
+const ROLES = ['admin', 'ops', 'field'];
 
-    const token = authHeader.startsWith('Bearer ') 
-      ? authHeader.slice(7) 
-      : authHeader;
+/**
+ * Read the role from a token's custom claims
+ * @param {Object} decodedToken - Verified ID token
+ * @returns {string|null} Role, or null when missing or unknown
+ */
+const getRole = (decodedToken) => (ROLES.includes(decodedToken.role) ? decodedToken.role : null);
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Bearer token is required',
-        code: 'MISSING_TOKEN'
-      });
-    }
+/**
+ * Check a browser request's Origin against the allowedOrigins of the tenant that issued the token
+ * Requests without an Origin header (mobile apps, servers) and tenants without a list are allowed.
+ * @param {Object} req - Express request
+ * @param {Object|null} tenant - Tenant from the registry
+ * @returns {boolean} Whether the origin is allowed
+ */
+const isOriginAllowed = (req, tenant) => {
+  const { origin } = req.headers;
+  return !origin || !tenant || tenant.allowedOrigins.length === 0 || tenant.allowedOrigins.includes(origin);
+};
 
-    // Get all Firebase auth instances
-    const firebaseAuths = getAllFirebaseAuths();
-    
-    let decodedToken = null;
-    let authenticatedWith = null;
-    let lastError = null;
-
-    // Try to authenticate with each Firebase configuration
-    for (const firebaseAuth of firebaseAuths) {
-      try {
-        logger.info(`Attempting authentication with Firebase config: ${firebaseAuth.name}`);
-        decodedToken = await firebaseAuth.auth.verifyIdToken(token);
-        authenticatedWith = firebaseAuth.name;
-        logger.info(`✅ Successfully authenticated with Firebase config: ${firebaseAuth.name}`);
-        break;
-      } catch (error) {
-        lastError = error;
-        logger.info(`❌ Authentication failed with Firebase config: ${firebaseAuth.name} - ${error.message}`);
-        continue;
-      }
-    }
+const originNotAllowed = (req, res) => res.status(403).json({
+  error: `Origin ${req.headers.origin} is not allowed for this app`,
+  code: 'ORIGIN_NOT_ALLOWED'
+});
 
-    // If authentication failed with all configurations
-    if (!decodedToken) {
-      logger.error('Firebase token verification failed with all configurations:', lastError?.message);
-      
-      // Handle specific Firebase Auth errors from the last attempt
-      if (lastError?.code === 'auth/id-token-expired') {
-        return res.status(401).json({
-          error: 'Token has expired',
-          code: 'TOKEN_EXPIRED'
-        });
-      } else if (lastError?.code === 'auth/id-token-revoked') {
-        return res.status(401).json({
-          error: 'Token has been revoked',
-          code: 'TOKEN_REVOKED'
-        });
-      } else if (lastError?.code === 'auth/invalid-id-token') {
-        return res.status(401).json({
-          error: 'Invalid token format',
-          code: 'INVALID_TOKEN'
-        });
-      }
+// Firebase ID tokens carry aud = <project id> and iss = https://securetoken.google.com/<project id>
+const FIREBASE_ISSUER_PREFIX = 'https://securetoken.google.com/';
 
-      return res.status(401).json({
-        error: 'Authentication failed with all Firebase configurations',
-        code: 'AUTH_FAILED'
-      });
-    }
+// AUTH_CHECK_REVOKED: 'admin' checks revocation on sensitive routes only (default), 'all' everywhere, 'off' nowhere
+const REVOCATION_MODES = ['admin', 'all', 'off'];
 
-    // Check if the user is anonymous (if you want to specifically validate anonymous users)
-    if (!decodedToken.firebase.sign_in_provider) {
-      return res.status(401).json({
-        error: 'Invalid authentication provider',
-        code: 'INVALID_PROVIDER'
-      });
-    }
+// Firebase Auth errors answered with their own code; any other failure is AUTH_FAILED
+const VERIFICATION_ERRORS = {
+  'auth/id-token-expired': { error: 'Token has expired', code: 'TOKEN_EXPIRED' },
+  'auth/id-token-revoked': { error: 'Token has been revoked', code: 'TOKEN_REVOKED' },
+  'auth/invalid-id-token': { error: 'Invalid token format', code: 'INVALID_TOKEN' }
+};
+
+/**
+ * Decode a JWT without checking its signature
+ * Only used to pick the project to verify against; nothing read here is trusted.
+ * @param {string} token - Raw JWT
+ * @returns {Object|null} { header, payload }, or null when the token is not a JWT
+ */
+const decodeUnverifiedToken = (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const [header, payload] = parts.slice(0, 2).map(part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+    return header && typeof header === 'object' && payload && typeof payload === 'object' ? { header, payload } : null;
+  } catch (error) {
+    return null;
+  }
+};
 
-    // Add user information to request object
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email || null,
-      isAnonymous: decodedToken.firebase.sign_in_provider === 'anonymous',
-      provider: decodedToken.firebase.sign_in_provider,
-      authTime: decodedToken.auth_time,
-      issuedAt: decodedToken.iat,
-      expiresAt: decodedToken.exp,
-      authenticatedWith: authenticatedWith // Which Firebase config was used
+/**
+ * Check whether a route's tokens are verified with checkRevoked
+ * @param {boolean} sensitive - Whether the route is sensitive (e.g. cache administration)
+ * @returns {boolean} Whether revocation is checked
+ */
+const shouldCheckRevoked = (sensitive) => {
+  const configured = (process.env.AUTH_CHECK_REVOKED || '').toLowerCase();
+  const mode = REVOCATION_MODES.includes(configured) ? configured : 'admin';
+  return mode === 'all' || (mode === 'admin' && sensitive);
+};
+
+/**
+ * Verify a token against the Firebase config whose project issued it
+ * Tokens verified recently are served from the token cache, unless revocation is checked:
+ * that needs a round trip to Firebase Auth on every request.
+ * @param {string} token - Raw ID token
+ * @param {Object[]} firebaseAuths - Accepted configs, from getAllFirebaseAuths
+ * @param {Object} options - { checkRevoked }
+ * @returns {Promise<Object>} { decodedToken, authenticatedWith } when verified,
+ *   otherwise { status, error, code } to answer with
+ */
+const verifyToken = async (token, firebaseAuths, { checkRevoked = false } = {}) => {
+  const cached = checkRevoked ? null : tokenCache.get(token);
+  if (cached && firebaseAuths.some(({ name }) => name === cached.authenticatedWith)) {
+    return cached;
+  }
+
+  const decoded = decodeUnverifiedToken(token);
+  if (!decoded) {
+    return { status: 401, ...VERIFICATION_ERRORS['auth/invalid-id-token'] };
+  }
+
+  const { aud, iss } = decoded.payload;
+  const firebaseAuth = firebaseAuths.find(({ projectId }) => aud === projectId && iss === `${FIREBASE_ISSUER_PREFIX}${projectId}`);
+  if (!firebaseAuth) {
+    logger.warn('Token issued for an unknown Firebase project', { aud, iss });
+    return {
+      status: 401,
+      error: 'Token was not issued by an accepted Firebase project',
+      code: 'UNKNOWN_PROJECT'
     };
+  }
 
-    logger.info(`Authenticated user: ${decodedToken.uid} (${req.user.isAnonymous ? 'anonymous' : 'registered'}) via ${authenticatedWith} config`);
-    next();
+  let decodedToken;
+  try {
+    decodedToken = await firebaseAuth.auth.verifyIdToken(token, checkRevoked);
   } catch (error) {
-    logger.error('Unexpected error during authentication:', error.message);
-    
-    return res.status(500).json({
-      error: 'Internal authentication error',
-      code: 'INTERNAL_AUTH_ERROR'
-    });
+    if (error.code === 'auth/id-token-revoked') {
+      tokenCache.delete(token);
+    }
+    logger.error(`Firebase token verification failed with ${firebaseAuth.name}:`, error.message);
+    return {
+      status: 401,
+      ...(VERIFICATION_ERRORS[error.code] || { error: `Authentication failed with ${firebaseAuth.name}`, code: 'AUTH_FAILED' })
+    };
   }
+
+  if (!decodedToken.firebase?.sign_in_provider) {
+    return {
+      status: 401,
+      error: 'Invalid authentication provider',
+      code: 'INVALID_PROVIDER'
+    };
+  }
+
+  const verification = { decodedToken, authenticatedWith: firebaseAuth.name };
+  tokenCache.set(token, verification);
+  return verification;
 };
 
-// Middleware específico para autenticar apenas com uma configuração Firebase específica
-const authenticateWithSpecificFirebase = (configName) => {
+/**
+ * Build the authentication middleware
+ * @param {string|null} configName - Only accept tokens of this Firebase config (null accepts every config)
+ * @param {Object} options - { sensitive } where sensitive routes check revocation under AUTH_CHECK_REVOKED=admin
+ * @returns {Function} Express middleware
+ */
+const createAuthMiddleware = (configName = null, { sensitive = false } = {}) => {
   return async (req, res, next) => {
     try {
+      // Log incoming request
       const timestamp = new Date().toISOString();
-      logger.info(`🔐 [${timestamp}] Authenticating ${req.method} ${req.originalUrl} with ${configName} config`);
-      
+      logger.info(`🔐 [${timestamp}] Authenticating ${req.method} ${req.originalUrl}${configName ? ` with ${configName} config` : ''}`);
+
       const authHeader = req.headers.authorization;
-      
+
       if (!authHeader) {
         return res.status(401).json({
           error: 'Authorization header is required',
@@ -137,18 +166,31 @@ const authenticateWithSpecificFirebase = (configName) => {
         });
       }
 
-      const firebaseAuths = getAllFirebaseAuths();
-      const firebaseAuth = firebaseAuths.find(auth => auth.name === configName);
+      let firebaseAuths = getAllFirebaseAuths();
+      if (configName) {
+        firebaseAuths = firebaseAuths.filter(auth => auth.name === configName);
+        if (firebaseAuths.length === 0) {
+          return res.status(500).json({
+            error: `Firebase configuration '${configName}' not found`,
+            code: 'CONFIG_NOT_FOUND'
+          });
+        }
+      }
 
-      if (!firebaseAuth) {
-        return res.status(500).json({
-          error: `Firebase configuration '${configName}' not found`,
-          code: 'CONFIG_NOT_FOUND'
-        });
+      const verification = await verifyToken(token, firebaseAuths, { checkRevoked: shouldCheckRevoked(sensitive) });
+      if (!verification.decodedToken) {
+        const { status, error, code } = verification;
+        return res.status(status).json({ error, code });
       }
 
-      const decodedToken = await firebaseAuth.auth.verifyIdToken(token);
+      const { decodedToken, authenticatedWith } = verification;
+      const tenant = getTenant(authenticatedWith);
+      if (!isOriginAllowed(req, tenant)) {
+        return originNotAllowed(req, res);
+      }
 
+      // Add user information to request object
+      req.tenant = tenant;
       req.user = {
         uid: decodedToken.uid,
         email: decodedToken.email || null,
@@ -157,40 +199,64 @@ const authenticateWithSpecificFirebase = (configName) => {
         authTime: decodedToken.auth_time,
         issuedAt: decodedToken.iat,
         expiresAt: decodedToken.exp,
-        authenticatedWith: configName
+        role: getRole(decodedToken),
+        authenticatedWith: authenticatedWith // Which Firebase config was used
       };
 
-      logger.info(`Authenticated user: ${decodedToken.uid} with ${configName} config`);
+      logger.info(`Authenticated user: ${decodedToken.uid} (${req.user.isAnonymous ? 'anonymous' : 'registered'}) via ${authenticatedWith} config`);
       next();
     } catch (error) {
-      logger.error(`Firebase token verification failed with ${configName}:`, error.message);
-      
-      if (error.code === 'auth/id-token-expired') {
-        return res.status(401).json({
-          error: 'Token has expired',
-          code: 'TOKEN_EXPIRED'
-        });
-      } else if (error.code === 'auth/id-token-revoked') {
-        return res.status(401).json({
-          error: 'Token has been revoked',
-          code: 'TOKEN_REVOKED'
-        });
-      } else if (error.code === 'auth/invalid-id-token') {
-        return res.status(401).json({
-          error: 'Invalid token format',
-          code: 'INVALID_TOKEN'
-        });
-      }
+      logger.error('Unexpected error during authentication:', error.message);
 
-      return res.status(401).json({
-        error: `Authentication failed with ${configName}`,
-        code: 'AUTH_FAILED'
+      return res.status(500).json({
+        error: 'Internal authentication error',
+        code: 'INTERNAL_AUTH_ERROR'
       });
     }
   };
 };
 
+// Tokens are verified only against the project named by their aud/iss claims
+const authenticateFirebaseToken = createAuthMiddleware();
+
+// Same, for sensitive routes such as cache administration: revoked tokens are rejected at once
+const authenticateAdminToken = createAuthMiddleware(null, { sensitive: true });
+
+// Middleware específico para autenticar apenas com uma configuração Firebase específica
+const authenticateWithSpecificFirebase = (configName) => createAuthMiddleware(configName);
+
+/**
+ * Allow only callers holding one of the given roles; use after authenticateFirebaseToken
+ * Anonymous users are always rejected, whatever their claims.
+ * @param {...string} roles - Accepted roles (see ROLES)
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.isAnonymous) {
+      logger.warn(`🚫 Anonymous access to ${req.method} ${req.originalUrl} denied`);
+      return res.status(403).json({
+        error: 'Anonymous users cannot access this resource',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.warn(`🚫 User ${req.user.uid} (role: ${req.user.role || 'none'}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: `This resource requires one of the roles: ${roles.join(', ')}`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
+  ROLES,
   authenticateFirebaseToken,
-  authenticateWithSpecificFirebase
+  authenticateAdminToken,
+  authenticateWithSpecificFirebase,
+  requireRole
 };
@@ -1,29 +1,411 @@
 const crypto = require('crypto');
 const redisService = require('../config/redis');
 const { logger } = require('../utils/logger');
-const { roundCoordinates } = require('../utils/coordinateUtils');
+const { roundCoordinates, DEFAULT_COORDINATE_PRECISION } = require('../utils/coordinateUtils');
+const { normalizeAddress, isDistinctiveAddress } = require('../utils/addressUtils');
+const cacheMetrics = require('../utils/cacheMetrics');
+const { CACHE_SCHEMA_VERSION, upgradeCachedResponse } = require('../utils/cacheSchema');
+const requestCoalescer = require('../utils/requestCoalescer');
+const memoryCache = require('../utils/memoryCache');
+const { consumeQuota } = require('./quota');
+
+// Geo index of reverse geocoding entries, members are cache keys
+// (tenant namespaces have their own, see getGeoIndexKey)
+const REVERSE_GEO_INDEX_KEY = 'geo-index:reverse-geocode';
+// Tenant cache namespaces are short lowercase names, never a hash or 'user' (see config/tenants)
+const CACHE_NAMESPACE_PATTERN = /^[a-z][a-z0-9_-]{0,23}$/;
+// Cached responses only; other keys that match *geocode:* (e.g. coalescing locks) are not entries
+const CACHE_ENTRY_KEY_PATTERN = /^(reverse-)?geocode:/;
+const DEFAULT_NEARBY_CACHE_RADIUS_METERS = 500;
+const NEARBY_CACHE_CANDIDATES = 3;
+const METERS_PER_DEGREE = 111320;
+// Provider name of the offline boundary dataset (see services/offlineBoundaryService)
+const OFFLINE_PROVIDER = 'offline';
 
 /**
  * Generate cache key based on request data and user
  * @param {string} prefix - Cache key prefix
  * @param {Object} data - Data to include in cache key
  * @param {string} userId - User ID for user-specific caching
+ * @param {string} namespace - Tenant cache namespace (null for the shared cache)
  * @returns {string} Generated cache key
  */
-function generateCacheKey(prefix, data, userId = null) {
+function generateCacheKey(prefix, data, userId = null, namespace = null) {
   // Ensure coordinates are rounded for consistent cache keys
   if (data.latitude !== undefined && data.longitude !== undefined) {
-  const rounded = roundCoordinates(data.latitude, data.longitude, 2);
+    const rounded = roundCoordinates(data.latitude, data.longitude, data.precision || DEFAULT_COORDINATE_PRECISION);
     data = { ...data, latitude: rounded.latitude, longitude: rounded.longitude };
   }
   
   const dataString = JSON.stringify(data);
   const hash = crypto.createHash('md5').update(dataString).digest('hex');
+  const scope = namespace ? `${prefix}:${namespace}` : prefix;
   
   if (userId) {
-    return `${prefix}:user:${userId}:${hash}`;
+    return `${scope}:user:${userId}:${hash}`;
+  }
+  return `${scope}:${hash}`;
+}
+
+/**
+ * Check whether a key holds a cached geocoding response
+ * @param {string} key - Redis key
+ * @returns {boolean} Whether the key is a cache entry from generateCacheKey
+ */
+function isCacheEntryKey(key) {
+  return CACHE_ENTRY_KEY_PATTERN.test(key);
+}
+
+/**
+ * Get the tenant cache namespace a cache key belongs to
+ * @param {string} cacheKey - Cache key from generateCacheKey
+ * @returns {string|null} Namespace, or null for the shared cache
+ */
+function getCacheNamespace(cacheKey) {
+  const parts = cacheKey.split(':');
+  return parts.length > 2 && parts[1] !== 'user' && CACHE_NAMESPACE_PATTERN.test(parts[1]) ? parts[1] : null;
+}
+
+/**
+ * Get the geo index of a cache namespace
+ * The namespace goes before the suffix, so the index never matches '*geocode:*' entry patterns.
+ * @param {string} namespace - Tenant cache namespace (null for the shared cache)
+ * @returns {string} Geo index key
+ */
+function getGeoIndexKey(namespace = null) {
+  return namespace ? `geo-index:${namespace}:reverse-geocode` : REVERSE_GEO_INDEX_KEY;
+}
+
+/**
+ * Generate the reverse geocoding cache key for a snapped coordinate cell
+ * Decimal cells at the default precision keep the original key format, so
+ * entries cached before precision became configurable are still found.
+ * Other precisions and geohash cells get their own keys and never collide.
+ * @param {Object} coordinates - Snapped { latitude, longitude }
+ * @param {Object} precision - { scheme, decimals, cell } from snapCoordinates
+ * @param {string} userId - User ID for user-specific caching
+ * @param {string} namespace - Tenant cache namespace (null for the shared cache)
+ * @returns {string} Generated cache key
+ */
+function generateReverseCacheKey(coordinates, precision, userId = null, namespace = null) {
+  const { latitude, longitude } = coordinates;
+
+  if (precision.scheme === 'geohash') {
+    return generateCacheKey('reverse-geocode', { geohash: precision.cell }, userId, namespace);
+  }
+
+  if (precision.decimals === DEFAULT_COORDINATE_PRECISION) {
+    return generateCacheKey('reverse-geocode', { latitude, longitude }, userId, namespace);
+  }
+
+  return generateCacheKey('reverse-geocode', { latitude, longitude, precision: precision.decimals }, userId, namespace);
+}
+
+/**
+ * Generate the forward geocoding cache key for an address
+ * Keys use the normalized address, so spelling variants of one address share an entry.
+ * Addresses that normalize to nothing or to digits only are keyed as typed instead,
+ * so unrelated inputs never share their entry.
+ * @param {string} address - Validated address as typed by the client
+ * @param {string} userId - User ID for user-specific caching
+ * @param {string} namespace - Tenant cache namespace (null for the shared cache)
+ * @returns {string} Generated cache key
+ */
+function generateForwardCacheKey(address, userId = null, namespace = null) {
+  const normalized = normalizeAddress(address);
+  const keyAddress = isDistinctiveAddress(normalized) ? normalized : address;
+  return generateCacheKey('geocode', { address: keyAddress }, userId, namespace);
+}
+
+/**
+ * Look up a forward geocoding entry cached under the verbatim address
+ * Entries written before addresses were normalized are keyed by the address as
+ * typed. A hit is copied under the normalized key, so other spellings find it too.
+ * Tenant namespaces came later and never held such entries.
+ * @param {string} address - Validated address as typed by the client
+ * @param {string} cacheKey - Normalized cache key from generateForwardCacheKey
+ * @param {string} userId - User ID for user-specific caching
+ * @returns {Promise<Object|null>} Cached response body or null on miss
+ */
+async function getLegacyForwardResponse(address, cacheKey, userId = null) {
+  const legacyKey = generateCacheKey('geocode', { address }, userId);
+  if (legacyKey === cacheKey || getCacheNamespace(cacheKey)) {
+    return null;
+  }
+
+  const cachedResponse = await getCachedGeocodingResponse(legacyKey);
+  if (cachedResponse) {
+    const ttl = cachedResponse.cacheMetadata?.perpetual === false ? cachedResponse.cacheMetadata.originalTtl : 0;
+    await redisService.set(cacheKey, cachedResponse, ttl);
+    logger.info('[CACHE] Legacy forward entry copied to normalized key', { legacyKey, cacheKey });
+  }
+  return cachedResponse;
+}
+
+/**
+ * Get how far a cached reverse geocoding entry may be from the requested point and still be reused
+ * Capped at half the cell diagonal of the requested precision, so an approximate
+ * hit is never further off than snapping at that precision could be.
+ * @param {Object} precision - { scheme, decimals } from snapCoordinates
+ * @returns {number} Radius in meters (0 when nearby reuse is disabled)
+ */
+function getNearbyCacheRadius(precision) {
+  const configured = parseInt(process.env.NEARBY_CACHE_RADIUS_METERS);
+  const maxRadius = isNaN(configured) ? DEFAULT_NEARBY_CACHE_RADIUS_METERS : configured;
+  const halfDiagonal = (METERS_PER_DEGREE * Math.pow(10, -precision.decimals) * Math.SQRT2) / 2;
+
+  return Math.max(0, Math.min(maxRadius, halfDiagonal));
+}
+
+/**
+ * Find a cached reverse geocoding response close to a point
+ * Index members whose entry no longer exists are removed as they are found.
+ * The response reports the requested precision in data.precision; the precision
+ * the entry was cached at is kept in data.sourcePrecision.
+ * @param {Object} point - Unsnapped { latitude, longitude } as sent by the client
+ * @param {Object} precision - { scheme, decimals } from snapCoordinates
+ * @param {string} namespace - Tenant cache namespace (null for the shared cache)
+ * @returns {Promise<Object|null>} { cacheKey, response, distanceMeters } or null
+ */
+async function findNearbyGeocodingResponse(point, precision, namespace = null) {
+  const radius = getNearbyCacheRadius(precision);
+  if (radius === 0 || !redisService.isAvailable()) {
+    return null;
+  }
+
+  const geoIndexKey = getGeoIndexKey(namespace);
+  const candidates = await redisService.geosearch(
+    geoIndexKey, point.longitude, point.latitude, radius, NEARBY_CACHE_CANDIDATES
+  );
+
+  for (const { member, distanceMeters } of candidates) {
+    const cachedResponse = await getCachedGeocodingResponse(member);
+    if (cachedResponse) {
+      const data = { ...cachedResponse.data, precision, sourcePrecision: cachedResponse.data?.precision };
+      return { cacheKey: member, response: { ...cachedResponse, data }, distanceMeters };
+    }
+    await redisService.zrem(geoIndexKey, member);
+  }
+
+  return null;
+}
+
+/**
+ * Look up a cached geocoding response in the in-process L1 cache, then in Redis
+ * Redis hits are upgraded to the current schema version and copied into L1.
+ * Upgraded entries are written back with their remaining TTL unless
+ * CACHE_SCHEMA_WRITE_BACK is 'false'.
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object|null>} { response, tier } where tier is 'memory' or 'redis', or null on miss
+ */
+async function lookupCachedGeocodingResponse(cacheKey) {
+  const memoryResponse = memoryCache.get(cacheKey);
+  if (memoryResponse) {
+    return { response: memoryResponse, tier: 'memory' };
+  }
+
+  if (!redisService.isAvailable()) {
+    return null;
+  }
+
+  const cachedResponse = await redisService.get(cacheKey);
+  if (!cachedResponse || typeof cachedResponse !== 'object') {
+    return null;
+  }
+
+  const cachePrefix = cacheKey.startsWith('reverse-geocode:') ? 'reverse-geocode' : 'geocode';
+  const { response, upgraded } = upgradeCachedResponse(cachedResponse, cachePrefix);
+
+  if (upgraded && process.env.CACHE_SCHEMA_WRITE_BACK !== 'false') {
+    writeBackUpgradedResponse(cacheKey, response);
+  }
+
+  memoryCache.set(cacheKey, response);
+  return { response, tier: 'redis' };
+}
+
+/**
+ * Read a cached geocoding response, upgraded to the current schema version
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object|null>} Cached response body or null on miss
+ */
+async function getCachedGeocodingResponse(cacheKey) {
+  const cached = await lookupCachedGeocodingResponse(cacheKey);
+  return cached ? cached.response : null;
+}
+
+/**
+ * Replace a stored entry with its upgraded form, keeping its remaining TTL
+ * @param {string} cacheKey - Cache key
+ * @param {Object} response - Upgraded response body
+ * @returns {Promise<boolean>} Success status
+ */
+async function writeBackUpgradedResponse(cacheKey, response) {
+  try {
+    const ttl = await redisService.ttl(cacheKey);
+    if (ttl === -2) {
+      return false; // Expired or deleted meanwhile
+    }
+
+    const stored = await redisService.set(cacheKey, response, ttl > 0 ? ttl : 0);
+    logger.debug(`Cache entry upgraded to schema version ${CACHE_SCHEMA_VERSION}`, {
+      cacheKey,
+      from: response.cacheMetadata.upgradedFrom
+    });
+    return stored;
+  } catch (error) {
+    logger.error('Failed to write back upgraded cache entry:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check whether a successful geocoding response may be cached
+ * Offline boundary answers only stand in while the online providers are down
+ * and are cheaper to recompute than to read back, so they are never stored:
+ * once the primary provider recovers, the next lookup reaches it again.
+ * @param {Object} body - Response body or provider result ({ success, data })
+ * @returns {boolean} Whether the response may be written to the cache
+ */
+function isCacheableResponse(body) {
+  return body.data?.provider !== OFFLINE_PROVIDER;
+}
+
+/**
+ * Store a successful geocoding response body with cache metadata
+ * @param {string} cacheKey - Cache key
+ * @param {Object} data - Response body to cache
+ * @param {Object} options - { cachePrefix, ttl, perpetual, userId }
+ * @returns {Promise<boolean>} Success status
+ */
+function storeGeocodingResponse(cacheKey, data, { cachePrefix, ttl = 86400, perpetual = false, userId = null } = {}) {
+  // Prepare cache data
+  const responseToCache = { ...data };
+  delete responseToCache.cached;
+  delete responseToCache.cacheTimestamp;
+  delete responseToCache.cacheMetadata;
+  // Entries are shared between users; the user block is added per request on hits
+  delete responseToCache.user;
+  
+  // Add cache metadata
+  responseToCache.cacheMetadata = {
+    cachedAt: new Date().toISOString(),
+    perpetual: perpetual,
+    cachePrefix: cachePrefix,
+    originalTtl: ttl,
+    schemaVersion: CACHE_SCHEMA_VERSION
+  };
+  
+  // Set cache with appropriate TTL
+  const finalTtl = perpetual ? 0 : ttl; // 0 means no expiration in Redis
+  const cacheType = perpetual ? 'PERPETUAL' : `${ttl}s TTL`;
+  logger.info(`Response cached for ${cachePrefix} (${cacheType})`, { cacheKey, ttl: finalTtl, userId, perpetual });
+
+  // L1 also keeps it when Redis is down
+  memoryCache.set(cacheKey, responseToCache, finalTtl);
+
+  const stored = redisService.set(cacheKey, responseToCache, finalTtl).catch(error => {
+    logger.error('Failed to cache response:', error.message);
+    return false;
+  });
+
+  // Shared reverse geocoding entries are indexed for nearby reuse
+  const coordinates = responseToCache.data?.coordinates;
+  if (cachePrefix !== 'reverse-geocode' || !coordinates || cacheKey.includes(':user:')) {
+    return stored;
   }
-  return `${prefix}:${hash}`;
+
+  return stored.then(async success => {
+    if (success) {
+      await redisService.geoadd(getGeoIndexKey(getCacheNamespace(cacheKey)), coordinates.longitude, coordinates.latitude, cacheKey);
+    }
+    return success;
+  });
+}
+
+/**
+ * Get after how long a perpetual entry is refreshed in the background when served
+ * @returns {number} Age in seconds (0 when revalidation is disabled)
+ */
+function getRevalidateAfter() {
+  return (parseInt(process.env.CACHE_REVALIDATE_AFTER_DAYS) || 0) * 24 * 60 * 60;
+}
+
+/**
+ * Check whether a cached entry is due for a background refresh
+ * Age counts from the last revalidation, or from caching when never revalidated.
+ * @param {Object} cachedResponse - Cached response body
+ * @param {number} revalidateAfter - Age in seconds (0 disables)
+ * @returns {boolean} Whether the entry should be refreshed
+ */
+function isRevalidationDue(cachedResponse, revalidateAfter) {
+  const metadata = cachedResponse.cacheMetadata;
+  if (!revalidateAfter || !metadata?.perpetual) {
+    return false;
+  }
+
+  const checkedAt = Date.parse(metadata.revalidatedAt || metadata.cachedAt);
+  return isNaN(checkedAt) || Date.now() - checkedAt >= revalidateAfter * 1000;
+}
+
+/**
+ * Build the body served for a cache hit
+ * @param {Object} cachedResponse - Cached response body
+ * @param {Object} extraMetadata - Fields merged into cacheMetadata
+ * @param {Object|null} user - Authenticated request user (req.user), reported in the user block
+ * @returns {Object} Response body
+ */
+function buildCachedResponseBody(cachedResponse, extraMetadata = {}, user = null) {
+  const cacheAge = cachedResponse.cacheMetadata ?
+    Date.now() - new Date(cachedResponse.cacheMetadata.cachedAt).getTime() : 0;
+  const isPerpetual = cachedResponse.cacheMetadata?.perpetual || false;
+
+  // Entries cached before the user block was stripped must not leak the first requester
+  const payload = { ...cachedResponse };
+  delete payload.user;
+
+  return {
+    ...payload,
+    ...(user && { user: { uid: user.uid, isAnonymous: user.isAnonymous } }),
+    cached: true,
+    cacheTimestamp: new Date().toISOString(),
+    cacheMetadata: {
+      ...cachedResponse.cacheMetadata,
+      isPerpetual,
+      cacheAge: Math.floor(cacheAge / 1000), // Age in seconds
+      servedAt: new Date().toISOString(),
+      ...extraMetadata
+    }
+  };
+}
+
+/**
+ * Build the body served to a request that waited for another request's upstream call
+ * @param {Object} body - Body the leading request answered with
+ * @param {Object|null} user - Authenticated request user (req.user), reported in the user block
+ * @param {string|null} address - This request's address (req.address) for forward geocoding
+ * @returns {Object} Response body
+ */
+function buildCoalescedResponseBody(body, user = null, address = null) {
+  // The leader's user block describes the leader, not this caller
+  const payload = { ...body };
+  delete payload.user;
+
+  // The leader may have sent another spelling of the same normalized address; echo this request's input
+  if (address !== null) {
+    if (payload.data) {
+      payload.data = { ...payload.data, address };
+    }
+    if (payload.address !== undefined) {
+      payload.address = address;
+    }
+  }
+
+  return {
+    ...payload,
+    ...(user && payload.success && { user: { uid: user.uid, isAnonymous: user.isAnonymous } }),
+    coalesced: true
+  };
 }
 
 /**
@@ -32,39 +414,43 @@ function generateCacheKey(prefix, data, userId = null) {
  * @param {number} ttl - Cache time-to-live in seconds (default: 24 hours, 0 for no expiration)
  * @param {boolean} userSpecific - Whether to make cache user-specific (default: false)
  * @param {boolean} perpetual - Whether to use perpetual caching (never expires) (default: false)
+ * @param {Object} revalidation - { revalidateAfter } age in seconds after which perpetual hits are
+ *   refreshed in the background (default: CACHE_REVALIDATE_AFTER_DAYS, 0 disables)
  * @returns {Function} Express middleware function
  */
-function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false, perpetual = false) {
+function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false, perpetual = false, { revalidateAfter } = {}) {
   return async (req, res, next) => {
-    // Skip caching if Redis is not available
-    if (!redisService.isAvailable()) {
+    // Without Redis, the in-process L1 cache still serves (degraded mode)
+    if (!redisService.isAvailable() && !memoryCache.isEnabled()) {
       return next();
     }
 
     try {
-      // Generate cache key based on request data
-      let cacheData;
+      // Generate cache key based on request data, in the tenant's namespace when it has one
+      const userId = userSpecific && req.user ? req.user.uid : null;
+      const namespace = req.tenant?.cachePrefix || null;
+      let cacheKey;
       if (cachePrefix === 'reverse-geocode') {
-        cacheData = { latitude: req.coordinates.latitude, longitude: req.coordinates.longitude };
+        cacheKey = generateReverseCacheKey(req.coordinates, req.coordinatePrecision, userId, namespace);
       } else if (cachePrefix === 'geocode') {
-        cacheData = { address: req.address };
+        cacheKey = generateForwardCacheKey(req.address, userId, namespace);
       } else {
         return next();
       }
 
-      const userId = userSpecific && req.user ? req.user.uid : null;
-      const cacheKey = generateCacheKey(cachePrefix, cacheData, userId);
-
       // Try to get cached response
-      const cachedResponse = await redisService.get(cacheKey);
-        if (cachedResponse && typeof cachedResponse === 'object') {
+      let cached = await lookupCachedGeocodingResponse(cacheKey);
+      if (!cached && cachePrefix === 'geocode') {
+        const legacyResponse = await getLegacyForwardResponse(req.address, cacheKey, userId);
+        cached = legacyResponse && { response: legacyResponse, tier: 'redis' };
+      }
+      if (cached) {
+        let cachedResponse = cached.response;
+
         // Log the request even when serving from cache
         const logData = { cacheKey, userId, cached: true };
         
-        // Check if cache is perpetual and add metadata
-        const cacheAge = cachedResponse.cacheMetadata ? 
-          Date.now() - new Date(cachedResponse.cacheMetadata.cachedAt).getTime() : 0;
-        const isPerpetual = cachedResponse.cacheMetadata?.perpetual || false;        // Add client info to log if available (for reverse geocoding)
+        // Add client info to log if available (for reverse geocoding)
         if (req.clientInfo && cachePrefix === 'reverse-geocode') {
           logData.clientInfo = req.clientInfo;
           logData.coordinates = { 
@@ -73,6 +459,7 @@ function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false,
           };
           // Log resumido e agrupado
           logger.info('[CACHE] Hit (reverse geocode)', {
+            tier: cached.tier,
             appVersion: req.clientInfo.appVersion || 'N/A',
             buildNumber: req.clientInfo.buildNumber || 'N/A',
             platform: req.clientInfo.platform || 'N/A',
@@ -86,7 +473,12 @@ function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false,
           });
         } else if (cachePrefix === 'geocode') {
           logData.address = req.address;
+          // The entry may have been cached for another spelling; echo this request's input
+          if (cachedResponse.data) {
+            cachedResponse = { ...cachedResponse, data: { ...cachedResponse.data, address: req.address } };
+          }
           logger.info('[CACHE] Hit (geocode)', {
+            tier: cached.tier,
             address: req.address,
             formattedAddress: cachedResponse.data?.formatted_address,
             coordinates: cachedResponse.data?.geometry?.location,
@@ -96,17 +488,96 @@ function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false,
           logger.info(`[CACHE] Hit (${cachePrefix})`);
         }
         
-        return res.status(200).json({
-          ...cachedResponse,
-          cached: true,
-          cacheTimestamp: new Date().toISOString(),
-          cacheMetadata: {
-            ...cachedResponse.cacheMetadata,
-            isPerpetual,
-            cacheAge: Math.floor(cacheAge / 1000), // Age in seconds
-            servedAt: new Date().toISOString()
-          }
+        // Stale-while-revalidate: serve the entry now, refresh it after responding
+        const revalidate = isRevalidationDue(cachedResponse, revalidateAfter ?? getRevalidateAfter());
+
+        if (!await consumeQuota(req, res, 'hits')) {
+          return;
+        }
+        cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, {
+          hits: 1,
+          l1Hits: cached.tier === 'memory' ? 1 : 0
         });
+        res.status(200).json(buildCachedResponseBody(cachedResponse, {
+          approximate: false,
+          ...(revalidate && { revalidating: true })
+        }, req.user));
+
+        if (revalidate) {
+          // Required lazily: the geocoding service stack depends on this module
+          const { revalidateCachedResponse } = require('../services/geocodingCache');
+          revalidateCachedResponse(cacheKey, cached.response, {
+            cachePrefix,
+            coordinates: req.coordinates,
+            address: req.address,
+            tenant: req.tenant
+          });
+        }
+        return;
+      }
+
+      // On a reverse geocoding miss, reuse an entry cached close enough to the requested point
+      if (cachePrefix === 'reverse-geocode' && !userId) {
+        const nearby = await findNearbyGeocodingResponse(req.originalCoordinates, req.coordinatePrecision, namespace);
+        if (nearby) {
+          logger.info('[CACHE] Approximate hit (reverse geocode)', {
+            coordinates: req.originalCoordinates,
+            sourceCacheKey: nearby.cacheKey,
+            distanceMeters: nearby.distanceMeters,
+            address: nearby.response.data?.formatted_address
+          });
+
+          if (!await consumeQuota(req, res, 'hits')) {
+            return;
+          }
+          cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, { approximateHits: 1 });
+          return res.status(200).json(buildCachedResponseBody(nearby.response, {
+            approximate: true,
+            distanceMeters: Math.round(nearby.distanceMeters),
+            sourceCacheKey: nearby.cacheKey
+          }, req.user));
+        }
+      }
+
+      // Single-flight: concurrent misses for the same key share one upstream call
+      const echoedAddress = cachePrefix === 'geocode' ? req.address : null;
+      const leaderOutcome = await requestCoalescer.join(cacheKey);
+      if (leaderOutcome) {
+        logger.info(`[CACHE] Coalesced (${cachePrefix})`, { cacheKey, statusCode: leaderOutcome.statusCode });
+        if (!await consumeQuota(req, res, 'hits')) {
+          return;
+        }
+        cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, { coalesced: 1 });
+        return res.status(leaderOutcome.statusCode).json(buildCoalescedResponseBody(leaderOutcome.body, req.user, echoedAddress));
+      }
+
+      const flight = requestCoalescer.start(cacheKey);
+      res.on('close', () => flight.finish(null));
+
+      const lockToken = await requestCoalescer.acquireLock(cacheKey);
+      if (!lockToken) {
+        // Another instance is already fetching this key; wait for its cache write
+        const entry = await requestCoalescer.waitForEntry(cacheKey, () => getCachedGeocodingResponse(cacheKey));
+        if (entry) {
+          const body = buildCachedResponseBody(entry, { approximate: false });
+          flight.finish({ statusCode: 200, body });
+
+          logger.info(`[CACHE] Coalesced with another instance (${cachePrefix})`, { cacheKey });
+          if (!await consumeQuota(req, res, 'hits')) {
+            return;
+          }
+          cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, { coalesced: 1 });
+          return res.status(200).json(buildCoalescedResponseBody(body, req.user, echoedAddress));
+        }
+      }
+
+      // Only requests that go on to the provider count against the miss quota;
+      // waiters on this instance retry on their own once this response closes
+      if (!await consumeQuota(req, res, 'misses')) {
+        if (lockToken) {
+          requestCoalescer.releaseLock(cacheKey, lockToken);
+        }
+        return;
       }
 
       // Store original res.json function
@@ -114,36 +585,25 @@ function cacheGeocodingResponse(cachePrefix, ttl = 86400, userSpecific = false,
 
       // Override res.json to cache successful responses
       res.json = function(data) {
-        // Only cache successful responses
-        if (res.statusCode === 200 && data.success) {
-          // Prepare cache data
-          const responseToCache = { ...data };
-          delete responseToCache.cached;
-          delete responseToCache.cacheTimestamp;
-          delete responseToCache.cacheMetadata;
-          
-          // Add cache metadata
-          responseToCache.cacheMetadata = {
-            cachedAt: new Date().toISOString(),
-            perpetual: perpetual,
-            cachePrefix: cachePrefix,
-            originalTtl: ttl
-          };
-          
-          // Set cache with appropriate TTL
-          const finalTtl = perpetual ? 0 : ttl; // 0 means no expiration in Redis
-          redisService.set(cacheKey, responseToCache, finalTtl).catch(error => {
-            logger.error('Failed to cache response:', error.message);
-          });
-          
-          const cacheType = perpetual ? 'PERPETUAL' : `${ttl}s TTL`;
-          logger.info(`Response cached for ${cachePrefix} (${cacheType})`, { cacheKey, ttl: finalTtl, userId, perpetual });
+        let stored = null;
+
+        // Only cache successful responses, and never offline stand-ins
+        if (res.statusCode === 200 && data.success && isCacheableResponse(data)) {
+          stored = storeGeocodingResponse(cacheKey, data, { cachePrefix, ttl, perpetual, userId });
+          cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, { writes: 1 });
+        }
+
+        // Server errors are not shared: waiting requests try on their own
+        flight.finish(res.statusCode < 500 ? { statusCode: res.statusCode, body: data } : null);
+        if (lockToken) {
+          Promise.resolve(stored).finally(() => requestCoalescer.releaseLock(cacheKey, lockToken));
         }
 
         // Call original res.json
         originalJson.call(this, data);
       };
 
+      cacheMetrics.record(cachePrefix, req.user?.authenticatedWith, { misses: 1 });
       next();
     } catch (error) {
       logger.error('Cache middleware error:', error.message);
@@ -225,21 +685,23 @@ function cacheResponse(cachePrefix, ttl = 3600, userSpecific = false) {
 /**
  * Middleware to invalidate cache for specific patterns
  * @param {string|string[]} patterns - Cache key patterns to invalidate
+ * @param {Object} options - Options for CacheManager.clearByPattern (e.g. { limit })
  * @returns {Function} Express middleware function
  */
-function invalidateCache(patterns) {
+function invalidateCache(patterns, options = {}) {
   return async (req, res, next) => {
     if (!redisService.isAvailable()) {
       return next();
     }
 
     try {
+      // Required lazily: cacheManager depends on this module
+      const cacheManager = require('../utils/cacheManager');
       const patternsArray = Array.isArray(patterns) ? patterns : [patterns];
       
       for (const pattern of patternsArray) {
-        // This would need to be implemented based on your Redis setup
-        // Upstash doesn't support pattern deletion directly, so you'd need to track keys
-        logger.info(`Cache invalidation requested for pattern: ${pattern}`);
+        const results = await cacheManager.clearByPattern(pattern, options);
+        logger.info(`Cache invalidated for pattern: ${pattern}`, { deleted: results.deleted, complete: results.complete });
       }
     } catch (error) {
       logger.error('Cache invalidation error:', error.message);
@@ -250,8 +712,20 @@ function invalidateCache(patterns) {
 }
 
 module.exports = {
+  REVERSE_GEO_INDEX_KEY,
+  getCacheNamespace,
+  getGeoIndexKey,
+  isCacheEntryKey,
   cacheGeocodingResponse,
+  getCachedGeocodingResponse,
+  lookupCachedGeocodingResponse,
+  findNearbyGeocodingResponse,
+  isCacheableResponse,
+  storeGeocodingResponse,
   cacheResponse,
   invalidateCache,
-  generateCacheKey
+  generateCacheKey,
+  generateReverseCacheKey,
+  generateForwardCacheKey,
+  getLegacyForwardResponse
 };
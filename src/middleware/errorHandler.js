@@ -27,7 +27,7 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.code === 11000) {
     error.message = 'Duplicate field value';
     error.status = 400;
-  } else if (err.message.includes('Google Maps API error')) {
+  } else if (err.name === 'GeocodingProviderError' || err.message.includes('Google Maps API error')) {
     error.message = 'Geocoding service error';
     error.status = 503;
     error.details = err.message;
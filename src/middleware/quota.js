@@ -0,0 +1,76 @@
+const quotaManager = require('../utils/quotaManager');
+
+const HEADER_NAMES = { hits: 'Hits', misses: 'Misses' };
+
+/**
+ * Report the budget a call was charged to
+ * X-Quota-<Hits|Misses>-Limit and -Remaining describe the tightest of the user
+ * and tenant budgets; X-Quota-Reset is the number of seconds until the window restarts.
+ * @param {Object} res - Express response
+ * @param {Object} state - Result of quotaManager.consume
+ */
+function setQuotaHeaders(res, state) {
+  if (state.limit === null || res.headersSent) {
+    return;
+  }
+
+  res.set(`X-Quota-${HEADER_NAMES[state.kind]}-Limit`, String(state.limit));
+  res.set(`X-Quota-${HEADER_NAMES[state.kind]}-Remaining`, String(state.remaining));
+  res.set('X-Quota-Reset', String(state.resetInSeconds));
+}
+
+/**
+ * Charge a request to the caller's quota, answering 429 when it is over
+ * @param {Object} req - Express request (after authentication)
+ * @param {Object} res - Express response
+ * @param {string} kind - 'hits' or 'misses'
+ * @param {number} count - Number of calls (default: 1)
+ * @returns {Promise<boolean>} Whether the request may proceed; when false, the response was sent
+ */
+async function consumeQuota(req, res, kind, count = 1) {
+  if (!req.user) {
+    return true;
+  }
+
+  const state = await quotaManager.consume(req.user, kind, count);
+  setQuotaHeaders(res, state);
+  if (state.allowed) {
+    return true;
+  }
+
+  res.set('Retry-After', String(state.resetInSeconds));
+  res.status(429).json({
+    error: kind === 'misses'
+      ? `Geocoding quota exceeded for this ${state.exceededScope}: no more provider calls until the window resets`
+      : `Geocoding quota exceeded for this ${state.exceededScope}: no more lookups until the window resets`,
+    code: 'QUOTA_EXCEEDED',
+    quota: {
+      kind,
+      scope: state.exceededScope,
+      limit: state.limit,
+      resetInSeconds: state.resetInSeconds
+    }
+  });
+  return false;
+}
+
+/**
+ * Build the check run for each item of a batch, charging one call at a time
+ * Items over quota fail on their own instead of failing the whole batch.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} kind - 'hits' (before an item is served from the cache) or 'misses' (before a provider call)
+ * @returns {Function} async () => boolean, true when the call may proceed
+ */
+function createQuotaGate(req, res, kind) {
+  return async () => {
+    const state = await quotaManager.consume(req.user, kind);
+    setQuotaHeaders(res, state);
+    return state.allowed;
+  };
+}
+
+module.exports = {
+  consumeQuota,
+  createQuotaGate
+};
@@ -1,47 +1,129 @@
-const { roundCoordinates } = require('../utils/coordinateUtils');
+const { getPrecisionConfig, snapCoordinates } = require('../utils/coordinateUtils');
 
-const validateCoordinates = (req, res, next) => {
-  const { latitude, longitude } = req.body;
+const DEFAULT_BATCH_MAX_ITEMS = 100;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 366;
+const GEOCODING_DETAILS = ['full', 'municipality'];
+
+/**
+ * Validate a requested coordinate precision against the deployment's allowed range
+ * @param {*} value - Requested decimal places (undefined for the default)
+ * @returns {Object} { precision } or { error: { status, error, code } }
+ */
+const parsePrecision = (value) => {
+  const { defaultPrecision, minPrecision, maxPrecision } = getPrecisionConfig();
+
+  if (value === undefined || value === null) {
+    return { precision: defaultPrecision };
+  }
+
+  const precision = Number(value);
+  if (!Number.isInteger(precision) || precision < minPrecision || precision > maxPrecision) {
+    return {
+      error: {
+        status: 400,
+        error: `Precision must be an integer between ${minPrecision} and ${maxPrecision}`,
+        code: 'INVALID_PRECISION'
+      }
+    };
+  }
+
+  return { precision };
+};
+
+/**
+ * Validate a single coordinate pair and snap it to the requested precision
+ * @param {Object} input - Object holding latitude, longitude and optional precision
+ * @param {*} fallbackPrecision - Precision to use when input has none (e.g. the batch-level one)
+ * @returns {Object} { coordinates, originalCoordinates, precision } or { error: { status, error, code } }
+ */
+const parseCoordinates = (input = {}, fallbackPrecision) => {
+  const { latitude, longitude } = input;
 
   if (latitude === undefined || longitude === undefined) {
-    return res.status(400).json({
-      error: 'Both latitude and longitude are required',
-      code: 'MISSING_COORDINATES'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Both latitude and longitude are required',
+        code: 'MISSING_COORDINATES'
+      }
+    };
   }
 
   const lat = parseFloat(latitude);
   const lng = parseFloat(longitude);
 
   if (isNaN(lat) || isNaN(lng)) {
-    return res.status(400).json({
-      error: 'Latitude and longitude must be valid numbers',
-      code: 'INVALID_COORDINATES_FORMAT'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Latitude and longitude must be valid numbers',
+        code: 'INVALID_COORDINATES_FORMAT'
+      }
+    };
   }
 
   if (lat < -90 || lat > 90) {
-    return res.status(400).json({
-      error: 'Latitude must be between -90 and 90 degrees',
-      code: 'INVALID_LATITUDE_RANGE'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Latitude must be between -90 and 90 degrees',
+        code: 'INVALID_LATITUDE_RANGE'
+      }
+    };
   }
 
   if (lng < -180 || lng > 180) {
+    return {
+      error: {
+        status: 400,
+        error: 'Longitude must be between -180 and 180 degrees',
+        code: 'INVALID_LONGITUDE_RANGE'
+      }
+    };
+  }
+
+  const requested = parsePrecision(input.precision !== undefined ? input.precision : fallbackPrecision);
+  if (requested.error) {
+    return requested;
+  }
+
+  // Snap coordinates to the precision cell used in cache keys and API calls
+  const { coordinates, precision } = snapCoordinates(lat, lng, requested.precision, getPrecisionConfig().scheme);
+
+  return {
+    coordinates,
+    // Store original coordinates for reference if needed
+    originalCoordinates: { latitude: lat, longitude: lng },
+    precision
+  };
+};
+
+const validateCoordinates = (req, res, next) => {
+  const parsed = parseCoordinates(req.body);
+
+  if (parsed.error) {
+    const { status, ...body } = parsed.error;
+    return res.status(status).json(body);
+  }
+
+  const { detail = 'full' } = req.body;
+  if (!GEOCODING_DETAILS.includes(detail)) {
     return res.status(400).json({
-      error: 'Longitude must be between -180 and 180 degrees',
-      code: 'INVALID_LONGITUDE_RANGE'
+      error: `Detail must be one of: ${GEOCODING_DETAILS.join(', ')}`,
+      code: 'INVALID_DETAIL'
     });
   }
 
-  // Round coordinates to 2 decimal places for consistency in cache and API calls
-  const roundedCoordinates = roundCoordinates(lat, lng, 2);
+  // Add snapped coordinates and the precision used to request
+  req.coordinates = parsed.coordinates;
+  req.coordinatePrecision = parsed.precision;
 
-  // Add rounded coordinates to request
-  req.coordinates = roundedCoordinates;
+  // 'municipality' callers only need city/state/country fields
+  req.geocodingDetail = detail;
   
   // Store original coordinates for reference if needed
-  req.originalCoordinates = { latitude: lat, longitude: lng };
+  req.originalCoordinates = parsed.originalCoordinates;
   
   // Extract optional client info for logging
   const { appVersion, buildNumber, platform } = req.body;
@@ -54,42 +136,175 @@ const validateCoordinates = (req, res, next) => {
   next();
 };
 
-const validateAddress = (req, res, next) => {
-  const { address } = req.body;
+/**
+ * Build middleware that validates an array field used by batch endpoints
+ * @param {string} field - Name of the array field in the request body
+ * @returns {Function} Express middleware function
+ */
+const validateBatch = (field) => {
+  return (req, res, next) => {
+    const items = req.body[field];
+    const maxItems = parseInt(process.env.BATCH_MAX_ITEMS) || DEFAULT_BATCH_MAX_ITEMS;
+
+    if (items === undefined) {
+      return res.status(400).json({
+        error: `${field} array is required`,
+        code: 'MISSING_BATCH'
+      });
+    }
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        error: `${field} must be an array`,
+        code: 'INVALID_BATCH_FORMAT'
+      });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        error: `${field} array cannot be empty`,
+        code: 'EMPTY_BATCH'
+      });
+    }
+
+    if (items.length > maxItems) {
+      return res.status(400).json({
+        error: `Batch is too large (maximum ${maxItems} items)`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+
+    req.batchItems = items;
 
+    // Extract optional client info for logging
+    const { appVersion, buildNumber, platform } = req.body;
+    req.clientInfo = {
+      appVersion: appVersion || null,
+      buildNumber: buildNumber || null,
+      platform: platform || null
+    };
+
+    next();
+  };
+};
+
+/**
+ * Validate and trim a single address string
+ * @param {*} address - Address supplied by the client
+ * @returns {Object} { address } or { error: { status, error, code } }
+ */
+const parseAddress = (address) => {
   if (!address) {
-    return res.status(400).json({
-      error: 'Address is required',
-      code: 'MISSING_ADDRESS'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Address is required',
+        code: 'MISSING_ADDRESS'
+      }
+    };
   }
 
   if (typeof address !== 'string') {
-    return res.status(400).json({
-      error: 'Address must be a string',
-      code: 'INVALID_ADDRESS_FORMAT'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Address must be a string',
+        code: 'INVALID_ADDRESS_FORMAT'
+      }
+    };
   }
 
   if (address.trim().length === 0) {
-    return res.status(400).json({
-      error: 'Address cannot be empty',
-      code: 'EMPTY_ADDRESS'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Address cannot be empty',
+        code: 'EMPTY_ADDRESS'
+      }
+    };
   }
 
   if (address.length > 500) {
-    return res.status(400).json({
-      error: 'Address is too long (maximum 500 characters)',
-      code: 'ADDRESS_TOO_LONG'
-    });
+    return {
+      error: {
+        status: 400,
+        error: 'Address is too long (maximum 500 characters)',
+        code: 'ADDRESS_TOO_LONG'
+      }
+    };
+  }
+
+  return { address: address.trim() };
+};
+
+const validateAddress = (req, res, next) => {
+  const parsed = parseAddress(req.body.address);
+
+  if (parsed.error) {
+    const { status, ...body } = parsed.error;
+    return res.status(status).json(body);
+  }
+
+  req.address = parsed.address;
+  next();
+};
+
+/**
+ * Validate the date range of a statistics query
+ * Defaults to the last 30 days, ending today (UTC).
+ * @param {Object} query - { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' }
+ * @returns {Object} { from, to } or { error: { status, error, code } }
+ */
+const parseStatsRange = ({ from, to } = {}) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const end = to || new Date().toISOString().slice(0, 10);
+  const start = from || new Date(Date.parse(end) - (DEFAULT_STATS_DAYS - 1) * dayMs).toISOString().slice(0, 10);
+
+  if (![start, end].every(date => datePattern.test(date) && !isNaN(Date.parse(date)))) {
+    return {
+      error: {
+        status: 400,
+        error: 'from and to must be dates in YYYY-MM-DD format',
+        code: 'INVALID_DATE_RANGE'
+      }
+    };
+  }
+
+  const days = (Date.parse(end) - Date.parse(start)) / dayMs + 1;
+  if (days < 1 || days > MAX_STATS_DAYS) {
+    return {
+      error: {
+        status: 400,
+        error: `Date range must cover between 1 and ${MAX_STATS_DAYS} days`,
+        code: 'INVALID_DATE_RANGE'
+      }
+    };
+  }
+
+  return { from: start, to: end };
+};
+
+const validateStatsRange = (req, res, next) => {
+  const parsed = parseStatsRange(req.query);
+
+  if (parsed.error) {
+    const { status, ...body } = parsed.error;
+    return res.status(status).json(body);
   }
 
-  req.address = address.trim();
+  req.statsRange = parsed;
   next();
 };
 
 module.exports = {
+  parsePrecision,
+  parseCoordinates,
   validateCoordinates,
-  validateAddress
+  parseAddress,
+  validateAddress,
+  validateBatch,
+  parseStatsRange,
+  validateStatsRange
 };
@@ -1,29 +1,267 @@
 const express = require('express');
-const GoogleMapsService = require('../services/googleMapsService');
-const { authenticateFirebaseToken } = require('../middleware/auth');
-const { validateCoordinates, validateAddress } = require('../middleware/validation');
-const { cacheGeocodingResponse } = require('../middleware/cache');
+const readline = require('readline');
+const { authenticateFirebaseToken, authenticateAdminToken, requireRole } = require('../middleware/auth');
+const { createQuotaGate } = require('../middleware/quota');
+const {
+  parsePrecision,
+  parseCoordinates,
+  validateCoordinates,
+  parseAddress,
+  validateAddress,
+  validateBatch,
+  validateStatsRange
+} = require('../middleware/validation');
+const { cacheGeocodingResponse, generateReverseCacheKey, generateForwardCacheKey } = require('../middleware/cache');
+const {
+  getGeocodingProvider,
+  resolveReverseGeocode,
+  resolveForwardGeocode
+} = require('../services/geocodingCache');
 const redisService = require('../config/redis');
 const perpetualCache = require('../utils/perpetualCache');
+const warmupJobs = require('../utils/warmupJobs');
+const cacheManager = require('../utils/cacheManager');
+const cacheMetrics = require('../utils/cacheMetrics');
+const cacheBackup = require('../utils/cacheBackup');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const { logger } = require('../utils/logger');
 
+const { getGeocoder, getOfflineProvider, getProviderAvailability } = require('../services/providerRegistry');
+const { getPrecisionConfig } = require('../utils/coordinateUtils');
+
 const router = express.Router();
-const googleMapsService = new GoogleMapsService();
+
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const DEFAULT_WARMUP_MAX_BUDGET = 1000;
+const DEFAULT_WARMUP_MAX_LOCATIONS = 10000;
+const DEFAULT_WARMUP_MAX_CONCURRENCY = 10;
+const DEFAULT_INVALIDATION_MAX_KEYS = 1000;
+
+// Monitoring and routine maintenance; starting warmups (Google budget) and bulk export/import need admin
+const CACHE_OPS_ROLES = ['admin', 'ops'];
+const CACHE_ADMIN_ROLES = ['admin'];
+
+// Invalidation may only touch geocoding entries, not jobs, statistics or indexes
+const INVALIDATION_PATTERN = /^(\*|reverse-)?geocode:/;
+
+const QUOTA_EXCEEDED_MESSAGE = 'Geocoding quota exceeded';
+
+/**
+ * Reverse geocode a single batch item, serving it from the perpetual cache when possible
+ * @param {Object} item - { latitude, longitude, precision? }
+ * @param {number} index - Position of the item in the batch
+ * @param {Map} cells - Cells already being resolved in this batch, keyed by cache key
+ * @param {number} batchPrecision - Precision for items that do not set their own
+ * @param {Function} allowProviderCall - Quota check before a miss goes to the provider
+ * @param {Function} allowCacheHit - Quota check before an item is served from the cache
+ * @param {Object} tenant - Tenant of the request (req.tenant)
+ * @returns {Promise<Object>} Per-item result
+ */
+async function reverseGeocodeBatchItem(item, index, cells, batchPrecision, allowProviderCall, allowCacheHit, tenant) {
+  const parsed = parseCoordinates(item || {}, batchPrecision);
+  if (parsed.error) {
+    return {
+      index,
+      success: false,
+      error: parsed.error.error,
+      code: parsed.error.code
+    };
+  }
+
+  const cacheKey = generateReverseCacheKey(parsed.coordinates, parsed.precision, null, tenant?.cachePrefix);
+
+  // Items that snap to the same cell share a single lookup
+  if (!cells.has(cacheKey)) {
+    cells.set(cacheKey, resolveReverseGeocode(parsed.coordinates, {
+      cacheKey,
+      precision: parsed.precision,
+      nearbyFrom: parsed.originalCoordinates,
+      allowProviderCall,
+      tenant
+    }));
+  }
+
+  try {
+    const { cached, approximate, distanceMeters, quotaExceeded, result } = await cells.get(cacheKey);
+
+    if (quotaExceeded || (cached && !await allowCacheHit())) {
+      return {
+        index,
+        success: false,
+        error: quotaExceeded ? result.message : QUOTA_EXCEEDED_MESSAGE,
+        code: 'QUOTA_EXCEEDED'
+      };
+    }
+
+    if (!result.success) {
+      return {
+        index,
+        success: false,
+        error: result.message,
+        code: 'ADDRESS_NOT_FOUND',
+        coordinates: result.coordinates,
+        precision: parsed.precision
+      };
+    }
+
+    const itemResult = {
+      index,
+      success: true,
+      cached,
+      approximate,
+      data: result.data
+    };
+    if (approximate) {
+      itemResult.distanceMeters = distanceMeters;
+    }
+    return itemResult;
+  } catch (error) {
+    logger.error('Batch reverse geocoding item failed', { index, coordinates: parsed.coordinates, error: error.message });
+    return {
+      index,
+      success: false,
+      error: error.message,
+      code: 'GEOCODING_ERROR'
+    };
+  }
+}
+
+/**
+ * Forward geocode a single batch address, serving it from the perpetual cache when possible
+ * @param {*} rawAddress - Address as sent by the client
+ * @param {number} index - Position of the address in the batch
+ * @param {Map} lookups - Addresses already being resolved in this batch, keyed by cache key
+ * @param {Function} allowProviderCall - Quota check before a miss goes to the provider
+ * @param {Function} allowCacheHit - Quota check before an address is served from the cache
+ * @param {Object} tenant - Tenant of the request (req.tenant)
+ * @returns {Promise<Object>} Per-address result with status cached|fresh|not_found|invalid|quota_exceeded|error
+ */
+async function forwardGeocodeBatchItem(rawAddress, index, lookups, allowProviderCall, allowCacheHit, tenant) {
+  const parsed = parseAddress(rawAddress);
+  if (parsed.error) {
+    return {
+      index,
+      address: rawAddress,
+      status: 'invalid',
+      success: false,
+      error: parsed.error.error,
+      code: parsed.error.code
+    };
+  }
+
+  const cacheKey = generateForwardCacheKey(parsed.address, null, tenant?.cachePrefix);
+
+  // Repeated addresses (including spelling variants) share a single lookup
+  if (!lookups.has(cacheKey)) {
+    lookups.set(cacheKey, resolveForwardGeocode(parsed.address, { cacheKey, allowProviderCall, tenant }));
+  }
+
+  try {
+    const { cached, quotaExceeded, result } = await lookups.get(cacheKey);
+
+    if (quotaExceeded || (cached && !await allowCacheHit())) {
+      return {
+        index,
+        address: parsed.address,
+        status: 'quota_exceeded',
+        success: false,
+        error: quotaExceeded ? result.message : QUOTA_EXCEEDED_MESSAGE,
+        code: 'QUOTA_EXCEEDED'
+      };
+    }
+
+    if (!result.success) {
+      return {
+        index,
+        address: parsed.address,
+        status: 'not_found',
+        success: false,
+        error: result.message,
+        code: 'COORDINATES_NOT_FOUND'
+      };
+    }
+
+    return {
+      index,
+      address: parsed.address,
+      status: cached ? 'cached' : 'fresh',
+      success: true,
+      data: { ...result.data, address: parsed.address }
+    };
+  } catch (error) {
+    logger.error('Batch forward geocoding item failed', { index, address: parsed.address, error: error.message });
+    return {
+      index,
+      address: parsed.address,
+      status: 'error',
+      success: false,
+      error: error.message,
+      code: 'GEOCODING_ERROR'
+    };
+  }
+}
+
+/**
+ * Answer municipality-level reverse lookups from the offline boundary dataset
+ * Runs before the cache, since a point-in-polygon lookup is cheaper than Redis
+ * and Google; falls through when no boundary file is loaded or no area matches.
+ */
+async function offlineMunicipalityLookup(req, res, next) {
+  if (req.geocodingDetail !== 'municipality') {
+    return next();
+  }
+
+  const offlineProvider = getOfflineProvider();
+  if (!offlineProvider) {
+    return next();
+  }
+
+  try {
+    const { latitude, longitude } = req.coordinates;
+    const result = await offlineProvider.reverseGeocode(latitude, longitude);
+
+    if (!result.success) {
+      return next();
+    }
+
+    logger.info('[OFFLINE] Municipality lookup', {
+      coordinates: req.coordinates,
+      city: result.data.address_components.administrative_area_level_2,
+      state: result.data.address_components.administrative_area_level_1,
+      countryCode: result.data.address_components.country_code
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Address retrieved successfully',
+      data: { ...result.data, precision: req.coordinatePrecision },
+      user: {
+        uid: req.user.uid,
+        isAnonymous: req.user.isAnonymous
+      }
+    });
+  } catch (error) {
+    logger.error('Offline municipality lookup failed', { error: error.message });
+    next();
+  }
+}
 
 /**
  * @route POST /api/geocoding/reverse
- * @description Convert coordinates (latitude, longitude) to address using Google Maps Geocoding API
+ * @description Convert coordinates (latitude, longitude) to address using the configured geocoding provider
  * @access Private (requires Firebase authentication)
- * @body { latitude: number, longitude: number, appVersion?: string, buildNumber?: string, platform?: string }
+ * @body { latitude: number, longitude: number, precision?: number, detail?: 'full' | 'municipality', appVersion?: string, buildNumber?: string, platform?: string }
  */
 router.post('/reverse', 
   authenticateFirebaseToken, 
   validateCoordinates, 
+  offlineMunicipalityLookup,
   cacheGeocodingResponse('reverse-geocode', 0, false, true), // Perpetual cache - never expires
   async (req, res, next) => {
   try {
-  const { latitude, longitude } = req.coordinates; // These are already rounded to 2 decimal places
-    const originalCoords = req.originalCoordinates; // Original coordinates before rounding
+    const { latitude, longitude } = req.coordinates; // Already snapped to req.coordinatePrecision
+    const originalCoords = req.originalCoordinates; // Original coordinates before snapping
+    const precision = req.coordinatePrecision;
     const clientInfo = req.clientInfo || {};
     
     logger.info(`🚀 [FRESH] Reverse Geocoding Request from user ${req.user.uid}`);
@@ -34,14 +272,15 @@ router.post('/reverse',
     // Log both original and rounded coordinates for transparency
     if (originalCoords.latitude !== latitude || originalCoords.longitude !== longitude) {
       logger.info(`📍 Original Coordinates: ${originalCoords.latitude}, ${originalCoords.longitude}`);
-  logger.info(`🎯 Rounded Coordinates (2 decimals): ${latitude}, ${longitude}`);
+      logger.info(`🎯 Snapped Coordinates (${precision.decimals} decimals, ${precision.scheme}): ${latitude}, ${longitude}`);
     } else {
       logger.info(`📍 Coordinates: ${latitude}, ${longitude}`);
     }
     
-    logger.info(`🔍 Querying Google Maps API...`);
+    const geocodingProvider = getGeocodingProvider();
+    logger.info(`🔍 Querying ${geocodingProvider.name} geocoding provider...`);
 
-    const result = await googleMapsService.reverseGeocode(latitude, longitude);
+    const result = await geocodingProvider.reverseGeocode(latitude, longitude, { tenant: req.tenant });
     
     if (!result.success) {
       logger.info(`❌ Reverse geocoding failed for user ${req.user.uid}`);
@@ -49,7 +288,8 @@ router.post('/reverse',
       return res.status(404).json({
         success: false,
         message: result.message,
-        coordinates: result.coordinates
+        coordinates: result.coordinates,
+        precision
       });
     }
 
@@ -75,7 +315,7 @@ router.post('/reverse',
     res.status(200).json({
       success: true,
       message: 'Address retrieved successfully',
-      data: result.data,
+      data: { ...result.data, precision },
       user: {
         uid: req.user.uid,
         isAnonymous: req.user.isAnonymous
@@ -87,9 +327,83 @@ router.post('/reverse',
   }
 });
 
+/**
+ * @route POST /api/geocoding/reverse/batch
+ * @description Reverse geocode many coordinates in one request, geocoding only cache misses
+ * @access Private (requires Firebase authentication)
+ * @body { coordinates: Array<{ latitude: number, longitude: number, precision?: number }>, precision?: number, appVersion?: string, buildNumber?: string, platform?: string }
+ */
+router.post('/reverse/batch',
+  authenticateFirebaseToken,
+  validateBatch('coordinates'),
+  async (req, res, next) => {
+  try {
+    const items = req.batchItems;
+    const clientInfo = req.clientInfo || {};
+    const user = {
+      uid: req.user.uid,
+      isAnonymous: req.user.isAnonymous
+    };
+    const concurrency = parseInt(process.env.BATCH_CONCURRENCY) || DEFAULT_BATCH_CONCURRENCY;
+
+    const batchPrecision = parsePrecision(req.body.precision);
+    if (batchPrecision.error) {
+      const { status, ...body } = batchPrecision.error;
+      return res.status(status).json(body);
+    }
+
+    logger.info(`🚀 Batch Reverse Geocoding Request from user ${req.user.uid}`, {
+      items: items.length,
+      appVersion: clientInfo.appVersion || 'N/A',
+      buildNumber: clientInfo.buildNumber || 'N/A',
+      platform: clientInfo.platform || 'N/A'
+    });
+
+    // Items are charged one by one as they resolve, so a batch near the limit still gets its first items
+    const cells = new Map();
+    const allowProviderCall = createQuotaGate(req, res, 'misses');
+    const allowCacheHit = createQuotaGate(req, res, 'hits');
+    const results = await mapWithConcurrency(items, concurrency, (item, index) =>
+      reverseGeocodeBatchItem(item, index, cells, batchPrecision.precision, allowProviderCall, allowCacheHit, req.tenant)
+    );
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      cached: results.filter(result => result.cached === true).length,
+      approximate: results.filter(result => result.approximate === true).length,
+      fresh: results.filter(result => result.cached === false).length,
+      quotaExceeded: results.filter(result => result.code === 'QUOTA_EXCEEDED').length
+    };
+
+    logger.info(`✅ Batch reverse geocoding completed for user ${req.user.uid}`, summary);
+
+    const lookedUp = results.filter(result => result.success || ['ADDRESS_NOT_FOUND', 'GEOCODING_ERROR'].includes(result.code));
+    cacheMetrics.record('reverse-geocode', req.user.authenticatedWith, {
+      hits: summary.cached - summary.approximate,
+      approximateHits: summary.approximate,
+      misses: lookedUp.length - summary.cached,
+      writes: summary.fresh
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch reverse geocoding completed',
+      data: {
+        results,
+        summary
+      },
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route POST /api/geocoding/forward
- * @description Convert address to coordinates using Google Maps Geocoding API
+ * @description Convert address to coordinates using the configured geocoding provider
  * @access Private (requires Firebase authentication)
  * @body { address: string }
  */
@@ -103,9 +417,10 @@ router.post('/forward',
     
     logger.info(`🚀 [FRESH] Forward Geocoding Request from user ${req.user.uid}`);
     logger.info(`🏠 Address: ${address}`);
-    logger.info(`🔍 Querying Google Maps API...`);
+    const geocodingProvider = getGeocodingProvider();
+    logger.info(`🔍 Querying ${geocodingProvider.name} geocoding provider...`);
 
-    const result = await googleMapsService.geocode(address);
+    const result = await geocodingProvider.geocode(address, { tenant: req.tenant });
     
     if (!result.success) {
       logger.info(`❌ Forward geocoding failed for user ${req.user.uid}`);
@@ -139,6 +454,61 @@ router.post('/forward',
   }
 });
 
+/**
+ * @route POST /api/geocoding/forward/batch
+ * @description Geocode a list of addresses in one request, geocoding only cache misses
+ * @access Private (requires Firebase authentication)
+ * @body { addresses: string[] }
+ */
+router.post('/forward/batch',
+  authenticateFirebaseToken,
+  validateBatch('addresses'),
+  async (req, res, next) => {
+  try {
+    const items = req.batchItems;
+    const user = {
+      uid: req.user.uid,
+      isAnonymous: req.user.isAnonymous
+    };
+    const concurrency = parseInt(process.env.BATCH_CONCURRENCY) || DEFAULT_BATCH_CONCURRENCY;
+
+    logger.info(`🚀 Batch Forward Geocoding Request from user ${req.user.uid}`, { items: items.length });
+
+    // Addresses are charged one by one as they resolve, so a batch near the limit still gets its first addresses
+    const lookups = new Map();
+    const allowProviderCall = createQuotaGate(req, res, 'misses');
+    const allowCacheHit = createQuotaGate(req, res, 'hits');
+    const results = await mapWithConcurrency(items, concurrency, (address, index) =>
+      forwardGeocodeBatchItem(address, index, lookups, allowProviderCall, allowCacheHit, req.tenant)
+    );
+
+    const totals = { total: results.length, cached: 0, fresh: 0, not_found: 0, invalid: 0, quota_exceeded: 0, error: 0 };
+    results.forEach(result => {
+      totals[result.status]++;
+    });
+
+    logger.info(`✅ Batch forward geocoding completed for user ${req.user.uid}`, totals);
+
+    cacheMetrics.record('geocode', req.user.authenticatedWith, {
+      hits: totals.cached,
+      misses: totals.fresh + totals.not_found + totals.error,
+      writes: totals.fresh
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch forward geocoding completed',
+      data: {
+        results,
+        totals
+      },
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/geocoding/status
  * @description Check the status of the geocoding service
@@ -159,11 +529,14 @@ router.get('/status', authenticateFirebaseToken, async (req, res) => {
         provider: req.user.provider
       },
       services: {
-        googleMaps: 'Connected',
+        googleMaps: getProviderAvailability('google'),
+        geocodingProviders: getGeocoder().getStatus(),
         firebase: 'Connected',
         redis: redisStatus,
-        redisPing: redisPing
-      }
+        redisPing: redisPing,
+        cacheBackend: redisService.backend
+      },
+      coordinatePrecision: getPrecisionConfig()
     });
   } catch (error) {
     res.status(200).json({
@@ -176,11 +549,13 @@ router.get('/status', authenticateFirebaseToken, async (req, res) => {
         provider: req.user.provider
       },
       services: {
-        googleMaps: 'Connected',
+        googleMaps: getProviderAvailability('google'),
+        geocodingProviders: getGeocoder().getStatus(),
         firebase: 'Connected',
         redis: 'Error',
         redisError: error.message
-      }
+      },
+      coordinatePrecision: getPrecisionConfig()
     });
   }
 });
@@ -188,9 +563,9 @@ router.get('/status', authenticateFirebaseToken, async (req, res) => {
 /**
  * @route GET /api/geocoding/cache/info
  * @description Get cache information and statistics
- * @access Private (requires Firebase authentication)
+ * @access Private (requires Firebase authentication and the admin or ops role)
  */
-router.get('/cache/info', authenticateFirebaseToken, async (req, res) => {
+router.get('/cache/info', authenticateAdminToken, requireRole(...CACHE_OPS_ROLES), async (req, res) => {
   try {
     const { key } = req.query;
     
@@ -225,7 +600,7 @@ router.get('/cache/info', authenticateFirebaseToken, async (req, res) => {
           available: true,
           connected: ping,
           perpetualCacheEnabled: true,
-          cacheStrategy: 'Perpetual geocoding cache with fallback to Google Maps API'
+          cacheStrategy: 'Perpetual geocoding cache with fallback to the configured geocoding providers'
         },
         user: {
           uid: req.user.uid,
@@ -248,12 +623,13 @@ router.get('/cache/info', authenticateFirebaseToken, async (req, res) => {
 
 /**
  * @route GET /api/geocoding/cache/stats
- * @description Get perpetual cache statistics and health
- * @access Private (requires Firebase authentication)
+ * @description Get cache hit/miss counters, key counts, estimated memory and Google API savings, plus cache health
+ * @access Private (requires Firebase authentication and the admin or ops role)
+ * @query { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD', keys?: 'false' }
  */
-router.get('/cache/stats', authenticateFirebaseToken, async (req, res) => {
+router.get('/cache/stats', authenticateAdminToken, requireRole(...CACHE_OPS_ROLES), validateStatsRange, async (req, res) => {
   try {
-    const stats = await perpetualCache.getStats();
+    const stats = await perpetualCache.getStats(req.statsRange, { includeKeys: req.query.keys !== 'false' });
     const health = await perpetualCache.healthCheck();
     
     res.status(200).json({
@@ -261,17 +637,7 @@ router.get('/cache/stats', authenticateFirebaseToken, async (req, res) => {
       message: 'Cache statistics retrieved successfully',
       data: {
         stats,
-        health,
-        cacheStrategy: {
-          type: 'Perpetual Cache',
-          description: 'Geocoding responses never expire, ensuring zero cache misses',
-          benefits: [
-            'Eliminates repeated API calls for same locations',
-            'Reduces Google Maps API costs significantly',
-            'Improves response times dramatically',
-            'Provides better user experience'
-          ]
-        }
+        health
       },
       user: {
         uid: req.user.uid,
@@ -293,13 +659,13 @@ router.get('/cache/stats', authenticateFirebaseToken, async (req, res) => {
 
 /**
  * @route POST /api/geocoding/cache/warmup
- * @description Warm up cache with provided locations
- * @access Private (requires Firebase authentication)
- * @body { locations: Array<{lat: number, lng: number} | {address: string}> }
+ * @description Start a background job that geocodes and caches the provided locations in the caller's tenant cache
+ * @access Private (requires Firebase authentication and the admin role)
+ * @body { locations: Array<{lat: number, lng: number} | {address: string}>, dryRun?: boolean, concurrency?: number, budget?: number }
  */
-router.post('/cache/warmup', authenticateFirebaseToken, async (req, res) => {
+router.post('/cache/warmup', authenticateAdminToken, requireRole(...CACHE_ADMIN_ROLES), async (req, res) => {
   try {
-    const { locations } = req.body;
+    const { locations, dryRun = false } = req.body;
     
     if (!locations || !Array.isArray(locations)) {
       return res.status(400).json({
@@ -308,12 +674,49 @@ router.post('/cache/warmup', authenticateFirebaseToken, async (req, res) => {
       });
     }
 
-    const results = await perpetualCache.warmupCache(locations);
+    const maxLocations = parseInt(process.env.WARMUP_MAX_LOCATIONS) || DEFAULT_WARMUP_MAX_LOCATIONS;
+    if (locations.length === 0 || locations.length > maxLocations) {
+      return res.status(400).json({
+        success: false,
+        message: `Locations array must contain between 1 and ${maxLocations} items`
+      });
+    }
+
+    if (!redisService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Redis cache is not available'
+      });
+    }
+
+    const maxBudget = parseInt(process.env.WARMUP_MAX_BUDGET) || DEFAULT_WARMUP_MAX_BUDGET;
+    const maxConcurrency = parseInt(process.env.WARMUP_MAX_CONCURRENCY) || DEFAULT_WARMUP_MAX_CONCURRENCY;
+    const budget = Math.min(parseInt(req.body.budget) || maxBudget, maxBudget);
+    const concurrency = Math.min(parseInt(req.body.concurrency) || DEFAULT_BATCH_CONCURRENCY, maxConcurrency);
+
+    const job = await warmupJobs.createJob(locations, {
+      dryRun: dryRun === true,
+      concurrency,
+      budget,
+      tenant: req.tenant?.name || null
+    }, req.user.uid);
+
+    if (!job) {
+      return res.status(503).json({
+        success: false,
+        message: 'Failed to store warmup job'
+      });
+    }
     
-    res.status(200).json({
-      success: results.success,
-      message: results.success ? 'Cache warmup analysis completed' : 'Cache warmup failed',
-      data: results,
+    res.status(202).json({
+      success: true,
+      message: 'Cache warmup job started',
+      data: {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/cache/warmup/${job.id}`,
+        progress: job.progress
+      },
       user: {
         uid: req.user.uid,
         isAnonymous: req.user.isAnonymous
@@ -332,4 +735,289 @@ router.post('/cache/warmup', authenticateFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/geocoding/cache/warmup/:jobId
+ * @description Get progress of a cache warmup job
+ * @access Private (requires Firebase authentication and the admin or ops role)
+ */
+router.get('/cache/warmup/:jobId', authenticateAdminToken, requireRole(...CACHE_OPS_ROLES), async (req, res) => {
+  try {
+    const job = await warmupJobs.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warmup job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Warmup job retrieved',
+      data: job,
+      user: {
+        uid: req.user.uid,
+        isAnonymous: req.user.isAnonymous
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve warmup job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/geocoding/cache/warmup/:jobId
+ * @description Cancel a running cache warmup job
+ * @access Private (requires Firebase authentication and the admin or ops role)
+ */
+router.delete('/cache/warmup/:jobId', authenticateAdminToken, requireRole(...CACHE_OPS_ROLES), async (req, res) => {
+  try {
+    const outcome = await warmupJobs.cancelJob(req.params.jobId);
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warmup job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (!outcome.cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Warmup job already ${outcome.job.status}`,
+        code: 'JOB_ALREADY_FINISHED',
+        data: outcome.job
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Warmup job cancelled',
+      data: outcome.job,
+      user: {
+        uid: req.user.uid,
+        isAnonymous: req.user.isAnonymous
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel warmup job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/geocoding/cache/invalidate
+ * @description Delete cached geocoding entries by key pattern and/or location, e.g. every entry of a city
+ * @access Private (requires Firebase authentication and the admin or ops role)
+ * @body { pattern?: string, city?: string, state?: string, country?: string, dryRun?: boolean, limit?: number, cursor?: string }
+ */
+router.post('/cache/invalidate', authenticateAdminToken, requireRole(...CACHE_OPS_ROLES), async (req, res) => {
+  try {
+    const { pattern, city, state, country, dryRun = false, cursor = '0' } = req.body;
+    const filters = { city, state, country };
+
+    if (pattern === undefined && !Object.values(filters).some(Boolean)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pattern or a city, state or country filter is required',
+        code: 'MISSING_INVALIDATION_TARGET'
+      });
+    }
+
+    if (pattern !== undefined && (typeof pattern !== 'string' || !INVALIDATION_PATTERN.test(pattern))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pattern must start with geocode:, reverse-geocode: or *geocode:',
+        code: 'INVALID_CACHE_PATTERN'
+      });
+    }
+
+    if (Object.values(filters).some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'city, state and country must be strings',
+        code: 'INVALID_INVALIDATION_FILTER'
+      });
+    }
+
+    if (!redisService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Redis cache is not available'
+      });
+    }
+
+    const maxKeys = parseInt(process.env.CACHE_INVALIDATION_MAX_KEYS) || DEFAULT_INVALIDATION_MAX_KEYS;
+    const limit = Math.min(parseInt(req.body.limit) || maxKeys, maxKeys);
+
+    logger.info(`🧹 Cache invalidation requested by user ${req.user.uid}`, { pattern, filters, dryRun, limit });
+
+    const results = await cacheManager.clearByPattern(pattern, {
+      ...filters,
+      dryRun: dryRun === true,
+      limit,
+      cursor: String(cursor)
+    });
+
+    if (!results.success) {
+      return res.status(500).json({
+        success: false,
+        message: results.message,
+        error: results.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: results.dryRun
+        ? `${results.matched} cache entries would be deleted`
+        : `${results.deleted} cache entries deleted`,
+      data: results,
+      user: {
+        uid: req.user.uid,
+        isAnonymous: req.user.isAnonymous
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Cache invalidation failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/geocoding/cache/export
+ * @description Stream cached geocoding entries as NDJSON, for backups and seeding other environments
+ * @access Private (requires Firebase authentication and the admin role)
+ * @query { pattern?: string }
+ */
+router.get('/cache/export', authenticateAdminToken, requireRole(...CACHE_ADMIN_ROLES), async (req, res) => {
+  const { pattern } = req.query;
+
+  if (pattern !== undefined && (typeof pattern !== 'string' || !INVALIDATION_PATTERN.test(pattern))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pattern must start with geocode:, reverse-geocode: or *geocode:',
+      code: 'INVALID_CACHE_PATTERN'
+    });
+  }
+
+  if (!redisService.isAvailable()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Redis cache is not available'
+    });
+  }
+
+  logger.info(`📦 Cache export requested by user ${req.user.uid}`, { pattern });
+
+  // Stop scanning when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="geocoding-cache-${date}.ndjson"`);
+
+  const writeLine = (line) => new Promise((resolve) => {
+    if (res.write(`${line}\n`) || controller.signal.aborted) {
+      resolve();
+    } else {
+      res.once('drain', resolve);
+      res.once('close', resolve);
+    }
+  });
+
+  try {
+    const results = await cacheBackup.exportEntries(writeLine, { pattern, signal: controller.signal });
+    logger.info('Cache export finished', {
+      exportedCount: results.exportedCount,
+      complete: results.complete,
+      aborted: controller.signal.aborted
+    });
+  } catch (error) {
+    // Headers are already sent: the truncated body (no trailing newline) signals the failure
+    logger.error('Cache export failed:', error.message);
+  }
+  res.end();
+});
+
+/**
+ * @route POST /api/geocoding/cache/import
+ * @description Load an NDJSON export into the cache and index reverse geocoding entries
+ * @access Private (requires Firebase authentication and the admin role)
+ * @query { onConflict?: 'skip' | 'overwrite' | 'newer', dryRun?: boolean }
+ * @body NDJSON export (Content-Type: application/x-ndjson)
+ */
+router.post('/cache/import', authenticateAdminToken, requireRole(...CACHE_ADMIN_ROLES), async (req, res) => {
+  try {
+    const { onConflict = 'skip' } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!req.is('application/x-ndjson')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Request body must be NDJSON (Content-Type: application/x-ndjson)',
+        code: 'INVALID_CONTENT_TYPE'
+      });
+    }
+
+    if (!['skip', 'overwrite', 'newer'].includes(onConflict)) {
+      return res.status(400).json({
+        success: false,
+        message: 'onConflict must be one of: skip, overwrite, newer',
+        code: 'INVALID_CONFLICT_MODE'
+      });
+    }
+
+    if (!redisService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Redis cache is not available'
+      });
+    }
+
+    logger.info(`📥 Cache import requested by user ${req.user.uid}`, { onConflict, dryRun });
+
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    const results = await cacheBackup.importEntries(lines, { onConflict, dryRun });
+
+    if (!results.success) {
+      return res.status(400).json({
+        success: false,
+        message: results.message,
+        code: 'INVALID_EXPORT_FORMAT'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: results.message,
+      data: results,
+      user: {
+        uid: req.user.uid,
+        isAnonymous: req.user.isAnonymous
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Cache import failed',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
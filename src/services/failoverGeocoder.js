@@ -0,0 +1,106 @@
+const { GeocodingProvider, GeocodingProviderError } = require('./geocodingProvider');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { logger } = require('../utils/logger');
+
+/**
+ * Geocoder that tries providers in priority order
+ * Each provider sits behind a circuit breaker: upstream failures (quota,
+ * denied requests, network errors) move on to the next provider, and a
+ * provider whose error rate trips its breaker is skipped until the cool-down ends.
+ * Breakers are shared by all tenants, so providers not configured for the
+ * requesting tenant and failures of a tenant's own credentials move on to the
+ * next provider without counting against the breaker.
+ */
+class FailoverGeocoder extends GeocodingProvider {
+  /**
+   * @param {GeocodingProvider[]} providers - Providers in priority order
+   */
+  constructor(providers) {
+    super('failover');
+    this.providers = providers;
+    this.breakers = new Map(providers.map(provider => [provider.name, CircuitBreaker.fromEnv(provider.name)]));
+  }
+
+  /**
+   * Run an operation against each available provider until one answers
+   * "Not found" results are valid answers and are returned as-is.
+   * @param {string} operation - Provider method name ('reverseGeocode' or 'geocode')
+   * @param {Array} args - Arguments for the provider method
+   * @param {Object} options - { tenant } of the request
+   * @returns {Promise<Object>} Result of the first provider that answered
+   */
+  async execute(operation, args, { tenant = null } = {}) {
+    const failures = [];
+    const providers = this.providers.filter(provider => provider.supports(operation) && provider.isConfiguredFor(tenant));
+
+    for (const provider of providers) {
+      const breaker = this.breakers.get(provider.name);
+
+      if (!breaker.canRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const result = await provider[operation](...args);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (error.retryable === false) {
+          // The upstream answered; the request itself was rejected
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        if (error.tenantScoped) {
+          breaker.releaseTrial();
+          failures.push(`${provider.name}: ${error.message}`);
+          logger.warn(`Geocoding provider '${provider.name}' failed for tenant ${tenant?.name}, trying next provider`, {
+            operation,
+            error: error.message
+          });
+          continue;
+        }
+
+        breaker.recordFailure(error);
+        failures.push(`${provider.name}: ${error.message}`);
+        logger.warn(`Geocoding provider '${provider.name}' failed, trying next provider`, {
+          operation,
+          error: error.message,
+          breaker: breaker.state
+        });
+      }
+    }
+
+    if (providers.length === 0) {
+      throw new GeocodingProviderError(`No geocoding provider available for ${operation}`);
+    }
+
+    throw new GeocodingProviderError(`All geocoding providers failed (${failures.join('; ')})`);
+  }
+
+  async reverseGeocode(latitude, longitude, options = {}) {
+    return this.execute('reverseGeocode', [latitude, longitude, options], options);
+  }
+
+  async geocode(address, options = {}) {
+    return this.execute('geocode', [address, options], options);
+  }
+
+  parseAddressComponents(components) {
+    if (this.providers.length === 0) {
+      throw new GeocodingProviderError('No geocoding provider available');
+    }
+    return this.providers[0].parseAddressComponents(components);
+  }
+
+  /**
+   * Describe each provider's circuit breaker
+   * @returns {Object[]} Breaker states in priority order
+   */
+  getStatus() {
+    return this.providers.map(provider => this.breakers.get(provider.name).getState());
+  }
+}
+
+module.exports = FailoverGeocoder;
@@ -0,0 +1,250 @@
+const { getGeocoder, getProviders } = require('./providerRegistry');
+const redisService = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { DEFAULT_COORDINATE_PRECISION } = require('../utils/coordinateUtils');
+const memoryCache = require('../utils/memoryCache');
+const {
+  generateReverseCacheKey,
+  generateForwardCacheKey,
+  getLegacyForwardResponse,
+  getCachedGeocodingResponse,
+  findNearbyGeocodingResponse,
+  isCacheableResponse,
+  storeGeocodingResponse
+} = require('../middleware/cache');
+
+const MAX_REVISIONS = 10;
+const QUOTA_EXCEEDED_RESULT = { success: false, message: 'Geocoding quota exceeded' };
+
+// Cache keys with a refresh in flight on this instance
+const revalidating = new Set();
+
+/**
+ * Get the provider geocoding requests should use
+ * @returns {GeocodingProvider} Failover geocoder over the configured providers
+ */
+function getGeocodingProvider() {
+  return getGeocoder();
+}
+
+/**
+ * Build the response body the geocoding routes cache for a successful lookup
+ * Cached bodies are shared between users, so they never carry a user block.
+ * @param {string} cachePrefix - 'reverse-geocode' or 'geocode'
+ * @param {Object} data - Geocoding provider result data
+ * @returns {Object} Response body
+ */
+function buildGeocodingResponseBody(cachePrefix, data) {
+  return {
+    success: true,
+    message: cachePrefix === 'reverse-geocode'
+      ? 'Address retrieved successfully'
+      : 'Coordinates retrieved successfully',
+    data
+  };
+}
+
+/**
+ * Resolve a snapped coordinate cell from the perpetual cache, falling back to the geocoding provider
+ * With nearbyFrom set, a miss first tries an entry cached close to that point
+ * and returns it as an approximate hit ({ approximate: true, distanceMeters }).
+ * @param {Object} coordinates - Snapped { latitude, longitude }
+ * @param {Object} options - { cacheKey, precision, nearbyFrom, allowProviderCall, tenant } where precision comes
+ *   from snapCoordinates and nearbyFrom is the unsnapped point sent by the client
+ * @param {Object} options.tenant - Tenant of the request (req.tenant): its cache namespace and provider credentials are used
+ * @param {Function} options.allowProviderCall - async () => boolean checked before a miss goes to
+ *   the provider; when false, the result is { quotaExceeded: true } with an unsuccessful result
+ * @returns {Promise<Object>} { cacheKey, cached, approximate, result } where result is the provider result
+ */
+async function resolveReverseGeocode(coordinates, {
+  cacheKey = null,
+  precision = { scheme: 'decimal', decimals: DEFAULT_COORDINATE_PRECISION },
+  nearbyFrom = null,
+  allowProviderCall = null,
+  tenant = null
+} = {}) {
+  const namespace = tenant?.cachePrefix || null;
+  const key = cacheKey || generateReverseCacheKey(coordinates, precision, null, namespace);
+
+  const cachedResponse = await getCachedGeocodingResponse(key);
+  if (cachedResponse) {
+    return {
+      cacheKey: key,
+      cached: true,
+      approximate: false,
+      result: { success: true, data: { precision, ...cachedResponse.data } }
+    };
+  }
+
+  if (nearbyFrom) {
+    const nearby = await findNearbyGeocodingResponse(nearbyFrom, precision, namespace);
+    if (nearby) {
+      return {
+        cacheKey: nearby.cacheKey,
+        cached: true,
+        approximate: true,
+        distanceMeters: Math.round(nearby.distanceMeters),
+        result: { success: true, data: nearby.response.data }
+      };
+    }
+  }
+
+  if (allowProviderCall && !await allowProviderCall()) {
+    return { cacheKey: key, cached: false, approximate: false, quotaExceeded: true, result: QUOTA_EXCEEDED_RESULT };
+  }
+
+  const result = await getGeocodingProvider().reverseGeocode(coordinates.latitude, coordinates.longitude, { tenant });
+
+  if (result.success && isCacheableResponse(result)) {
+    result.data.precision = precision;
+    await storeGeocodingResponse(key, buildGeocodingResponseBody('reverse-geocode', result.data), {
+      cachePrefix: 'reverse-geocode',
+      ttl: 0,
+      perpetual: true
+    });
+  }
+
+  return { cacheKey: key, cached: false, approximate: false, result };
+}
+
+/**
+ * Resolve an address from the perpetual cache, falling back to the geocoding provider
+ * @param {string} address - Validated address
+ * @param {Object} options - { cacheKey, allowProviderCall, tenant } as for resolveReverseGeocode
+ * @returns {Promise<Object>} { cacheKey, cached, result } where result is the provider result
+ */
+async function resolveForwardGeocode(address, { cacheKey = null, allowProviderCall = null, tenant = null } = {}) {
+  const key = cacheKey || generateForwardCacheKey(address, null, tenant?.cachePrefix || null);
+
+  const cachedResponse = await getCachedGeocodingResponse(key) || await getLegacyForwardResponse(address, key);
+  if (cachedResponse) {
+    // The entry may have been cached for another spelling; echo this request's input
+    return { cacheKey: key, cached: true, result: { success: true, data: { ...cachedResponse.data, address } } };
+  }
+
+  if (allowProviderCall && !await allowProviderCall()) {
+    return { cacheKey: key, cached: false, quotaExceeded: true, result: QUOTA_EXCEEDED_RESULT };
+  }
+
+  const result = await getGeocodingProvider().geocode(address, { tenant });
+
+  if (result.success && isCacheableResponse(result)) {
+    await storeGeocodingResponse(key, buildGeocodingResponseBody('geocode', result.data), {
+      cachePrefix: 'geocode',
+      ttl: 0,
+      perpetual: true
+    });
+  }
+
+  return { cacheKey: key, cached: false, result };
+}
+
+/**
+ * Check whether a provider ranks ahead of another in the failover chain
+ * Providers that are no longer configured rank last.
+ * @param {string} name - Provider name
+ * @param {string} otherName - Provider name to compare with
+ * @returns {boolean} Whether name comes before otherName in GEOCODING_PROVIDERS
+ */
+function ranksAhead(name, otherName) {
+  if (!name || !otherName) {
+    return false;
+  }
+
+  const order = getProviders().map(provider => provider.name);
+  const rank = providerName => order.includes(providerName) ? order.indexOf(providerName) : order.length;
+  return rank(name) < rank(otherName);
+}
+
+/**
+ * Refresh a perpetual cache entry from the geocoding provider in the background
+ * The stored response is only replaced when place_id or formatted_address
+ * changed; the change is appended to cacheMetadata.revisions. Entries a fallback
+ * provider answered are replaced this way once a provider ahead of it answers,
+ * while answers from a provider behind the cached one are ignored. Otherwise only
+ * cacheMetadata.revalidatedAt moves, so the entry is not refreshed again until
+ * it is old enough once more. Failures leave the entry untouched.
+ * @param {string} cacheKey - Cache key of the entry
+ * @param {Object} cachedResponse - Cached response body as stored
+ * @param {Object} request - { cachePrefix, coordinates, address, tenant } where coordinates are snapped
+ *   and tenant is the one whose request found the entry due
+ * @returns {Promise<string>} 'revised', 'unchanged', 'skipped' (already in flight, no result, or only a lower-priority or offline provider answered) or 'failed'
+ */
+async function revalidateCachedResponse(cacheKey, cachedResponse, { cachePrefix, coordinates, address, tenant = null }) {
+  if (revalidating.has(cacheKey)) {
+    return 'skipped';
+  }
+  revalidating.add(cacheKey);
+
+  try {
+    const result = cachePrefix === 'reverse-geocode'
+      ? await getGeocodingProvider().reverseGeocode(coordinates.latitude, coordinates.longitude, { tenant })
+      : await getGeocodingProvider().geocode(address, { tenant });
+
+    if (!result.success) {
+      logger.info('[CACHE] Revalidation found no result, keeping cached entry', { cacheKey });
+      return 'skipped';
+    }
+
+    if (!isCacheableResponse(result)) {
+      logger.info('[CACHE] Revalidation only reached the offline provider, keeping cached entry', { cacheKey });
+      return 'skipped';
+    }
+
+    const previous = cachedResponse.data || {};
+    if (ranksAhead(previous.provider, result.data.provider)) {
+      logger.info('[CACHE] Revalidation only reached a fallback provider, keeping cached entry', {
+        cacheKey,
+        cachedProvider: previous.provider,
+        provider: result.data.provider
+      });
+      return 'skipped';
+    }
+
+    const changed = result.data.place_id !== previous.place_id ||
+      result.data.formatted_address !== previous.formatted_address;
+    const now = new Date().toISOString();
+    const cacheMetadata = { ...cachedResponse.cacheMetadata, revalidatedAt: now };
+    let response = { ...cachedResponse, cacheMetadata };
+
+    if (changed) {
+      const data = cachePrefix === 'reverse-geocode'
+        ? { ...result.data, precision: previous.precision }
+        : { ...result.data, address: previous.address };
+
+      cacheMetadata.revisions = [
+        ...(cacheMetadata.revisions || []),
+        {
+          revisedAt: now,
+          previous: { place_id: previous.place_id, formatted_address: previous.formatted_address, provider: previous.provider },
+          current: { place_id: result.data.place_id, formatted_address: result.data.formatted_address, provider: result.data.provider }
+        }
+      ].slice(-MAX_REVISIONS);
+      response = { ...response, data };
+
+      logger.info('[CACHE] Revalidation updated cached entry', {
+        cacheKey,
+        previous: previous.formatted_address,
+        current: result.data.formatted_address,
+        provider: result.data.provider
+      });
+    }
+
+    await redisService.set(cacheKey, response, 0);
+    memoryCache.set(cacheKey, response);
+    return changed ? 'revised' : 'unchanged';
+  } catch (error) {
+    logger.warn('[CACHE] Revalidation failed, keeping cached entry', { cacheKey, error: error.message });
+    return 'failed';
+  } finally {
+    revalidating.delete(cacheKey);
+  }
+}
+
+module.exports = {
+  getGeocodingProvider,
+  buildGeocodingResponseBody,
+  resolveReverseGeocode,
+  resolveForwardGeocode,
+  revalidateCachedResponse
+};
@@ -0,0 +1,86 @@
+/**
+ * Error raised when a geocoding provider fails or none is available
+ * `retryable` is false for failures caused by the request itself (e.g. an
+ * invalid request), which another provider would not fix. `tenantScoped` marks
+ * failures caused by the requesting tenant's own credentials (e.g. a denied
+ * tenant API key): the provider is still healthy for other tenants.
+ */
+class GeocodingProviderError extends Error {
+  constructor(message, provider = null, { retryable = true, tenantScoped = false } = {}) {
+    super(message);
+    this.name = 'GeocodingProviderError';
+    this.provider = provider;
+    this.retryable = retryable;
+    this.tenantScoped = tenantScoped;
+  }
+}
+
+/**
+ * Base class for geocoding providers
+ *
+ * Implementations resolve to the same result shape GoogleMapsService has always
+ * returned, so routes and cached entries do not depend on the vendor:
+ *   { success: true, data: { formatted_address, place_id, address_components, geometry, types, provider, ... } }
+ *   { success: false, message, coordinates | address } when nothing was found
+ * and throw GeocodingProviderError on upstream failures.
+ */
+class GeocodingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check whether the provider handles an operation
+   * Providers that only cover some operations (e.g. offline reverse lookups) override this.
+   * @param {string} operation - 'reverseGeocode' or 'geocode'
+   * @returns {boolean} True if supported
+   */
+  supports(operation) {
+    return ['reverseGeocode', 'geocode'].includes(operation);
+  }
+
+  /**
+   * Check whether the provider can serve a tenant's requests
+   * Providers with per-tenant credentials override this.
+   * @param {Object|null} tenant - Tenant that made the request
+   * @returns {boolean} True if configured
+   */
+  isConfiguredFor(tenant) {
+    return true;
+  }
+
+  /**
+   * Convert coordinates to an address
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {Object} options - { tenant } that made the request, for providers with per-tenant credentials
+   * @returns {Promise<Object>} Geocoding result
+   */
+  async reverseGeocode(latitude, longitude, options = {}) {
+    throw new Error(`${this.name} provider does not implement reverseGeocode`);
+  }
+
+  /**
+   * Convert an address to coordinates
+   * @param {string} address - Address to geocode
+   * @param {Object} options - { tenant } as for reverseGeocode
+   * @returns {Promise<Object>} Geocoding result
+   */
+  async geocode(address, options = {}) {
+    throw new Error(`${this.name} provider does not implement geocode`);
+  }
+
+  /**
+   * Map provider-specific address components to the shared address_components shape
+   * @param {*} components - Provider-specific address components
+   * @returns {Object} { street_number, route, locality, administrative_area_level_1, administrative_area_level_2, country, country_code, postal_code, sublocality, neighborhood }
+   */
+  parseAddressComponents(components) {
+    throw new Error(`${this.name} provider does not implement parseAddressComponents`);
+  }
+}
+
+module.exports = {
+  GeocodingProvider,
+  GeocodingProviderError
+};
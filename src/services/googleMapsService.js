@@ -1,34 +1,66 @@
 const { Client } = require('@googlemaps/google-maps-services-js');
+const { GeocodingProvider, GeocodingProviderError } = require('./geocodingProvider');
 const { logger } = require('../utils/logger');
-const { roundCoordinates } = require('../utils/coordinateUtils');
+const { getTenants } = require('../config/tenants');
 
-class GoogleMapsService {
+// Statuses that, for a tenant's own key, concern that key only (denied, billing, quota)
+const KEY_SCOPED_STATUSES = ['REQUEST_DENIED', 'OVER_DAILY_LIMIT', 'OVER_QUERY_LIMIT'];
+
+class GoogleMapsService extends GeocodingProvider {
   constructor() {
-    if (!process.env.GOOGLE_MAPS_API_KEY) {
-      throw new Error('GOOGLE_MAPS_API_KEY environment variable is required');
+    if (!process.env.GOOGLE_MAPS_API_KEY && !getTenants().some(tenant => tenant.googleMapsApiKey)) {
+      throw new Error('GOOGLE_MAPS_API_KEY environment variable or a tenant googleMapsApiKey is required');
     }
     
+    super('google');
     this.client = new Client({});
-    this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    this.apiKey = process.env.GOOGLE_MAPS_API_KEY || null;
+  }
+
+  /**
+   * @param {Object|null} tenant - Tenant that made the request
+   * @returns {boolean} Whether a key is available for the tenant
+   */
+  isConfiguredFor(tenant) {
+    return Boolean(tenant?.googleMapsApiKey || this.apiKey);
+  }
+
+  /**
+   * Get the API key billed for a request: the tenant's own key, else GOOGLE_MAPS_API_KEY
+   * @param {Object|null} tenant - Tenant that made the request
+   * @returns {string} API key
+   * @throws {GeocodingProviderError} When neither is configured (see isConfiguredFor)
+   */
+  getApiKey(tenant) {
+    if (!this.isConfiguredFor(tenant)) {
+      throw new GeocodingProviderError(`No Google Maps API key configured for tenant ${tenant?.name || 'default'}`, this.name, {
+        tenantScoped: true
+      });
+    }
+    return tenant?.googleMapsApiKey || this.apiKey;
   }
 
-  async reverseGeocode(latitude, longitude) {
+  async reverseGeocode(latitude, longitude, { tenant = null } = {}) {
+    const apiKey = this.getApiKey(tenant);
+    const tenantKey = Boolean(tenant?.googleMapsApiKey);
+
     try {
-  // Ensure coordinates are rounded to 2 decimal places for consistency
-  const roundedCoords = roundCoordinates(latitude, longitude, 2);
+  // Callers snap coordinates to the requested precision (see snapCoordinates)
+  const coordinates = { latitude, longitude };
       
-  logger.debug(`Using rounded coordinates for API call`, { latitude: roundedCoords.latitude, longitude: roundedCoords.longitude });
+  logger.debug(`Using snapped coordinates for API call`, { latitude: coordinates.latitude, longitude: coordinates.longitude });
       
       const response = await this.client.reverseGeocode({
         params: {
-          latlng: { lat: roundedCoords.latitude, lng: roundedCoords.longitude },
-          key: this.apiKey,
+          latlng: { lat: coordinates.latitude, lng: coordinates.longitude },
+          key: apiKey,
           result_type: ['street_address', 'route', 'locality', 'administrative_area_level_1', 'country', 'postal_code']
         }
       });
 
-      if (response.data.status !== 'OK') {
-        throw new Error(`Google Maps API error: ${response.data.status}`);
+      // ZERO_RESULTS is a valid answer, handled as "not found" below
+      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+        throw this.createApiError(response.data.status, tenantKey);
       }
 
       const results = response.data.results;
@@ -36,7 +68,7 @@ class GoogleMapsService {
         return {
           success: false,
           message: 'No address found for the provided coordinates',
-          coordinates: roundedCoords
+          coordinates
         };
       }
 
@@ -47,7 +79,7 @@ class GoogleMapsService {
       return {
         success: true,
         data: {
-          coordinates: roundedCoords, // Return rounded coordinates
+          coordinates, // Return snapped coordinates
           formatted_address: firstResult.formatted_address,
           place_id: firstResult.place_id,
           address_components: addressComponents,
@@ -57,26 +89,34 @@ class GoogleMapsService {
             bounds: firstResult.geometry.bounds,
             viewport: firstResult.geometry.viewport
           },
-          types: firstResult.types
+          types: firstResult.types,
+          provider: this.name
         }
       };
     } catch (error) {
   logger.error('Google Maps reverse geocoding error', { error: error.message });
-      throw new Error(`Failed to reverse geocode coordinates: ${error.message}`);
+      throw new GeocodingProviderError(`Failed to reverse geocode coordinates: ${error.message}`, this.name, {
+        retryable: error.retryable !== false,
+        tenantScoped: error.tenantScoped === true
+      });
     }
   }
 
-  async geocode(address) {
+  async geocode(address, { tenant = null } = {}) {
+    const apiKey = this.getApiKey(tenant);
+    const tenantKey = Boolean(tenant?.googleMapsApiKey);
+
     try {
   const response = await this.client.geocode({
         params: {
           address: address,
-          key: this.apiKey
+          key: apiKey
         }
       });
 
-      if (response.data.status !== 'OK') {
-        throw new Error(`Google Maps API error: ${response.data.status}`);
+      // ZERO_RESULTS is a valid answer, handled as "not found" below
+      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+        throw this.createApiError(response.data.status, tenantKey);
       }
 
       const results = response.data.results;
@@ -104,15 +144,35 @@ class GoogleMapsService {
             bounds: firstResult.geometry.bounds,
             viewport: firstResult.geometry.viewport
           },
-          types: firstResult.types
+          types: firstResult.types,
+          provider: this.name
         }
       };
     } catch (error) {
   logger.error('Google Maps geocoding error', { error: error.message });
-      throw new Error(`Failed to geocode address: ${error.message}`);
+      throw new GeocodingProviderError(`Failed to geocode address: ${error.message}`, this.name, {
+        retryable: error.retryable !== false,
+        tenantScoped: error.tenantScoped === true
+      });
     }
   }
 
+  /**
+   * Build the error for a non-OK Geocoding API status
+   * INVALID_REQUEST means the request itself is wrong, so it is not worth retrying elsewhere.
+   * Key problems with a tenant's own key only concern that tenant.
+   * @param {string} status - Geocoding API status
+   * @param {boolean} tenantKey - Whether the request used the tenant's own key
+   * @returns {Error} Error carrying the status
+   */
+  createApiError(status, tenantKey = false) {
+    const error = new Error(`Google Maps API error: ${status}`);
+    error.status = status;
+    error.retryable = status !== 'INVALID_REQUEST';
+    error.tenantScoped = tenantKey && KEY_SCOPED_STATUSES.includes(status);
+    return error;
+  }
+
   parseAddressComponents(components) {
     const parsed = {};
     
@@ -135,6 +195,7 @@ class GoogleMapsService {
       country_code: parsed.country?.short_name || null,
       postal_code: parsed.postal_code?.long_name || null,
       sublocality: parsed.sublocality?.long_name || null,
+      sublocality_level_1: parsed.sublocality_level_1?.long_name || null,
       neighborhood: parsed.neighborhood?.long_name || null
     };
   }
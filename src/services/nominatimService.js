@@ -0,0 +1,159 @@
+const { GeocodingProvider, GeocodingProviderError } = require('./geocodingProvider');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_BASE_URL = 'https://nominatim.openstreetmap.org';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Geocoding provider for Nominatim-compatible HTTP APIs (OpenStreetMap data)
+ * Point NOMINATIM_BASE_URL at a self-hosted instance for production traffic;
+ * the public instance is rate limited to about one request per second.
+ */
+class NominatimService extends GeocodingProvider {
+  constructor() {
+    super('nominatim');
+
+    this.baseUrl = (process.env.NOMINATIM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.userAgent = process.env.NOMINATIM_USER_AGENT || 'gmmerchandising-backend';
+    this.email = process.env.NOMINATIM_EMAIL || null;
+    this.language = process.env.NOMINATIM_LANGUAGE || null;
+    this.timeoutMs = parseInt(process.env.NOMINATIM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Call a Nominatim endpoint and return the parsed JSON body
+   * @param {string} path - Endpoint path ('/reverse' or '/search')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} Parsed response body
+   */
+  async request(path, params) {
+    const query = new URLSearchParams({ format: 'jsonv2', addressdetails: '1', ...params });
+    if (this.email) {
+      query.set('email', this.email);
+    }
+    if (this.language) {
+      query.set('accept-language', this.language);
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}?${query.toString()}`, {
+      headers: { 'User-Agent': this.userAgent, Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim API error: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async reverseGeocode(latitude, longitude) {
+    try {
+      // Callers snap coordinates to the requested precision (see snapCoordinates)
+      const coordinates = { latitude, longitude };
+
+      const result = await this.request('/reverse', {
+        lat: String(coordinates.latitude),
+        lon: String(coordinates.longitude)
+      });
+
+      // Nominatim answers "nothing here" with an error body and HTTP 200
+      if (!result || result.error) {
+        return {
+          success: false,
+          message: 'No address found for the provided coordinates',
+          coordinates
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          coordinates, // Return snapped coordinates
+          ...this.formatResult(result)
+        }
+      };
+    } catch (error) {
+      logger.error('Nominatim reverse geocoding error', { error: error.message });
+      throw new GeocodingProviderError(`Failed to reverse geocode coordinates: ${error.message}`, this.name);
+    }
+  }
+
+  async geocode(address) {
+    try {
+      const results = await this.request('/search', { q: address, limit: '1' });
+
+      if (!Array.isArray(results) || results.length === 0) {
+        return {
+          success: false,
+          message: 'No coordinates found for the provided address',
+          address: address
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          address: address,
+          ...this.formatResult(results[0])
+        }
+      };
+    } catch (error) {
+      logger.error('Nominatim geocoding error', { error: error.message });
+      throw new GeocodingProviderError(`Failed to geocode address: ${error.message}`, this.name);
+    }
+  }
+
+  /**
+   * Map a Nominatim place to the shared result data shape
+   * @param {Object} place - Nominatim place (jsonv2 format)
+   * @returns {Object} Result data without the request echo fields
+   */
+  formatResult(place) {
+    const location = { lat: parseFloat(place.lat), lng: parseFloat(place.lon) };
+    const address = place.address || {};
+
+    let viewport;
+    if (Array.isArray(place.boundingbox) && place.boundingbox.length === 4) {
+      const [south, north, west, east] = place.boundingbox.map(parseFloat);
+      viewport = {
+        northeast: { lat: north, lng: east },
+        southwest: { lat: south, lng: west }
+      };
+    }
+
+    return {
+      formatted_address: place.display_name,
+      place_id: `osm:${place.osm_type}:${place.osm_id}`,
+      address_components: this.parseAddressComponents(address),
+      geometry: {
+        location,
+        location_type: address.house_number ? 'ROOFTOP' : 'APPROXIMATE',
+        bounds: undefined,
+        viewport
+      },
+      types: [place.type || place.category].filter(Boolean),
+      provider: this.name
+    };
+  }
+
+  parseAddressComponents(address) {
+    const municipality = address.city || address.town || address.village || address.municipality || null;
+
+    return {
+      street_number: address.house_number || null,
+      route: address.road || null,
+      locality: municipality,
+      administrative_area_level_1: address.state || null,
+      administrative_area_level_2: municipality,
+      country: address.country || null,
+      country_code: address.country_code ? address.country_code.toUpperCase() : null,
+      postal_code: address.postcode || null,
+      sublocality: address.suburb || null,
+      sublocality_level_1: address.suburb || null,
+      neighborhood: address.neighbourhood || null
+    };
+  }
+}
+
+module.exports = NominatimService;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { GeocodingProvider } = require('./geocodingProvider');
+const { logger } = require('../utils/logger');
+const { isPointInGeometry, getBoundingBox, isPointInBoundingBox } = require('../utils/geoUtils');
+
+const DEFAULT_BOUNDARIES_PATH = path.join(__dirname, '..', '..', 'data', 'boundaries.geojson');
+
+// Most specific level first
+const LEVELS = ['municipality', 'state', 'country'];
+
+const LEVEL_TYPES = {
+  municipality: ['administrative_area_level_2', 'political'],
+  state: ['administrative_area_level_1', 'political'],
+  country: ['country', 'political']
+};
+
+/**
+ * Offline reverse geocoding at municipality, state and country level
+ *
+ * Answers from a local GeoJSON FeatureCollection with point-in-polygon lookups,
+ * without any external call. Each feature needs a Polygon or MultiPolygon
+ * geometry and these properties:
+ *   level        - 'municipality', 'state' or 'country'
+ *   name         - Name of the area
+ *   state        - State name (municipalities, optional when a state feature covers it)
+ *   country      - Country name (optional when a country feature covers it)
+ *   country_code - ISO 3166-1 alpha-2 code
+ *   code         - Optional stable identifier (e.g. IBGE code), used for place_id
+ */
+class OfflineBoundaryService extends GeocodingProvider {
+  /**
+   * @param {string} boundariesPath - GeoJSON file (default: OFFLINE_BOUNDARIES_PATH or data/boundaries.geojson)
+   */
+  constructor(boundariesPath = process.env.OFFLINE_BOUNDARIES_PATH || DEFAULT_BOUNDARIES_PATH) {
+    super('offline');
+
+    if (!fs.existsSync(boundariesPath)) {
+      throw new Error(`Boundary file not found: ${boundariesPath}`);
+    }
+
+    const collection = JSON.parse(fs.readFileSync(boundariesPath, 'utf8'));
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error(`Boundary file is not a GeoJSON FeatureCollection: ${boundariesPath}`);
+    }
+
+    this.features = collection.features
+      .filter(feature => LEVELS.includes(feature.properties?.level) && feature.properties?.name)
+      .map(feature => ({
+        properties: feature.properties,
+        geometry: feature.geometry,
+        bbox: getBoundingBox(feature.geometry)
+      }))
+      .filter(feature => feature.bbox);
+
+    logger.info(`Offline boundaries loaded: ${this.features.length} areas from ${boundariesPath}`);
+  }
+
+  supports(operation) {
+    return operation === 'reverseGeocode';
+  }
+
+  /**
+   * Find the areas containing a point, keyed by level
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object} { municipality, state, country } feature properties (missing levels omitted)
+   */
+  findAreas(latitude, longitude) {
+    const areas = {};
+
+    for (const feature of this.features) {
+      const { level } = feature.properties;
+      if (areas[level] || !isPointInBoundingBox(longitude, latitude, feature.bbox)) {
+        continue;
+      }
+      if (isPointInGeometry(longitude, latitude, feature.geometry)) {
+        areas[level] = { ...feature.properties, bbox: feature.bbox };
+      }
+    }
+
+    return areas;
+  }
+
+  async reverseGeocode(latitude, longitude) {
+    // Callers snap coordinates to the requested precision (see snapCoordinates)
+    const coordinates = { latitude, longitude };
+    const areas = this.findAreas(coordinates.latitude, coordinates.longitude);
+    const level = LEVELS.find(candidate => areas[candidate]);
+
+    if (!level) {
+      return {
+        success: false,
+        message: 'No address found for the provided coordinates',
+        coordinates
+      };
+    }
+
+    const area = areas[level];
+    const addressComponents = this.parseAddressComponents(areas);
+    const { bbox } = area;
+
+    return {
+      success: true,
+      data: {
+        coordinates, // Return snapped coordinates
+        formatted_address: [
+          addressComponents.administrative_area_level_2,
+          addressComponents.administrative_area_level_1,
+          addressComponents.country
+        ].filter(Boolean).join(', '),
+        place_id: `offline:${addressComponents.country_code || 'XX'}:${level}:${area.code || area.name}`,
+        address_components: addressComponents,
+        geometry: {
+          location: { lat: coordinates.latitude, lng: coordinates.longitude },
+          location_type: 'APPROXIMATE',
+          bounds: undefined,
+          viewport: {
+            northeast: { lat: bbox.maxLat, lng: bbox.maxLng },
+            southwest: { lat: bbox.minLat, lng: bbox.minLng }
+          }
+        },
+        types: LEVEL_TYPES[level],
+        provider: this.name
+      }
+    };
+  }
+
+  /**
+   * Map the areas containing a point to the shared address_components shape
+   * @param {Object} areas - { municipality, state, country } feature properties
+   * @returns {Object} Address components
+   */
+  parseAddressComponents(areas) {
+    const { municipality, state, country } = areas;
+    const countryName = country?.name || state?.country || municipality?.country || null;
+    const countryCode = country?.country_code || state?.country_code || municipality?.country_code || null;
+
+    return {
+      street_number: null,
+      route: null,
+      locality: municipality?.name || null,
+      administrative_area_level_1: state?.name || municipality?.state || null,
+      administrative_area_level_2: municipality?.name || null,
+      country: countryName,
+      country_code: countryCode ? countryCode.toUpperCase() : null,
+      postal_code: null,
+      sublocality: null,
+      sublocality_level_1: null,
+      neighborhood: null
+    };
+  }
+}
+
+module.exports = OfflineBoundaryService;
@@ -0,0 +1,156 @@
+const GoogleMapsService = require('./googleMapsService');
+const NominatimService = require('./nominatimService');
+const OfflineBoundaryService = require('./offlineBoundaryService');
+const FailoverGeocoder = require('./failoverGeocoder');
+const { GeocodingProviderError } = require('./geocodingProvider');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_PROVIDERS = 'google';
+
+const providerFactories = {
+  google: () => new GoogleMapsService(),
+  nominatim: () => new NominatimService(),
+  offline: () => new OfflineBoundaryService()
+};
+
+let providers = null;
+let geocoder = null;
+let offlineProvider;
+
+/**
+ * Instantiate the providers listed in GEOCODING_PROVIDERS, in order
+ * Providers that are unknown or missing configuration are skipped with a
+ * warning instead of preventing the server from starting.
+ * @returns {GeocodingProvider[]} Configured providers
+ */
+function loadProviders() {
+  const names = (process.env.GEOCODING_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const loaded = [];
+  for (const name of names) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      logger.warn(`Unknown geocoding provider '${name}' ignored`);
+      continue;
+    }
+
+    try {
+      loaded.push(factory());
+      logger.info(`Geocoding provider '${name}' enabled`);
+    } catch (error) {
+      logger.warn(`Geocoding provider '${name}' disabled: ${error.message}`);
+    }
+  }
+
+  if (loaded.length === 0) {
+    logger.warn('No geocoding provider is configured. Geocoding requests will fail until one is.');
+  }
+
+  return loaded;
+}
+
+/**
+ * Get all configured providers in priority order
+ * @returns {GeocodingProvider[]} Configured providers
+ */
+function getProviders() {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return providers;
+}
+
+/**
+ * Get a configured provider by name
+ * @param {string} name - Provider name (e.g. 'google', 'nominatim', 'offline')
+ * @returns {GeocodingProvider|null} Provider or null if not configured
+ */
+function getProvider(name) {
+  return getProviders().find(provider => provider.name === name) || null;
+}
+
+/**
+ * Get the highest priority configured provider
+ * @returns {GeocodingProvider} Provider
+ * @throws {GeocodingProviderError} When no provider is configured
+ */
+function getPrimaryProvider() {
+  const [primary] = getProviders();
+  if (!primary) {
+    throw new GeocodingProviderError('No geocoding provider available');
+  }
+  return primary;
+}
+
+/**
+ * Get the geocoder requests should use: all configured providers behind a failover chain
+ * @returns {FailoverGeocoder} Geocoder
+ */
+function getGeocoder() {
+  if (!geocoder) {
+    geocoder = new FailoverGeocoder(getProviders());
+  }
+  return geocoder;
+}
+
+/**
+ * Describe a provider's availability for status endpoints
+ * @param {string} name - Provider name
+ * @returns {string} 'Connected', 'Degraded' (half-open), 'Unavailable' (open) or 'Not configured'
+ */
+function getProviderAvailability(name) {
+  const status = getGeocoder().getStatus().find(breaker => breaker.name === name);
+  if (!status) {
+    return 'Not configured';
+  }
+
+  return {
+    closed: 'Connected',
+    half_open: 'Degraded',
+    open: 'Unavailable'
+  }[status.state];
+}
+
+/**
+ * Get the offline boundary provider used for cheap municipality-level lookups
+ * Uses the one in GEOCODING_PROVIDERS when listed, otherwise loads the boundary
+ * file on its own. Returns null when no boundary file is available.
+ * @returns {OfflineBoundaryService|null} Offline provider
+ */
+function getOfflineProvider() {
+  if (offlineProvider === undefined) {
+    offlineProvider = getProvider('offline');
+
+    if (!offlineProvider) {
+      try {
+        offlineProvider = providerFactories.offline();
+      } catch (error) {
+        logger.info(`Offline municipality lookups disabled: ${error.message}`);
+        offlineProvider = null;
+      }
+    }
+  }
+  return offlineProvider;
+}
+
+/**
+ * Drop loaded providers so the next call re-reads configuration
+ */
+function resetProviders() {
+  providers = null;
+  geocoder = null;
+  offlineProvider = undefined;
+}
+
+module.exports = {
+  getProviders,
+  getProvider,
+  getPrimaryProvider,
+  getGeocoder,
+  getOfflineProvider,
+  getProviderAvailability,
+  resetProviders
+};
@@ -0,0 +1,50 @@
+jest.mock('../config/redis', () => ({}));
+
+const { normalizeAddress } = require('../utils/addressUtils');
+const { generateForwardCacheKey } = require('../middleware/cache');
+
+describe('normalizeAddress', () => {
+  it('should give hand-typed variants of an address the same form', () => {
+    const variants = [
+      'Av. Paulista, 1000 - São Paulo',
+      'avenida paulista 1000 sao paulo',
+      'AV PAULISTA, Nº 1000, SÃO PAULO',
+      '  Avenida  Paulista,n. 1000 -- Sao Paulo  '
+    ];
+
+    expect(new Set(variants.map(normalizeAddress))).toEqual(new Set(['avenida paulista 1000 sao paulo']));
+  });
+
+  it('should expand Brazilian and English street abbreviations', () => {
+    expect(normalizeAddress('R. Augusta, 500')).toBe('rua augusta 500');
+    expect(normalizeAddress('Al. Santos 200')).toBe('alameda santos 200');
+    expect(normalizeAddress('350 5th Ave.')).toBe('350 5th avenue');
+    expect(normalizeAddress('1 Main St, Springfield')).toBe('1 main street springfield');
+  });
+
+  it('should keep number-like words that are not number markers', () => {
+    expect(normalizeAddress('Rua Nova, 10')).toBe('rua nova 10');
+    expect(normalizeAddress('Praça No Centro')).toBe('praca no centro');
+  });
+
+  it('should keep letters of non-Latin scripts', () => {
+    expect(normalizeAddress('Москва, Тверская 1')).toBe('москва тверская 1');
+    expect(normalizeAddress('Санкт-Петербург, Невский 1')).toBe('санкт петербург невский 1');
+    expect(normalizeAddress('東京都千代田区1')).toBe('東京都千代田区1');
+    expect(normalizeAddress('大阪府、なんば ２')).toBe('大阪府 なんば ２');
+  });
+});
+
+describe('generateForwardCacheKey', () => {
+  it('should give addresses in different scripts different keys', () => {
+    const keys = ['Москва, Тверская 1', 'Санкт-Петербург, Невский 1', '東京都千代田区1', '1'].map(address => generateForwardCacheKey(address));
+
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  it('should not share entries between inputs without letters', () => {
+    expect(generateForwardCacheKey('1')).not.toBe(generateForwardCacheKey('1.'));
+    expect(generateForwardCacheKey('!!!')).not.toBe(generateForwardCacheKey('???'));
+    expect(generateForwardCacheKey('Rua Nova, 10')).toBe(generateForwardCacheKey('rua nova 10'));
+  });
+});
@@ -0,0 +1,197 @@
+jest.mock('../config/redis', () => ({ isAvailable: jest.fn(() => true) }));
+jest.mock('../middleware/auth', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { uid: 'u1', isAnonymous: false, authenticatedWith: 'primary' };
+    next();
+  };
+  return { authenticateFirebaseToken: authenticate, authenticateAdminToken: authenticate, requireRole: () => (req, res, next) => next() };
+});
+const mockAllowCacheHit = jest.fn(async () => true);
+jest.mock('../middleware/quota', () => ({
+  createQuotaGate: jest.fn((req, res, kind) => (kind === 'hits' ? mockAllowCacheHit : async () => true))
+}));
+jest.mock('../services/geocodingCache', () => ({
+  getGeocodingProvider: jest.fn(),
+  resolveReverseGeocode: jest.fn(),
+  resolveForwardGeocode: jest.fn()
+}));
+jest.mock('../utils/cacheMetrics', () => ({ record: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { resolveReverseGeocode, resolveForwardGeocode } = require('../services/geocodingCache');
+const geocodingRoutes = require('../routes/geocoding');
+
+const app = express();
+app.use(express.json());
+app.use('/api/geocoding', geocodingRoutes);
+
+const found = (formattedAddress, cached) => ({ cached, approximate: false, result: { success: true, data: { formatted_address: formattedAddress } } });
+
+describe('POST /api/geocoding/reverse/batch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.BATCH_MAX_ITEMS;
+  });
+
+  it('should report errors per item without failing the batch', async () => {
+    resolveReverseGeocode.mockImplementation(async ({ latitude }) => {
+      if (latitude === 10) {
+        return { cached: false, result: { success: false, message: 'No address found', coordinates: { latitude, longitude: 10 } } };
+      }
+      if (latitude === 20) {
+        throw new Error('Provider unavailable');
+      }
+      if (latitude === 30) {
+        return { quotaExceeded: true, result: { success: false, message: 'Miss quota exceeded' } };
+      }
+      return found('Avenida Paulista, 1000', true);
+    });
+
+    const response = await request(app).post('/api/geocoding/reverse/batch').send({
+      coordinates: [
+        { latitude: -23.5613, longitude: -46.6565 },
+        { latitude: 91, longitude: 0 },
+        { latitude: 10, longitude: 10 },
+        { latitude: 20, longitude: 20 },
+        { latitude: 30, longitude: 30 },
+        { longitude: 40 }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    const { results, summary } = response.body.data;
+    expect(results.map(result => result.code || 'OK')).toEqual([
+      'OK', 'INVALID_LATITUDE_RANGE', 'ADDRESS_NOT_FOUND', 'GEOCODING_ERROR', 'QUOTA_EXCEEDED', 'MISSING_COORDINATES'
+    ]);
+    expect(results[0]).toMatchObject({ index: 0, success: true, cached: true, data: { formatted_address: 'Avenida Paulista, 1000' } });
+    expect(results[3]).toMatchObject({ index: 3, success: false, error: 'Provider unavailable' });
+    expect(summary).toEqual({ total: 6, succeeded: 1, failed: 5, cached: 1, approximate: 0, fresh: 0, quotaExceeded: 1 });
+
+    // Only cached items are charged as hits
+    expect(mockAllowCacheHit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serve cached items until the hit quota runs out instead of rejecting the batch', async () => {
+    resolveReverseGeocode.mockResolvedValue(found('Avenida Paulista, 1000', true));
+    mockAllowCacheHit.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const response = await request(app).post('/api/geocoding/reverse/batch').send({
+      coordinates: [{ latitude: -23.5613, longitude: -46.6565 }, { latitude: -22.9068, longitude: -43.1729 }]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.results.map(result => result.code || 'OK')).toEqual(['OK', 'QUOTA_EXCEEDED']);
+    expect(response.body.data.summary).toMatchObject({ total: 2, succeeded: 1, cached: 1, quotaExceeded: 1 });
+  });
+
+  it('should look up items that snap to the same cell once', async () => {
+    resolveReverseGeocode.mockResolvedValue(found('Avenida Paulista, 1000', false));
+
+    const response = await request(app).post('/api/geocoding/reverse/batch').send({
+      coordinates: [{ latitude: -23.5613, longitude: -46.6565 }, { latitude: -23.5613, longitude: -46.6565 }]
+    });
+
+    expect(response.body.data.summary).toMatchObject({ total: 2, succeeded: 2, fresh: 2 });
+    expect(resolveReverseGeocode).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject missing, empty, oversized batches and invalid batch precision', async () => {
+    process.env.BATCH_MAX_ITEMS = '2';
+    const item = { latitude: 1, longitude: 1 };
+    const send = (body) => request(app).post('/api/geocoding/reverse/batch').send(body);
+
+    const cases = [
+      [{}, 'MISSING_BATCH'],
+      [{ coordinates: item }, 'INVALID_BATCH_FORMAT'],
+      [{ coordinates: [] }, 'EMPTY_BATCH'],
+      [{ coordinates: [item, item, item] }, 'BATCH_TOO_LARGE'],
+      [{ coordinates: [item], precision: 'abc' }, 'INVALID_PRECISION']
+    ];
+    for (const [body, code] of cases) {
+      const response = await send(body);
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe(code);
+    }
+    expect(resolveReverseGeocode).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/geocoding/forward/batch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.BATCH_MAX_ITEMS;
+  });
+
+  it('should report a status per address without failing the batch', async () => {
+    resolveForwardGeocode.mockImplementation(async (address) => {
+      if (address === 'Nowhere 0') {
+        return { cached: false, result: { success: false, message: 'No coordinates found' } };
+      }
+      if (address === 'Rua Quebrada, 1') {
+        throw new Error('Provider unavailable');
+      }
+      if (address === 'Rua Cara, 2') {
+        return { quotaExceeded: true, result: { success: false, message: 'Miss quota exceeded' } };
+      }
+      return { cached: address === 'Rua Augusta, 500', result: { success: true, data: { formatted_address: `${address}, São Paulo` } } };
+    });
+
+    const response = await request(app).post('/api/geocoding/forward/batch').send({
+      addresses: ['Rua Augusta, 500', 'Avenida Paulista, 1000', 'Nowhere 0', 'Rua Quebrada, 1', 'Rua Cara, 2', '   ', 42]
+    });
+
+    expect(response.status).toBe(200);
+    const { results, totals } = response.body.data;
+    expect(results.map(result => result.status)).toEqual(['cached', 'fresh', 'not_found', 'error', 'quota_exceeded', 'invalid', 'invalid']);
+    expect(results[0]).toMatchObject({ index: 0, success: true, data: { formatted_address: 'Rua Augusta, 500, São Paulo', address: 'Rua Augusta, 500' } });
+    expect(results[2]).toMatchObject({ code: 'COORDINATES_NOT_FOUND' });
+    expect(results[3]).toMatchObject({ code: 'GEOCODING_ERROR', error: 'Provider unavailable' });
+    expect(results[5]).toMatchObject({ code: 'EMPTY_ADDRESS', address: '   ' });
+    expect(results[6]).toMatchObject({ code: 'INVALID_ADDRESS_FORMAT', address: 42 });
+    expect(totals).toEqual({ total: 7, cached: 1, fresh: 1, not_found: 1, invalid: 2, quota_exceeded: 1, error: 1 });
+    expect(mockAllowCacheHit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serve cached addresses until the hit quota runs out instead of rejecting the batch', async () => {
+    resolveForwardGeocode.mockResolvedValue({ cached: true, result: { success: true, data: { formatted_address: 'R. Augusta, 500' } } });
+    mockAllowCacheHit.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const response = await request(app).post('/api/geocoding/forward/batch').send({
+      addresses: ['Rua Augusta, 500', 'Avenida Paulista, 1000']
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.results.map(result => result.status)).toEqual(['cached', 'quota_exceeded']);
+    expect(response.body.data.totals).toMatchObject({ total: 2, cached: 1, quota_exceeded: 1 });
+  });
+
+  it('should look up spelling variants of the same address once and echo each spelling', async () => {
+    resolveForwardGeocode.mockResolvedValue({ cached: false, result: { success: true, data: { formatted_address: 'R. Augusta, 500' } } });
+
+    const response = await request(app).post('/api/geocoding/forward/batch').send({
+      addresses: ['Rua Augusta, 500', 'rua augusta 500']
+    });
+
+    expect(resolveForwardGeocode).toHaveBeenCalledTimes(1);
+    expect(response.body.data.results.map(result => result.data.address)).toEqual(['Rua Augusta, 500', 'rua augusta 500']);
+  });
+
+  it('should reject missing, empty and oversized batches', async () => {
+    process.env.BATCH_MAX_ITEMS = '2';
+    const send = (body) => request(app).post('/api/geocoding/forward/batch').send(body);
+
+    const cases = [
+      [{}, 'MISSING_BATCH'],
+      [{ addresses: 'Rua Augusta, 500' }, 'INVALID_BATCH_FORMAT'],
+      [{ addresses: [] }, 'EMPTY_BATCH'],
+      [{ addresses: ['a', 'b', 'c'] }, 'BATCH_TOO_LARGE']
+    ];
+    for (const [body, code] of cases) {
+      const response = await send(body);
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe(code);
+    }
+    expect(resolveForwardGeocode).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  scan: jest.fn(),
+  ttl: jest.fn(),
+  get: jest.fn(),
+  set: jest.fn(async () => true),
+  geoadd: jest.fn(async () => true)
+}));
+
+const redisService = require('../config/redis');
+const cacheBackup = require('../utils/cacheBackup');
+const { CACHE_SCHEMA_VERSION } = require('../utils/cacheSchema');
+
+const reverseEntry = (cachedAt, latitude = -23.561, longitude = -46.656) => ({
+  success: true,
+  data: { formattedAddress: 'Av. Paulista, São Paulo', coordinates: { latitude, longitude } },
+  cacheMetadata: { schemaVersion: CACHE_SCHEMA_VERSION, cachedAt, perpetual: true }
+});
+
+describe('cacheBackup', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {
+      'reverse-geocode:-23.561:-46.656': { ttl: -1, value: reverseEntry('2026-01-01T00:00:00.000Z') },
+      'geocode:paulista': { ttl: 3600, value: { success: true, data: { results: [] } } },
+      'coalesce-lock:geocode:paulista': { ttl: 5, value: 'token' }
+    };
+    redisService.scan.mockResolvedValue({ cursor: '0', keys: Object.keys(stored) });
+    redisService.ttl.mockImplementation(async key => stored[key]?.ttl ?? -2);
+    redisService.get.mockImplementation(async key => stored[key]?.value ?? null);
+  });
+
+  it('should export a header and one line per cached response', async () => {
+    const lines = [];
+    const results = await cacheBackup.exportEntries(async line => lines.push(JSON.parse(line)));
+
+    expect(lines[0]).toMatchObject({ format: 'geocoding-cache', version: 1, schemaVersion: CACHE_SCHEMA_VERSION });
+    expect(lines.slice(1)).toEqual([
+      { key: 'reverse-geocode:-23.561:-46.656', ttl: -1, value: stored['reverse-geocode:-23.561:-46.656'].value },
+      { key: 'geocode:paulista', ttl: 3600, value: stored['geocode:paulista'].value }
+    ]);
+    expect(results).toMatchObject({ success: true, exportedCount: 2, skippedCount: 1 });
+  });
+
+  it('should apply the conflict mode and index imported reverse entries', async () => {
+    const lines = [
+      JSON.stringify({ format: 'geocoding-cache', version: 1, schemaVersion: CACHE_SCHEMA_VERSION }),
+      JSON.stringify({ key: 'reverse-geocode:-23.561:-46.656', ttl: -1, value: reverseEntry('2026-02-01T00:00:00.000Z') }),
+      JSON.stringify({ key: 'reverse-geocode:-22.9:-43.2', ttl: -1, value: reverseEntry('2025-12-01T00:00:00.000Z', -22.9, -43.2) }),
+      JSON.stringify({ key: 'reverse-geocode:-22.9:-43.2:user:abc', value: reverseEntry('2025-12-01T00:00:00.000Z', -22.9, -43.2) }),
+      '{not json',
+      JSON.stringify({ key: 'session:abc', value: reverseEntry('2025-12-01T00:00:00.000Z') })
+    ];
+
+    const skipped = await cacheBackup.importEntries(lines);
+    expect(skipped).toMatchObject({ success: true, importedCount: 2, replacedCount: 0, skippedCount: 1, invalidCount: 2 });
+    expect(skipped.errors).toEqual(['line 5: invalid JSON', 'line 6: key must start with geocode: or reverse-geocode:']);
+    expect(redisService.geoadd).toHaveBeenCalledTimes(1);
+    expect(redisService.geoadd).toHaveBeenCalledWith('geo-index:reverse-geocode', -43.2, -22.9, 'reverse-geocode:-22.9:-43.2');
+
+    jest.clearAllMocks();
+    const newer = await cacheBackup.importEntries(lines, { onConflict: 'newer' });
+    expect(newer).toMatchObject({ replacedCount: 1, importedCount: 2 });
+    expect(redisService.set).toHaveBeenCalledWith('reverse-geocode:-23.561:-46.656', expect.any(Object), 0);
+  });
+
+  it('should not write in a dry run and reject unknown export formats', async () => {
+    const lines = [JSON.stringify({ key: 'geocode:centro', ttl: 60, value: { success: true, data: {} } })];
+
+    const dryRun = await cacheBackup.importEntries(lines, { onConflict: 'overwrite', dryRun: true });
+    expect(dryRun).toMatchObject({ success: true, importedCount: 1 });
+    expect(redisService.set).not.toHaveBeenCalled();
+
+    const unsupported = await cacheBackup.importEntries([JSON.stringify({ format: 'other', version: 9 }), ...lines]);
+    expect(unsupported.success).toBe(false);
+    expect(redisService.set).not.toHaveBeenCalled();
+  });
+});
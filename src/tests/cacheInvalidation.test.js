@@ -0,0 +1,58 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  scan: jest.fn(),
+  get: jest.fn(),
+  del: jest.fn(async () => true),
+  zrem: jest.fn(async () => true)
+}));
+
+const redisService = require('../config/redis');
+const cacheManager = require('../utils/cacheManager');
+
+const located = (city, country_code) => ({
+  success: true,
+  data: { address_components: { administrative_area_level_2: city, country: 'Brasil', country_code } }
+});
+
+const entries = {
+  'reverse-geocode:a': located('São Paulo', 'BR'),
+  'geocode:b': located('Campinas', 'BR'),
+  'reverse-geocode:c': located('Sao Paulo', 'BR'),
+  'geo-index:reverse-geocode': null
+};
+
+describe('cacheManager.clearByPattern', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisService.scan
+      .mockResolvedValueOnce({ cursor: '5', keys: ['reverse-geocode:a', 'geocode:b'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: ['reverse-geocode:c', 'geo-index:reverse-geocode'] });
+    redisService.get.mockImplementation(async key => entries[key]);
+  });
+
+  it('should delete only entries located in the requested city', async () => {
+    const results = await cacheManager.clearByPattern(undefined, { city: 'sao paulo', country: 'br' });
+
+    expect(redisService.scan).toHaveBeenCalledWith('0', { match: '*geocode:*', count: 500 });
+    expect(results).toMatchObject({ success: true, complete: true, matched: 2, deleted: 2 });
+    expect(results.keys).toEqual(['reverse-geocode:a', 'reverse-geocode:c']);
+    expect(redisService.del).not.toHaveBeenCalledWith('geocode:b');
+    expect(redisService.zrem).toHaveBeenCalledWith('geo-index:reverse-geocode', 'reverse-geocode:a');
+  });
+
+  it('should not delete anything in a dry run', async () => {
+    const results = await cacheManager.clearByPattern('*geocode:*', { dryRun: true });
+
+    expect(results).toMatchObject({ matched: 3, deleted: 0 });
+    expect(redisService.get).not.toHaveBeenCalled();
+    expect(redisService.del).not.toHaveBeenCalled();
+  });
+
+  it('should stop at the limit and return the cursor of the unfinished batch', async () => {
+    const results = await cacheManager.clearByPattern('*geocode:*', { limit: 1 });
+
+    expect(results).toMatchObject({ complete: false, cursor: '0', matched: 1, deleted: 1 });
+    expect(redisService.del).toHaveBeenCalledTimes(1);
+    expect(redisService.scan).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(),
+  hincrby: jest.fn(async () => 1),
+  hgetall: jest.fn(async () => ({})),
+  expire: jest.fn(async () => true),
+  scan: jest.fn()
+}));
+
+const redisService = require('../config/redis');
+const cacheMetrics = require('../utils/cacheMetrics');
+const { parseStatsRange } = require('../middleware/validation');
+
+describe('cacheMetrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheMetrics.expiringDayKey = null;
+  });
+
+  it('should increment daily counters by cache prefix and Firebase config', async () => {
+    await cacheMetrics.record('reverse-geocode', 'primary', { hits: 2, misses: 0, unknown: 1 });
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(redisService.hincrby).toHaveBeenCalledTimes(1);
+    expect(redisService.hincrby).toHaveBeenCalledWith(`cache-stats:${today}`, 'reverse-geocode:primary:hits', 2);
+    expect(redisService.expire).toHaveBeenCalledWith(`cache-stats:${today}`, 400 * 24 * 60 * 60);
+  });
+
+  it('should set the retention once per day without remembering past days', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T23:59:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await cacheMetrics.record('geocode', 'primary', { hits: 1 });
+      await cacheMetrics.record('geocode', 'primary', { hits: 1 });
+      jest.setSystemTime(new Date('2026-01-02T00:01:00Z'));
+      await cacheMetrics.record('geocode', 'primary', { hits: 1 });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(redisService.expire.mock.calls.map(([key]) => key)).toEqual(['cache-stats:2026-01-01', 'cache-stats:2026-01-02']);
+    expect(cacheMetrics.expiringDayKey).toBe('cache-stats:2026-01-02');
+  });
+
+  it('should not throw when Redis fails', async () => {
+    redisService.hincrby.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(cacheMetrics.record('geocode', null, { misses: 1 })).resolves.toBeUndefined();
+  });
+
+  it('should sum counters over the range with hit rates and savings', async () => {
+    redisService.hgetall.mockImplementation(async key => ({
+      'cache-stats:2026-01-01': { 'reverse-geocode:primary:hits': '6', 'reverse-geocode:primary:misses': '2' },
+      'cache-stats:2026-01-02': { 'geocode:secondary:approximateHits': '2', 'geocode:secondary:writes': '1' }
+    }[key] || {}));
+
+    const stats = await cacheMetrics.getStats({ from: '2026-01-01', to: '2026-01-03' }, { includeKeys: false });
+
+    expect(stats.period).toEqual({ from: '2026-01-01', to: '2026-01-03', days: 3 });
+    expect(stats.totals).toMatchObject({ hits: 6, approximateHits: 2, misses: 2, writes: 1, lookups: 10, hitRate: 0.8 });
+    expect(stats.byFirebaseConfig.secondary.hitRate).toBe(1);
+    expect(stats.daily[2]).toEqual({ date: '2026-01-03', hits: 0, l1Hits: 0, approximateHits: 0, coalesced: 0, misses: 0, writes: 0 });
+    expect(stats.savings).toMatchObject({ googleCallsAvoided: 8, estimatedDollarsSaved: 0.04 });
+    expect(stats.keys).toBeUndefined();
+    expect(redisService.scan).not.toHaveBeenCalled();
+  });
+
+  it('should count keys with SCAN and estimate memory from a sample', async () => {
+    redisService.scan
+      .mockResolvedValueOnce({ cursor: '7', keys: ['geocode:a', 'geocode:b'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: ['geocode:c'] });
+    redisService.get.mockResolvedValue({ success: true });
+
+    const keys = await cacheMetrics.countKeys('geocode');
+
+    expect(redisService.scan).toHaveBeenCalledWith('0', { match: 'geocode:*', count: 1000 });
+    expect(keys).toMatchObject({ count: 3, complete: true, sampled: 3 });
+    expect(keys.estimatedBytes).toBe(3 * (9 + JSON.stringify({ success: true }).length));
+  });
+});
+
+describe('parseStatsRange', () => {
+  it('should reject malformed dates and ranges over the limit', () => {
+    expect(parseStatsRange({ from: '01/01/2026' }).error.code).toBe('INVALID_DATE_RANGE');
+    expect(parseStatsRange({ from: '2026-01-10', to: '2026-01-01' }).error.code).toBe('INVALID_DATE_RANGE');
+    expect(parseStatsRange({ from: '2024-01-01', to: '2026-01-01' }).error.code).toBe('INVALID_DATE_RANGE');
+    expect(parseStatsRange({ from: '2026-01-01', to: '2026-01-31' })).toEqual({ from: '2026-01-01', to: '2026-01-31' });
+  });
+});
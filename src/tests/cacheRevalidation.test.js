@@ -0,0 +1,104 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  set: jest.fn(async () => true)
+}));
+
+const mockGeocoder = { reverseGeocode: jest.fn(), geocode: jest.fn() };
+jest.mock('../services/providerRegistry', () => ({
+  getGeocoder: () => mockGeocoder,
+  getProviders: () => [{ name: 'google' }, { name: 'nominatim' }]
+}));
+
+const redisService = require('../config/redis');
+const { revalidateCachedResponse } = require('../services/geocodingCache');
+
+const precision = { scheme: 'decimal', decimals: 2 };
+const cachedResponse = {
+  success: true,
+  data: { place_id: 'old', formatted_address: 'Rua Velha, 10', precision },
+  cacheMetadata: { cachedAt: '2025-01-01T00:00:00.000Z', perpetual: true }
+};
+const request = { cachePrefix: 'reverse-geocode', coordinates: { latitude: -23.55, longitude: -46.63 } };
+
+describe('revalidateCachedResponse', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should replace the entry and record a revision when the address changed', async () => {
+    mockGeocoder.reverseGeocode.mockResolvedValue({
+      success: true,
+      data: { place_id: 'new', formatted_address: 'Rua Nova, 10' }
+    });
+
+    const outcome = await revalidateCachedResponse('reverse-geocode:a', cachedResponse, request);
+
+    expect(outcome).toBe('revised');
+    expect(mockGeocoder.reverseGeocode).toHaveBeenCalledWith(-23.55, -46.63, { tenant: null });
+    const [key, stored, ttl] = redisService.set.mock.calls[0];
+    expect(key).toBe('reverse-geocode:a');
+    expect(ttl).toBe(0);
+    expect(stored.data).toEqual({ place_id: 'new', formatted_address: 'Rua Nova, 10', precision });
+    expect(stored.cacheMetadata.cachedAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(stored.cacheMetadata.revisions).toEqual([{
+      revisedAt: stored.cacheMetadata.revalidatedAt,
+      previous: { place_id: 'old', formatted_address: 'Rua Velha, 10' },
+      current: { place_id: 'new', formatted_address: 'Rua Nova, 10' }
+    }]);
+  });
+
+  it('should keep the stored result and only mark the revalidation when nothing changed', async () => {
+    mockGeocoder.reverseGeocode.mockResolvedValue({
+      success: true,
+      data: { place_id: 'old', formatted_address: 'Rua Velha, 10', types: ['street_address'] }
+    });
+
+    const outcome = await revalidateCachedResponse('reverse-geocode:a', cachedResponse, request);
+
+    expect(outcome).toBe('unchanged');
+    const stored = redisService.set.mock.calls[0][1];
+    expect(stored.data).toBe(cachedResponse.data);
+    expect(stored.cacheMetadata.revalidatedAt).toBeDefined();
+    expect(stored.cacheMetadata.revisions).toBeUndefined();
+  });
+
+  it('should replace an entry a fallback provider answered once the primary answers', async () => {
+    mockGeocoder.reverseGeocode.mockResolvedValue({
+      success: true,
+      data: { place_id: 'ChIJ-new', formatted_address: 'Rua Velha, 10', provider: 'google' }
+    });
+    const fallbackResponse = { ...cachedResponse, data: { ...cachedResponse.data, place_id: 'osm:way:1', provider: 'nominatim' } };
+
+    const outcome = await revalidateCachedResponse('reverse-geocode:a', fallbackResponse, request);
+
+    expect(outcome).toBe('revised');
+    const stored = redisService.set.mock.calls[0][1];
+    expect(stored.data.provider).toBe('google');
+    expect(stored.cacheMetadata.revisions[0]).toMatchObject({
+      previous: { place_id: 'osm:way:1', provider: 'nominatim' },
+      current: { place_id: 'ChIJ-new', provider: 'google' }
+    });
+  });
+
+  it('should keep the entry when only a lower-priority provider answers', async () => {
+    mockGeocoder.reverseGeocode.mockResolvedValue({
+      success: true,
+      data: { place_id: 'osm:way:1', formatted_address: 'Rua Velha 10', provider: 'nominatim' }
+    });
+    const primaryResponse = { ...cachedResponse, data: { ...cachedResponse.data, provider: 'google' } };
+
+    const outcome = await revalidateCachedResponse('reverse-geocode:a', primaryResponse, request);
+
+    expect(outcome).toBe('skipped');
+    expect(redisService.set).not.toHaveBeenCalled();
+  });
+
+  it('should leave the entry untouched when the provider fails', async () => {
+    mockGeocoder.geocode.mockRejectedValue(new Error('quota exceeded'));
+
+    const outcome = await revalidateCachedResponse('geocode:b', cachedResponse, { cachePrefix: 'geocode', address: 'Rua Velha 10' });
+
+    expect(outcome).toBe('failed');
+    expect(redisService.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+const { CACHE_SCHEMA_VERSION, ADDRESS_COMPONENT_FIELDS, upgradeCachedResponse } = require('../utils/cacheSchema');
+
+describe('upgradeCachedResponse', () => {
+  it('should bring an unversioned reverse entry to the current shape', () => {
+    const legacy = {
+      success: true,
+      data: {
+        formatted_address: 'Av. Paulista, 1000 - Bela Vista, São Paulo - SP',
+        address_components: { route: 'Avenida Paulista', sublocality: 'Bela Vista', country_code: 'BR' }
+      },
+      user: { uid: 'first-caller' }
+    };
+
+    const { response, upgraded } = upgradeCachedResponse(legacy, 'reverse-geocode');
+
+    expect(upgraded).toBe(true);
+    expect(response.cacheMetadata).toMatchObject({ schemaVersion: CACHE_SCHEMA_VERSION, upgradedFrom: 0 });
+    expect(response.data.precision).toEqual({ scheme: 'decimal', decimals: 2 });
+    expect(response.data.provider).toBe('google');
+    expect(Object.keys(response.data.address_components)).toEqual(ADDRESS_COMPONENT_FIELDS);
+    expect(response.data.address_components).toMatchObject({ sublocality_level_1: 'Bela Vista', street_number: null });
+    expect(legacy.data.precision).toBeUndefined();
+  });
+
+  it('should strip the user block of the first requester', () => {
+    const { response } = upgradeCachedResponse({
+      success: true,
+      data: { address_components: {} },
+      user: { uid: 'first-caller', isAnonymous: true },
+      cacheMetadata: { schemaVersion: 2, perpetual: true }
+    }, 'geocode');
+
+    expect(response.user).toBeUndefined();
+    expect(response.cacheMetadata).toMatchObject({ perpetual: true, upgradedFrom: 2 });
+  });
+
+  it('should not add a precision to forward entries', () => {
+    const { response } = upgradeCachedResponse({ success: true, data: { address_components: {} } }, 'geocode');
+
+    expect(response.data.precision).toBeUndefined();
+  });
+
+  it('should leave current and newer entries untouched', () => {
+    const current = { success: true, data: {}, cacheMetadata: { schemaVersion: CACHE_SCHEMA_VERSION } };
+    const newer = { success: true, data: {}, cacheMetadata: { schemaVersion: CACHE_SCHEMA_VERSION + 1 } };
+
+    expect(upgradeCachedResponse(current, 'geocode')).toEqual({ response: current, upgraded: false });
+    expect(upgradeCachedResponse(newer, 'geocode').upgraded).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(async () => null)
+}));
+
+jest.mock('../services/geocodingCache', () => ({
+  resolveReverseGeocode: jest.fn(),
+  resolveForwardGeocode: jest.fn()
+}));
+
+jest.mock('../utils/cacheMetrics', () => ({ record: jest.fn() }));
+
+const redisService = require('../config/redis');
+const { resolveReverseGeocode, resolveForwardGeocode } = require('../services/geocodingCache');
+const { generateForwardCacheKey } = require('../middleware/cache');
+const memoryCache = require('../utils/memoryCache');
+const perpetualCache = require('../utils/perpetualCache');
+
+const found = (formattedAddress) => ({ result: { success: true, data: { formatted_address: formattedAddress } } });
+
+describe('warmupCache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryCache.clear();
+    redisService.get.mockResolvedValue(null);
+  });
+
+  it('should geocode only uncached locations and report why the others were skipped or failed', async () => {
+    const cachedKey = generateForwardCacheKey('Rua Augusta, 500');
+    redisService.get.mockImplementation(async (key) => key === cachedKey ? { success: true, data: {} } : null);
+    resolveForwardGeocode.mockImplementation(async (address) => {
+      if (address === 'Nowhere 0') {
+        return { result: { success: false, message: 'No coordinates found' } };
+      }
+      if (address === 'Rua Quebrada, 1') {
+        throw new Error('Provider unavailable');
+      }
+      return found(`${address}, São Paulo`);
+    });
+
+    const results = await perpetualCache.warmupCache([
+      { address: 'Rua Augusta, 500' },
+      { address: 'Avenida Paulista, 1000' },
+      { address: 'avenida paulista 1000' },
+      { address: 'Nowhere 0' },
+      { address: 'Rua Quebrada, 1' },
+      { lat: 95, lng: 0 },
+      'Rua Solta'
+    ], { concurrency: 1 });
+
+    expect(results).toMatchObject({ success: true, totalLocations: 7, alreadyCached: 1, needsGeocoding: 3, apiCallsUsed: 3 });
+    expect(results.filled).toEqual([
+      expect.objectContaining({ index: 1, formattedAddress: 'Avenida Paulista, 1000, São Paulo' })
+    ]);
+    expect(results.skipped.map(entry => [entry.index, entry.reason])).toEqual([[0, 'already_cached'], [2, 'duplicate']]);
+    expect(results.failed.map(entry => [entry.index, entry.reason])).toEqual([
+      [3, 'not_found'],
+      [4, 'geocoding_error'],
+      [5, 'INVALID_LATITUDE_RANGE'],
+      [6, 'INVALID_LOCATION_FORMAT']
+    ]);
+  });
+
+  it('should stop calling the provider once the budget is used and not call it on dry runs', async () => {
+    resolveReverseGeocode.mockResolvedValue(found('Avenida Paulista, 1000'));
+    const locations = [{ lat: -23.56, lng: -46.66 }, { lat: -22.9, lng: -43.2 }, { lat: -19.92, lng: -43.94 }];
+
+    const budgeted = await perpetualCache.warmupCache(locations, { concurrency: 1, budget: 2 });
+    expect(budgeted.apiCallsUsed).toBe(2);
+    expect(budgeted.filled.map(entry => entry.index)).toEqual([0, 1]);
+    expect(budgeted.skipped).toEqual([expect.objectContaining({ index: 2, reason: 'budget_exhausted' })]);
+
+    resolveReverseGeocode.mockClear();
+    const dryRun = await perpetualCache.warmupCache(locations, { dryRun: true });
+    expect(dryRun).toMatchObject({ dryRun: true, needsGeocoding: 3, apiCallsUsed: 0, filled: [] });
+    expect(dryRun.skipped.map(entry => entry.reason)).toEqual(['dry_run', 'dry_run', 'dry_run']);
+    expect(resolveReverseGeocode).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to run without the cache', async () => {
+    redisService.isAvailable.mockReturnValueOnce(false);
+
+    await expect(perpetualCache.warmupCache([{ address: 'Rua Augusta, 500' }])).resolves.toMatchObject({ success: false });
+    expect(resolveForwardGeocode).not.toHaveBeenCalled();
+  });
+
+  it('should fill the tenant namespace with the tenant passed to the providers', async () => {
+    const tenant = { name: 'acme', cachePrefix: 'acme', googleMapsApiKey: 'acme-key' };
+    resolveReverseGeocode.mockResolvedValue(found('Avenida Paulista, 1000'));
+    resolveForwardGeocode.mockResolvedValue(found('Rua Augusta, 500'));
+
+    const results = await perpetualCache.warmupCache([
+      { lat: -23.56, lng: -46.66 },
+      { address: 'Rua Augusta, 500' }
+    ], { tenant });
+
+    expect(results.filled.map(entry => entry.cacheKey)).toEqual([
+      expect.stringMatching(/^reverse-geocode:acme:[0-9a-f]+$/),
+      expect.stringMatching(/^geocode:acme:[0-9a-f]+$/)
+    ]);
+    expect(resolveReverseGeocode).toHaveBeenCalledWith(
+      { latitude: -23.56, longitude: -46.66 },
+      expect.objectContaining({ cacheKey: results.filled[0].cacheKey, tenant })
+    );
+    expect(resolveForwardGeocode).toHaveBeenCalledWith(
+      'Rua Augusta, 500',
+      expect.objectContaining({ cacheKey: results.filled[1].cacheKey, tenant })
+    );
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../config/redis', () => ({}));
+
+const crypto = require('crypto');
+const { snapCoordinates, getPrecisionConfig } = require('../utils/coordinateUtils');
+const { encodeGeohash, decodeGeohash } = require('../utils/geoUtils');
+const { parseCoordinates } = require('../middleware/validation');
+const { generateReverseCacheKey } = require('../middleware/cache');
+
+describe('Coordinate precision', () => {
+  afterEach(() => {
+    delete process.env.COORDINATE_PRECISION;
+    delete process.env.COORDINATE_PRECISION_MAX;
+    delete process.env.COORDINATE_CELL_SCHEME;
+  });
+
+  it('should encode and decode geohashes', () => {
+    expect(encodeGeohash(42.605, -5.603, 5)).toBe('ezs42');
+
+    const cell = decodeGeohash('ezs42');
+    expect(cell.latitude).toBeCloseTo(42.605, 2);
+    expect(cell.longitude).toBeCloseTo(-5.603, 2);
+  });
+
+  it('should round to the requested decimal places', () => {
+    expect(snapCoordinates(-23.561414, -46.655881, 4)).toEqual({
+      coordinates: { latitude: -23.5614, longitude: -46.6559 },
+      precision: { scheme: 'decimal', decimals: 4 }
+    });
+  });
+
+  it('should snap to the centre of the geohash cell', () => {
+    const { coordinates, precision } = snapCoordinates(-23.561414, -46.655881, 3, 'geohash');
+
+    expect(precision).toEqual({ scheme: 'geohash', decimals: 3, cell: encodeGeohash(-23.561414, -46.655881, 7) });
+    expect(encodeGeohash(coordinates.latitude, coordinates.longitude, 7)).toBe(precision.cell);
+  });
+
+  it('should use the deployment default and reject precisions outside the allowed range', () => {
+    process.env.COORDINATE_PRECISION = '3';
+    process.env.COORDINATE_PRECISION_MAX = '4';
+
+    expect(parseCoordinates({ latitude: 1.23456, longitude: 2.34567 }).precision.decimals).toBe(3);
+    expect(parseCoordinates({ latitude: 1, longitude: 2, precision: 5 }).error.code).toBe('INVALID_PRECISION');
+    expect(parseCoordinates({ latitude: 1, longitude: 2, precision: 2.5 }).error.code).toBe('INVALID_PRECISION');
+    expect(getPrecisionConfig()).toEqual({ defaultPrecision: 3, minPrecision: 1, maxPrecision: 4, scheme: 'decimal' });
+  });
+
+  it('should keep the legacy cache key at the default precision', () => {
+    const legacyHash = crypto.createHash('md5').update(JSON.stringify({ latitude: -23.56, longitude: -46.66 })).digest('hex');
+    const { coordinates, precision } = parseCoordinates({ latitude: -23.5614, longitude: -46.6559 });
+
+    expect(generateReverseCacheKey(coordinates, precision)).toBe(`reverse-geocode:${legacyHash}`);
+  });
+
+  it('should give street-level and city-level cells different keys', () => {
+    const street = parseCoordinates({ latitude: -23.5, longitude: -46.6, precision: 4 });
+    const city = parseCoordinates({ latitude: -23.5, longitude: -46.6, precision: 2 });
+
+    process.env.COORDINATE_CELL_SCHEME = 'geohash';
+    const streetCell = parseCoordinates({ latitude: -23.5, longitude: -46.6, precision: 4 });
+    const cityCell = parseCoordinates({ latitude: -23.5, longitude: -46.6, precision: 2 });
+
+    const keys = [street, city, streetCell, cityCell].map(parsed => generateReverseCacheKey(parsed.coordinates, parsed.precision));
+    expect(new Set(keys).size).toBe(4);
+  });
+});
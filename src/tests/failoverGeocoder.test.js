@@ -0,0 +1,251 @@
+const mockEntries = new Map();
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(async (key) => mockEntries.get(key) || null),
+  set: jest.fn(async (key, value) => {
+    mockEntries.set(key, value);
+    return true;
+  }),
+  geoadd: jest.fn(async () => true),
+  geosearch: jest.fn(async () => []),
+  setIfAbsent: jest.fn(async () => true),
+  delIfEquals: jest.fn(async () => true)
+}));
+
+let mockGeocoder;
+jest.mock('../services/providerRegistry', () => ({ getGeocoder: () => mockGeocoder }));
+jest.mock('../middleware/quota', () => ({ consumeQuota: jest.fn(async () => true) }));
+jest.mock('../utils/cacheMetrics', () => ({ record: jest.fn() }));
+
+const redisService = require('../config/redis');
+const memoryCache = require('../utils/memoryCache');
+const { cacheGeocodingResponse } = require('../middleware/cache');
+const { resolveReverseGeocode } = require('../services/geocodingCache');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const FailoverGeocoder = require('../services/failoverGeocoder');
+const { GeocodingProvider, GeocodingProviderError } = require('../services/geocodingProvider');
+
+class FakeProvider extends GeocodingProvider {
+  constructor(name, reverseGeocode) {
+    super(name);
+    this.reverseGeocode = jest.fn(reverseGeocode);
+  }
+}
+
+const found = (provider) => async () => ({ success: true, data: { provider } });
+const failing = (message) => async () => {
+  throw new GeocodingProviderError(message);
+};
+
+describe('CircuitBreaker', () => {
+  it('should open once the error rate reaches the threshold', () => {
+    const breaker = new CircuitBreaker('google', { minimumRequests: 4, errorRateThreshold: 0.5 });
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('OVER_QUERY_LIMIT'));
+    expect(breaker.getState().state).toBe('closed');
+
+    breaker.recordFailure(new Error('OVER_QUERY_LIMIT'));
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('should allow a single trial after the cool-down and close on success', () => {
+    const breaker = new CircuitBreaker('google', { minimumRequests: 1, cooldownMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    breaker.recordFailure(new Error('REQUEST_DENIED'));
+    expect(breaker.canRequest()).toBe(false);
+
+    now.mockReturnValue(11000);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState().state).toBe('closed');
+
+    now.mockRestore();
+  });
+
+  it('should re-open when the half-open trial fails', () => {
+    const breaker = new CircuitBreaker('google', { minimumRequests: 1, cooldownMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    breaker.recordFailure(new Error('ETIMEDOUT'));
+    now.mockReturnValue(11000);
+    breaker.canRequest();
+    breaker.recordFailure(new Error('ETIMEDOUT'));
+
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.getState().lastError).toBe('ETIMEDOUT');
+
+    now.mockRestore();
+  });
+});
+
+describe('FailoverGeocoder', () => {
+  it('should fall back to the next provider when one fails', async () => {
+    const google = new FakeProvider('google', failing('Google Maps API error: OVER_QUERY_LIMIT'));
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    const result = await geocoder.reverseGeocode(-23.55, -46.63);
+
+    expect(result.data.provider).toBe('nominatim');
+    expect(google.reverseGeocode).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not fall back on "not found" answers', async () => {
+    const google = new FakeProvider('google', async () => ({ success: false, message: 'No address found' }));
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    const result = await geocoder.reverseGeocode(0, 0);
+
+    expect(result.success).toBe(false);
+    expect(nominatim.reverseGeocode).not.toHaveBeenCalled();
+  });
+
+  it('should skip a provider whose circuit is open', async () => {
+    process.env.CIRCUIT_BREAKER_MIN_REQUESTS = '2';
+    const google = new FakeProvider('google', failing('network error'));
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    await geocoder.reverseGeocode(1, 1);
+    await geocoder.reverseGeocode(1, 1);
+    await geocoder.reverseGeocode(1, 1);
+
+    expect(google.reverseGeocode).toHaveBeenCalledTimes(2);
+    expect(geocoder.getStatus()[0]).toMatchObject({ name: 'google', state: 'open' });
+    delete process.env.CIRCUIT_BREAKER_MIN_REQUESTS;
+  });
+
+  it('should not fail over on non-retryable errors', async () => {
+    const google = new FakeProvider('google', async () => {
+      throw new GeocodingProviderError('Google Maps API error: INVALID_REQUEST', 'google', { retryable: false });
+    });
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    await expect(geocoder.reverseGeocode(1, 1)).rejects.toThrow('INVALID_REQUEST');
+    expect(nominatim.reverseGeocode).not.toHaveBeenCalled();
+  });
+
+  it('should skip providers that do not support the operation', async () => {
+    const offline = new FakeProvider('offline', found('offline'));
+    offline.supports = (operation) => operation === 'reverseGeocode';
+    offline.geocode = jest.fn();
+    const google = new FakeProvider('google', found('google'));
+    google.geocode = jest.fn(async () => ({ success: true, data: { provider: 'google' } }));
+    const geocoder = new FailoverGeocoder([offline, google]);
+
+    const result = await geocoder.geocode('Av. Paulista, 1000');
+
+    expect(result.data.provider).toBe('google');
+    expect(offline.geocode).not.toHaveBeenCalled();
+  });
+
+  it('should throw when every provider fails', async () => {
+    const geocoder = new FailoverGeocoder([
+      new FakeProvider('google', failing('OVER_QUERY_LIMIT')),
+      new FakeProvider('nominatim', failing('HTTP 503'))
+    ]);
+
+    await expect(geocoder.reverseGeocode(1, 1)).rejects.toThrow('All geocoding providers failed');
+  });
+
+  it('should not count tenant credential failures against the shared breaker', async () => {
+    process.env.CIRCUIT_BREAKER_MIN_REQUESTS = '1';
+    const google = new FakeProvider('google', async () => {
+      throw new GeocodingProviderError('Google Maps API error: REQUEST_DENIED', 'google', { tenantScoped: true });
+    });
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    const result = await geocoder.reverseGeocode(1, 1, { tenant: { name: 'acme' } });
+
+    expect(result.data.provider).toBe('nominatim');
+    expect(geocoder.getStatus()[0]).toMatchObject({ state: 'closed', failures: 0 });
+    delete process.env.CIRCUIT_BREAKER_MIN_REQUESTS;
+  });
+
+  it('should skip providers not configured for the tenant', async () => {
+    const google = new FakeProvider('google', found('google'));
+    google.isConfiguredFor = (tenant) => tenant?.name !== 'keyless';
+    const nominatim = new FakeProvider('nominatim', found('nominatim'));
+    const geocoder = new FailoverGeocoder([google, nominatim]);
+
+    expect((await geocoder.reverseGeocode(1, 1, { tenant: { name: 'keyless' } })).data.provider).toBe('nominatim');
+    expect((await geocoder.reverseGeocode(1, 1, { tenant: { name: 'acme' } })).data.provider).toBe('google');
+    expect(google.reverseGeocode).toHaveBeenCalledTimes(1);
+    expect(geocoder.getStatus()[0]).toMatchObject({ requests: 1, failures: 0 });
+  });
+});
+
+describe('offline fallback and the cache', () => {
+  const coordinates = { latitude: -23.56, longitude: -46.66 };
+  const precision = { scheme: 'decimal', decimals: 2 };
+  let googleDown;
+  let google;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEntries.clear();
+    memoryCache.clear();
+    googleDown = true;
+    google = new FakeProvider('google', async () => {
+      if (googleDown) {
+        throw new GeocodingProviderError('Google Maps API error: OVER_QUERY_LIMIT');
+      }
+      return { success: true, data: { provider: 'google', formatted_address: 'Avenida Paulista, 1000', coordinates } };
+    });
+    const offline = new FakeProvider('offline', async () => ({
+      success: true,
+      data: { provider: 'offline', formatted_address: 'São Paulo, SP, Brasil', place_id: 'offline:BR:municipality:3550308', coordinates }
+    }));
+    mockGeocoder = new FailoverGeocoder([google, offline]);
+  });
+
+  it('should not cache offline answers, so the next lookup after recovery reaches Google', async () => {
+    const during = await resolveReverseGeocode(coordinates, { precision, nearbyFrom: coordinates });
+    expect(during.result.data.provider).toBe('offline');
+    expect(redisService.set).not.toHaveBeenCalled();
+    expect(redisService.geoadd).not.toHaveBeenCalled();
+
+    googleDown = false;
+    const after = await resolveReverseGeocode(coordinates, { precision, nearbyFrom: coordinates });
+
+    expect(after).toMatchObject({ cached: false, result: { data: { provider: 'google' } } });
+    expect(google.reverseGeocode).toHaveBeenCalledTimes(2);
+    expect(redisService.set).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not store offline answers served through the route middleware', async () => {
+    const middleware = cacheGeocodingResponse('reverse-geocode', 0, false, true);
+    const request = () => ({
+      coordinates,
+      coordinatePrecision: precision,
+      originalCoordinates: coordinates,
+      user: { uid: 'u1', isAnonymous: false, authenticatedWith: 'primary' }
+    });
+    const respond = async (body) => {
+      const res = { statusCode: 200, on: jest.fn(), status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await middleware(request(), res, next);
+      if (next.mock.calls.length > 0) {
+        res.json(body);
+      }
+      return next;
+    };
+
+    await respond({ success: true, data: { provider: 'offline', formatted_address: 'São Paulo, SP, Brasil', coordinates } });
+    expect(redisService.set).not.toHaveBeenCalled();
+
+    const next = await respond({ success: true, data: { provider: 'google', formatted_address: 'Avenida Paulista, 1000', coordinates } });
+    expect(next).toHaveBeenCalled();
+    expect(redisService.set).toHaveBeenCalledTimes(1);
+  });
+});
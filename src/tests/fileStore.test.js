@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../config/fileStore');
+
+describe('FileStore', () => {
+  let dir;
+  let stores;
+
+  const open = async () => {
+    const store = new FileStore();
+    await store.connect();
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    stores = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+    process.env.CACHE_FILE_PATH = path.join(dir, 'cache.jsonl');
+  });
+
+  afterEach(async () => {
+    // Let queued appends land before the directory goes away
+    await Promise.all(stores.map(store => store.close()));
+    delete process.env.CACHE_FILE_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep values, hashes and geo indexes across restarts', async () => {
+    const store = await open();
+    await store.set('geocode:a', '{"success":true}', 0);
+    await store.set('geocode:b', 'gone', 0);
+    await store.del('geocode:b');
+    await store.hincrby('cache-stats:2026-01-01', 'geocode:primary:hits', 2);
+    await store.hincrby('cache-stats:2026-01-01', 'geocode:primary:hits', 3);
+    await store.geoadd('geo-index:reverse-geocode', -46.63, -23.55, 'reverse-geocode:x');
+    await store.writes;
+
+    const reopened = await open();
+
+    await expect(reopened.get('geocode:a')).resolves.toBe('{"success":true}');
+    await expect(reopened.exists('geocode:b')).resolves.toBe(false);
+    await expect(reopened.hgetall('cache-stats:2026-01-01')).resolves.toEqual({ 'geocode:primary:hits': '5' });
+    const [nearest] = await reopened.geosearch('geo-index:reverse-geocode', -46.631, -23.551, 500, 1);
+    expect(nearest.member).toBe('reverse-geocode:x');
+    expect(nearest.distanceMeters).toBeGreaterThan(100);
+    expect(nearest.distanceMeters).toBeLessThan(200);
+  });
+
+  it('should rebuild the sorted key index once the file is replayed', async () => {
+    const lines = ['geocode:c', 'geocode:a', 'geocode:d', 'geocode:b'].map(key => ({ op: 'set', key, value: 'v', expiresAt: null }));
+    lines.push({ op: 'del', key: 'geocode:d' }, { op: 'sadd', key: 'warmup-jobs', member: 'job-1' });
+    fs.writeFileSync(process.env.CACHE_FILE_PATH, lines.map(line => JSON.stringify(line)).join('\n'));
+
+    const store = await open();
+    expect(store.sortedKeys).toEqual(['geocode:a', 'geocode:b', 'geocode:c', 'warmup-jobs']);
+
+    // Live writes keep the index in step incrementally
+    await store.set('geocode:bb', 'v', 0);
+    await store.del('geocode:a');
+    expect(store.sortedKeys).toEqual(['geocode:b', 'geocode:bb', 'geocode:c', 'warmup-jobs']);
+  });
+
+  it('should expire keys and report TTLs like Redis', async () => {
+    const store = await open();
+    await store.set('geocode:short', 'v', 60);
+    await store.set('geocode:perpetual', 'v', 0);
+
+    await expect(store.ttl('geocode:short')).resolves.toBe(60);
+    await expect(store.ttl('geocode:perpetual')).resolves.toBe(-1);
+    await expect(store.ttl('geocode:missing')).resolves.toBe(-2);
+    await expect(store.persist('geocode:short')).resolves.toBe(true);
+    await expect(store.ttl('geocode:short')).resolves.toBe(-1);
+
+    await expect(store.setIfAbsent('lock', 'token', 1)).resolves.toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await expect(store.get('lock')).resolves.toBeNull();
+  });
+
+  it('should scan matching keys in batches until the cursor returns to 0', async () => {
+    const store = await open();
+    for (const key of ['geocode:1', 'geocode:2', 'reverse-geocode:3', 'cache-stats:x', 'geocode:4']) {
+      await store.set(key, 'v', 0);
+    }
+
+    const found = [];
+    let cursor = '0';
+    do {
+      const batch = await store.scan(cursor, { match: '*geocode:*', count: 2 });
+      cursor = batch.cursor;
+      found.push(...batch.keys);
+    } while (cursor !== '0');
+
+    expect(found.sort()).toEqual(['geocode:1', 'geocode:2', 'geocode:4', 'reverse-geocode:3']);
+  });
+
+  it('should keep scanning in key order while keys are added, deleted and expire mid-iteration', async () => {
+    const store = await open();
+    for (const key of ['geocode:d', 'geocode:b', 'geocode:a', 'geocode:c']) {
+      await store.set(key, 'v', 0);
+    }
+    await store.set('geocode:e', 'v', 1);
+    await store.sadd('warmup-jobs', 'job-1');
+    await store.srem('warmup-jobs', 'job-1');
+
+    const first = await store.scan('0', { match: '*', count: 2 });
+    expect(first.keys).toEqual(['geocode:a', 'geocode:b']);
+
+    await store.del('geocode:c');
+    await store.set('geocode:bb', 'v', 0);
+    await store.set('geocode:0', 'v', 0);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+
+    const rest = [];
+    let cursor = first.cursor;
+    do {
+      const batch = await store.scan(cursor, { match: '*', count: 2 });
+      cursor = batch.cursor;
+      rest.push(...batch.keys);
+    } while (cursor !== '0');
+    Date.now.mockRestore();
+
+    expect(rest).toEqual(['geocode:bb', 'geocode:d']);
+    expect(store.sortedKeys).toEqual(['geocode:0', 'geocode:a', 'geocode:b', 'geocode:bb', 'geocode:d']);
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => false),
+  get: jest.fn(),
+  set: jest.fn(async () => false)
+}));
+
+const redisService = require('../config/redis');
+const memoryCache = require('../utils/memoryCache');
+const { lookupCachedGeocodingResponse, storeGeocodingResponse } = require('../middleware/cache');
+
+describe('memoryCache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryCache.clear();
+    delete process.env.L1_CACHE_MAX_ENTRIES;
+  });
+
+  it('should evict the least recently used entry beyond the size limit', () => {
+    process.env.L1_CACHE_MAX_ENTRIES = '2';
+    memoryCache.set('a', { n: 1 });
+    memoryCache.set('b', { n: 2 });
+    memoryCache.get('a');
+    memoryCache.set('c', { n: 3 });
+
+    expect(memoryCache.get('b')).toBeNull();
+    expect(memoryCache.get('a')).toEqual({ n: 1 });
+    expect(memoryCache.getStats()).toMatchObject({ entries: 2, maxEntries: 2, evictions: 1 });
+  });
+
+  it('should expire entries after the shorter of their TTL and the L1 TTL', () => {
+    jest.useFakeTimers();
+    try {
+      memoryCache.set('short', { n: 1 }, 10);
+      memoryCache.set('long', { n: 2 }, 0);
+
+      jest.advanceTimersByTime(11 * 1000);
+      expect(memoryCache.get('short')).toBeNull();
+      expect(memoryCache.get('long')).toEqual({ n: 2 });
+
+      jest.advanceTimersByTime(300 * 1000);
+      expect(memoryCache.get('long')).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should keep serving stored responses while Redis is unavailable', async () => {
+    await storeGeocodingResponse('geocode:a', { success: true, data: { formatted_address: 'Rua A, 1' } }, {
+      cachePrefix: 'geocode',
+      perpetual: true
+    });
+
+    const cached = await lookupCachedGeocodingResponse('geocode:a');
+
+    expect(cached.tier).toBe('memory');
+    expect(cached.response.data.formatted_address).toBe('Rua A, 1');
+    expect(redisService.get).not.toHaveBeenCalled();
+    await expect(lookupCachedGeocodingResponse('geocode:b')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(),
+  geosearch: jest.fn(),
+  zrem: jest.fn(async () => true)
+}));
+
+const redisService = require('../config/redis');
+const { findNearbyGeocodingResponse } = require('../middleware/cache');
+
+const point = { latitude: -23.5551, longitude: -46.6551 };
+const cityLevel = { scheme: 'decimal', decimals: 2 };
+
+describe('findNearbyGeocodingResponse', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.NEARBY_CACHE_RADIUS_METERS;
+  });
+
+  it('should return the nearest cached entry with its distance', async () => {
+    redisService.geosearch.mockResolvedValue([{ member: 'reverse-geocode:a', distanceMeters: 42.7 }]);
+    redisService.get.mockResolvedValue({ success: true, data: { formatted_address: 'Shopping Center' } });
+
+    const nearby = await findNearbyGeocodingResponse(point, cityLevel);
+
+    expect(nearby).toMatchObject({ cacheKey: 'reverse-geocode:a', distanceMeters: 42.7 });
+    expect(nearby.response.data.precision).toEqual(cityLevel);
+  });
+
+  it('should report the requested precision and keep the precision of the source entry apart', async () => {
+    const streetLevel = { scheme: 'decimal', decimals: 3 };
+    redisService.geosearch.mockResolvedValue([{ member: 'reverse-geocode:street', distanceMeters: 120 }]);
+    redisService.get.mockResolvedValue({ success: true, data: { formatted_address: 'Avenida Paulista, 1000', precision: streetLevel } });
+
+    const nearby = await findNearbyGeocodingResponse(point, cityLevel);
+
+    expect(nearby.response.data.precision).toEqual(cityLevel);
+    expect(nearby.response.data.sourcePrecision).toEqual(streetLevel);
+  });
+
+  it('should cap the radius at half the cell diagonal of the requested precision', async () => {
+    redisService.geosearch.mockResolvedValue([]);
+
+    await findNearbyGeocodingResponse(point, { scheme: 'decimal', decimals: 4 });
+
+    const radius = redisService.geosearch.mock.calls[0][3];
+    expect(radius).toBeGreaterThan(7);
+    expect(radius).toBeLessThan(8);
+  });
+
+  it('should drop index members whose entry is gone', async () => {
+    redisService.geosearch.mockResolvedValue([
+      { member: 'reverse-geocode:expired', distanceMeters: 10 },
+      { member: 'reverse-geocode:b', distanceMeters: 80 }
+    ]);
+    redisService.get.mockImplementation(async key => (key === 'reverse-geocode:b' ? { success: true, data: {} } : null));
+
+    const nearby = await findNearbyGeocodingResponse(point, cityLevel);
+
+    expect(nearby.cacheKey).toBe('reverse-geocode:b');
+    expect(redisService.zrem).toHaveBeenCalledWith('geo-index:reverse-geocode', 'reverse-geocode:expired');
+  });
+
+  it('should be disabled with a zero radius', async () => {
+    process.env.NEARBY_CACHE_RADIUS_METERS = '0';
+
+    expect(await findNearbyGeocodingResponse(point, cityLevel)).toBeNull();
+    expect(redisService.geosearch).not.toHaveBeenCalled();
+  });
+});
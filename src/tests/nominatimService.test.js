@@ -0,0 +1,115 @@
+const NominatimService = require('../services/nominatimService');
+const { GeocodingProviderError } = require('../services/geocodingProvider');
+
+const place = {
+  place_id: 123,
+  osm_type: 'way',
+  osm_id: 456,
+  lat: '-23.5613',
+  lon: '-46.6565',
+  category: 'building',
+  type: 'commercial',
+  display_name: '1000, Avenida Paulista, Bela Vista, São Paulo, Brasil',
+  address: {
+    house_number: '1000',
+    road: 'Avenida Paulista',
+    suburb: 'Bela Vista',
+    city: 'São Paulo',
+    state: 'São Paulo',
+    postcode: '01310-100',
+    country: 'Brasil',
+    country_code: 'br'
+  },
+  boundingbox: ['-23.5614', '-23.5612', '-46.6566', '-46.6564']
+};
+
+const respondWith = (body, status = 200) => {
+  global.fetch.mockResolvedValue({ ok: status === 200, status, json: async () => body });
+};
+
+describe('NominatimService', () => {
+  const originalFetch = global.fetch;
+  let service;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    process.env.NOMINATIM_BASE_URL = 'https://nominatim.example/';
+    process.env.NOMINATIM_LANGUAGE = 'pt-BR';
+    service = new NominatimService();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.NOMINATIM_BASE_URL;
+    delete process.env.NOMINATIM_LANGUAGE;
+  });
+
+  it('should map a reverse geocoding place to the shared result shape', async () => {
+    respondWith(place);
+
+    const result = await service.reverseGeocode(-23.5613, -46.6565);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://nominatim.example/reverse?format=jsonv2&addressdetails=1&lat=-23.5613&lon=-46.6565&accept-language=pt-BR');
+    expect(options.headers['User-Agent']).toBe('gmmerchandising-backend');
+    expect(result).toEqual({
+      success: true,
+      data: {
+        coordinates: { latitude: -23.5613, longitude: -46.6565 },
+        formatted_address: '1000, Avenida Paulista, Bela Vista, São Paulo, Brasil',
+        place_id: 'osm:way:456',
+        address_components: {
+          street_number: '1000',
+          route: 'Avenida Paulista',
+          locality: 'São Paulo',
+          administrative_area_level_1: 'São Paulo',
+          administrative_area_level_2: 'São Paulo',
+          country: 'Brasil',
+          country_code: 'BR',
+          postal_code: '01310-100',
+          sublocality: 'Bela Vista',
+          sublocality_level_1: 'Bela Vista',
+          neighborhood: null
+        },
+        geometry: {
+          location: { lat: -23.5613, lng: -46.6565 },
+          location_type: 'ROOFTOP',
+          bounds: undefined,
+          viewport: {
+            northeast: { lat: -23.5612, lng: -46.6564 },
+            southwest: { lat: -23.5614, lng: -46.6566 }
+          }
+        },
+        types: ['commercial'],
+        provider: 'nominatim'
+      }
+    });
+  });
+
+  it('should map the first search result and fall back to towns and villages for the municipality', async () => {
+    const { house_number: houseNumber, city, ...address } = place.address;
+    respondWith([{ ...place, type: undefined, boundingbox: undefined, address: { ...address, town: 'Paraty' } }]);
+
+    const result = await service.geocode('Avenida Paulista, Paraty');
+
+    expect(global.fetch.mock.calls[0][0]).toContain('/search?format=jsonv2&addressdetails=1&q=Avenida+Paulista%2C+Paraty&limit=1');
+    expect(result.data).toMatchObject({
+      address: 'Avenida Paulista, Paraty',
+      address_components: { street_number: null, locality: 'Paraty', administrative_area_level_2: 'Paraty' },
+      geometry: { location_type: 'APPROXIMATE', viewport: undefined },
+      types: ['building']
+    });
+  });
+
+  it('should report not found for empty answers and throw provider errors for HTTP failures', async () => {
+    respondWith({ error: 'Unable to geocode' });
+    await expect(service.reverseGeocode(0, 0)).resolves.toMatchObject({ success: false, coordinates: { latitude: 0, longitude: 0 } });
+
+    respondWith([]);
+    await expect(service.geocode('Nowhere 0')).resolves.toMatchObject({ success: false, address: 'Nowhere 0' });
+
+    respondWith(null, 503);
+    await expect(service.geocode('Rua Augusta, 500')).rejects.toThrow(GeocodingProviderError);
+    await expect(service.geocode('Rua Augusta, 500')).rejects.toThrow('HTTP 503');
+  });
+});
@@ -0,0 +1,60 @@
+const path = require('path');
+const OfflineBoundaryService = require('../services/offlineBoundaryService');
+
+describe('OfflineBoundaryService', () => {
+  const service = new OfflineBoundaryService(path.join(__dirname, 'fixtures', 'boundaries.geojson'));
+
+  it('should resolve a municipality with its state and country', async () => {
+    const result = await service.reverseGeocode(6.5, 1.5);
+
+    expect(result.success).toBe(true);
+    expect(result.data.formatted_address).toBe('Ringtown, North State, Testland');
+    expect(result.data.place_id).toBe('offline:TL:municipality:1001');
+    expect(result.data.provider).toBe('offline');
+    expect(result.data.address_components).toEqual({
+      street_number: null,
+      route: null,
+      locality: 'Ringtown',
+      administrative_area_level_1: 'North State',
+      administrative_area_level_2: 'Ringtown',
+      country: 'Testland',
+      country_code: 'TL',
+      postal_code: null,
+      sublocality: null,
+      sublocality_level_1: null,
+      neighborhood: null
+    });
+  });
+
+  it('should fall back to the state inside a municipality hole', async () => {
+    const result = await service.reverseGeocode(7.5, 2.5);
+
+    expect(result.success).toBe(true);
+    expect(result.data.types).toContain('administrative_area_level_1');
+    expect(result.data.address_components.administrative_area_level_2).toBeNull();
+    expect(result.data.address_components.administrative_area_level_1).toBe('North State');
+  });
+
+  it('should match any part of a MultiPolygon', async () => {
+    const result = await service.reverseGeocode(8.5, 8.5);
+
+    expect(result.data.address_components.administrative_area_level_2).toBe('Twin Falls');
+  });
+
+  it('should return not found outside every boundary', async () => {
+    const result = await service.reverseGeocode(-20, 50);
+
+    expect(result.success).toBe(false);
+    expect(result.coordinates).toEqual({ latitude: -20, longitude: 50 });
+  });
+
+  it('should only support reverse geocoding', () => {
+    expect(service.supports('reverseGeocode')).toBe(true);
+    expect(service.supports('geocode')).toBe(false);
+  });
+
+  it('should refuse to start without a boundary file', () => {
+    expect(() => new OfflineBoundaryService(path.join(__dirname, 'fixtures', 'missing.geojson')))
+      .toThrow('Boundary file not found');
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  scan: jest.fn(),
+  ttl: jest.fn(),
+  get: jest.fn(),
+  set: jest.fn(async () => true),
+  persist: jest.fn(async () => true)
+}));
+
+const redisService = require('../config/redis');
+const perpetualCache = require('../utils/perpetualCache');
+
+const entries = {
+  'geocode:expiring': { ttl: 3600, value: { success: true, cacheMetadata: { perpetual: false, originalTtl: 3600 } } },
+  'geocode:done': { ttl: -1, value: { success: true, cacheMetadata: { perpetual: true } } },
+  'reverse-geocode:flagless': { ttl: -1, value: { success: true } },
+  'geo-index:reverse-geocode': { ttl: -1, value: null }
+};
+
+describe('perpetualCache.migrateToPerpetual', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisService.scan
+      .mockResolvedValueOnce({ cursor: '12', keys: ['geocode:expiring', 'geocode:done'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: ['reverse-geocode:flagless', 'geo-index:reverse-geocode'] });
+    redisService.ttl.mockImplementation(async key => entries[key].ttl);
+    redisService.get.mockImplementation(async key => entries[key].value);
+  });
+
+  it('should persist expiring keys and flag every entry as perpetual', async () => {
+    const results = await perpetualCache.migrateToPerpetual('*geocode*', { batchSize: 2 });
+
+    expect(redisService.scan).toHaveBeenCalledWith('0', { match: '*geocode*', count: 2 });
+    expect(redisService.scan).toHaveBeenCalledWith('12', { match: '*geocode*', count: 2 });
+    expect(results).toMatchObject({
+      success: true,
+      complete: true,
+      cursor: '0',
+      batches: 2,
+      totalProcessed: 4,
+      successCount: 2,
+      alreadyPerpetual: 1,
+      skippedCount: 1,
+      errorCount: 0
+    });
+    expect(redisService.persist).toHaveBeenCalledTimes(1);
+    expect(redisService.persist).toHaveBeenCalledWith('geocode:expiring');
+    expect(redisService.set).toHaveBeenCalledTimes(2);
+    expect(redisService.set.mock.calls[0][1].cacheMetadata).toMatchObject({ perpetual: true, originalTtl: 3600 });
+    expect(redisService.set.mock.calls[0][2]).toBe(0);
+  });
+
+  it('should only count entries in a dry run', async () => {
+    const results = await perpetualCache.migrateToPerpetual('*geocode*', { dryRun: true });
+
+    expect(results.successCount).toBe(2);
+    expect(redisService.persist).not.toHaveBeenCalled();
+    expect(redisService.set).not.toHaveBeenCalled();
+  });
+
+  it('should stop after maxBatches with a cursor to resume from', async () => {
+    const first = await perpetualCache.migrateToPerpetual('*geocode*', { maxBatches: 1 });
+
+    expect(first).toMatchObject({ complete: false, cursor: '12', totalProcessed: 2 });
+
+    const resumed = await perpetualCache.migrateToPerpetual('*geocode*', { cursor: first.cursor });
+
+    expect(redisService.scan).toHaveBeenLastCalledWith('12', expect.any(Object));
+    expect(resumed).toMatchObject({ complete: true, startCursor: '12', totalProcessed: 2, successCount: 1 });
+  });
+
+  it('should count entries Redis fails to update as errors', async () => {
+    redisService.persist.mockResolvedValueOnce(false);
+
+    const results = await perpetualCache.migrateToPerpetual('*geocode*');
+
+    expect(results.errorCount).toBe(1);
+    expect(results.errors).toEqual(['geocode:expiring: PERSIST failed']);
+    expect(results.successCount).toBe(1);
+  });
+
+  it('should scan *geocode:* by default and leave keys that are not entries untouched', async () => {
+    redisService.scan.mockReset().mockResolvedValueOnce({ cursor: '0', keys: ['coalesce-lock:geocode:abc', 'geocode:expiring'] });
+
+    const results = await perpetualCache.migrateToPerpetual();
+
+    expect(redisService.scan).toHaveBeenCalledWith('0', { match: '*geocode:*', count: 500 });
+    expect(results).toMatchObject({ totalProcessed: 2, successCount: 1, skippedCount: 1 });
+    expect(redisService.ttl).not.toHaveBeenCalledWith('coalesce-lock:geocode:abc');
+    expect(redisService.persist).toHaveBeenCalledTimes(1);
+    expect(redisService.persist).toHaveBeenCalledWith('geocode:expiring');
+  });
+});
@@ -0,0 +1,57 @@
+const path = require('path');
+const {
+  getProviders,
+  getProvider,
+  getPrimaryProvider,
+  getOfflineProvider,
+  getProviderAvailability,
+  resetProviders
+} = require('../services/providerRegistry');
+
+const FIXTURE_BOUNDARIES = path.join(__dirname, 'fixtures', 'boundaries.geojson');
+
+describe('providerRegistry', () => {
+  const originalKey = process.env.GOOGLE_MAPS_API_KEY;
+
+  afterEach(() => {
+    delete process.env.GEOCODING_PROVIDERS;
+    delete process.env.OFFLINE_BOUNDARIES_PATH;
+    process.env.GOOGLE_MAPS_API_KEY = originalKey;
+    resetProviders();
+  });
+
+  it('should use Google alone by default', () => {
+    expect(getProviders().map(provider => provider.name)).toEqual(['google']);
+    expect(getPrimaryProvider().name).toBe('google');
+    expect(getProviderAvailability('google')).toBe('Connected');
+    expect(getProviderAvailability('nominatim')).toBe('Not configured');
+  });
+
+  it('should load GEOCODING_PROVIDERS in order and skip unknown or unconfigured providers', () => {
+    process.env.GEOCODING_PROVIDERS = ' Nominatim, mapbox, google, offline ';
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    process.env.OFFLINE_BOUNDARIES_PATH = path.join(__dirname, 'fixtures', 'missing.geojson');
+
+    expect(getProviders().map(provider => provider.name)).toEqual(['nominatim']);
+    expect(getPrimaryProvider().name).toBe('nominatim');
+    expect(getProvider('google')).toBeNull();
+  });
+
+  it('should fail requests, not startup, when no provider is configured', () => {
+    process.env.GEOCODING_PROVIDERS = 'mapbox';
+
+    expect(getProviders()).toEqual([]);
+    expect(() => getPrimaryProvider()).toThrow('No geocoding provider available');
+  });
+
+  it('should load the offline provider for municipality lookups even when it is not in the chain', () => {
+    process.env.OFFLINE_BOUNDARIES_PATH = FIXTURE_BOUNDARIES;
+
+    expect(getProvider('offline')).toBeNull();
+    expect(getOfflineProvider().name).toBe('offline');
+
+    resetProviders();
+    process.env.OFFLINE_BOUNDARIES_PATH = path.join(__dirname, 'fixtures', 'missing.geojson');
+    expect(getOfflineProvider()).toBeNull();
+  });
+});
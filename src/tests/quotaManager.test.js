@@ -0,0 +1,70 @@
+jest.mock('../config/redis', () => ({
+  hincrby: jest.fn(),
+  expire: jest.fn(async () => true)
+}));
+
+const redisService = require('../config/redis');
+const quotaManager = require('../utils/quotaManager');
+
+const user = { uid: 'u1', authenticatedWith: 'primary' };
+
+describe('quotaManager.consume', () => {
+  let counters;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counters = {};
+    redisService.hincrby.mockImplementation(async (key, field, increment) => {
+      counters[`${key}|${field}`] = (counters[`${key}|${field}`] || 0) + increment;
+      return counters[`${key}|${field}`];
+    });
+    process.env.QUOTA_USER_MISSES = '2';
+    process.env.QUOTA_TENANT_MISSES = '10';
+  });
+
+  afterEach(() => {
+    delete process.env.QUOTA_USER_MISSES;
+    delete process.env.QUOTA_TENANT_MISSES;
+  });
+
+  it('should charge the user and tenant budgets and report the tightest', async () => {
+    const first = await quotaManager.consume(user, 'misses');
+
+    expect(first).toMatchObject({ allowed: true, kind: 'misses', limit: 2, remaining: 1 });
+    expect(first.resetInSeconds).toBeGreaterThan(0);
+    expect(redisService.hincrby).toHaveBeenCalledWith(expect.stringMatching(/^quota:user:u1:\d+$/), 'misses', 1);
+    expect(redisService.hincrby).toHaveBeenCalledWith(expect.stringMatching(/^quota:tenant:primary:\d+$/), 'misses', 1);
+    expect(redisService.expire).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject calls over the limit without charging them', async () => {
+    await quotaManager.consume(user, 'misses');
+    await quotaManager.consume(user, 'misses');
+    const rejected = await quotaManager.consume(user, 'misses');
+
+    expect(rejected).toMatchObject({ allowed: false, exceededScope: 'user', limit: 2, remaining: 0 });
+    expect(Object.values(counters)).toEqual([2, 2]);
+
+    // Hits have their own budget
+    expect((await quotaManager.consume(user, 'hits')).allowed).toBe(true);
+  });
+
+  it('should not enforce quotas when a limit is 0 or Redis is unavailable', async () => {
+    process.env.QUOTA_USER_MISSES = '0';
+    process.env.QUOTA_TENANT_MISSES = '0';
+    expect(await quotaManager.consume(user, 'misses', 50)).toMatchObject({ allowed: true, limit: null, remaining: null });
+    expect(redisService.hincrby).not.toHaveBeenCalled();
+
+    redisService.hincrby.mockResolvedValue(null);
+    expect((await quotaManager.consume(user, 'hits', 100000)).allowed).toBe(true);
+  });
+
+  it('should not enforce any budget that is not configured', async () => {
+    delete process.env.QUOTA_USER_MISSES;
+    delete process.env.QUOTA_TENANT_MISSES;
+
+    expect(await quotaManager.consume(user, 'misses', 100000)).toMatchObject({ allowed: true, limit: null });
+    expect(await quotaManager.consume(user, 'hits', 100000)).toMatchObject({ allowed: true, limit: null });
+    expect(redisService.hincrby).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true),
+  ttl: jest.fn(async () => 5),
+  setIfAbsent: jest.fn(async () => true),
+  delIfEquals: jest.fn(async () => true)
+}));
+
+jest.mock('../middleware/quota', () => ({ consumeQuota: jest.fn(async () => true) }));
+jest.mock('../utils/cacheMetrics', () => ({ record: jest.fn() }));
+
+const redisService = require('../config/redis');
+const requestCoalescer = require('../utils/requestCoalescer');
+const memoryCache = require('../utils/memoryCache');
+const { cacheGeocodingResponse } = require('../middleware/cache');
+
+const mockResponse = () => {
+  const res = { statusCode: 200, on: jest.fn() };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requestCoalescer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.COALESCE_WAIT_MS;
+  });
+
+  it('should hand the leader outcome to concurrent requests for the same key', async () => {
+    const flight = requestCoalescer.start('reverse-geocode:a');
+    const waiting = [requestCoalescer.join('reverse-geocode:a'), requestCoalescer.join('reverse-geocode:a')];
+
+    flight.finish({ statusCode: 200, body: { success: true } });
+
+    await expect(Promise.all(waiting)).resolves.toEqual([
+      { statusCode: 200, body: { success: true } },
+      { statusCode: 200, body: { success: true } }
+    ]);
+    await expect(requestCoalescer.join('reverse-geocode:a')).resolves.toBeNull();
+  });
+
+  it('should stop waiting after COALESCE_WAIT_MS', async () => {
+    process.env.COALESCE_WAIT_MS = '20';
+    const flight = requestCoalescer.start('geocode:b');
+
+    await expect(requestCoalescer.join('geocode:b')).resolves.toBeNull();
+    flight.finish(null);
+  });
+
+  it('should report the lock as held only when another instance set it', async () => {
+    const token = await requestCoalescer.acquireLock('geocode:c');
+    expect(redisService.setIfAbsent).toHaveBeenCalledWith('coalesce-lock:geocode:c', token, 10000);
+
+    redisService.setIfAbsent.mockResolvedValueOnce(false);
+    await expect(requestCoalescer.acquireLock('geocode:c')).resolves.toBeNull();
+
+    // Redis errors must not block the request
+    redisService.setIfAbsent.mockResolvedValueOnce(null);
+    await expect(requestCoalescer.acquireLock('geocode:c')).resolves.toEqual(expect.any(String));
+  });
+
+  it('should stop polling another instance as soon as its lock is released without an entry', async () => {
+    const read = jest.fn(async () => null);
+    redisService.ttl.mockResolvedValueOnce(5).mockResolvedValueOnce(-2);
+    const startedAt = Date.now();
+
+    await expect(requestCoalescer.waitForEntry('geocode:d', read)).resolves.toBeNull();
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(redisService.ttl).toHaveBeenCalledWith('coalesce-lock:geocode:d');
+    // One last read in case the entry was written just before the release
+    expect(read).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('cacheGeocodingResponse coalescing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryCache.clear();
+  });
+
+  it('should echo each waiting request\'s own address in coalesced forward responses', async () => {
+    const middleware = cacheGeocodingResponse('geocode', 0, false, true);
+    const user = { uid: 'u1', isAnonymous: false, authenticatedWith: 'primary' };
+
+    const leaderRes = mockResponse();
+    const next = jest.fn();
+    await middleware({ address: 'Rua Augusta, 500', user }, leaderRes, next);
+    expect(next).toHaveBeenCalled();
+
+    const waiterRes = mockResponse();
+    const waiting = middleware({ address: 'rua augusta 500', user: { ...user, uid: 'u2' } }, waiterRes, jest.fn());
+    await new Promise(resolve => setImmediate(resolve));
+
+    leaderRes.json({ success: true, data: { formatted_address: 'R. Augusta, 500', address: 'Rua Augusta, 500' }, user });
+    await waiting;
+
+    expect(waiterRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      coalesced: true,
+      data: { formatted_address: 'R. Augusta, 500', address: 'rua augusta 500' },
+      user: { uid: 'u2', isAnonymous: false }
+    }));
+  });
+});
@@ -0,0 +1,40 @@
+const { requireRole } = require('../middleware/auth');
+
+const run = (middleware, user) => {
+  const res = {
+    status: jest.fn(function () { return this; }),
+    json: jest.fn(function () { return this; })
+  };
+  const next = jest.fn();
+  middleware({ user, method: 'GET', originalUrl: '/api/geocoding/cache/stats' }, res, next);
+  return { res, next };
+};
+
+describe('requireRole', () => {
+  const opsOnly = requireRole('admin', 'ops');
+
+  it('should let callers with an accepted role through', () => {
+    const { res, next } = run(opsOnly, { uid: 'u1', isAnonymous: false, role: 'ops' });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should reject callers without an accepted role', () => {
+    for (const role of ['field', null]) {
+      const { res, next } = run(opsOnly, { uid: 'u1', isAnonymous: false, role });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'FORBIDDEN' }));
+    }
+  });
+
+  it('should reject anonymous callers even with a role claim', () => {
+    const { res, next } = run(opsOnly, { uid: 'anon', isAnonymous: true, role: 'admin' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Anonymous users cannot access this resource', code: 'FORBIDDEN' });
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../config/redis', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTenants, getTenant, getAllowedOrigins, resetTenants } = require('../config/tenants');
+const { generateReverseCacheKey, getCacheNamespace, getGeoIndexKey } = require('../middleware/cache');
+
+describe('tenant registry', () => {
+  let dir;
+
+  const writeConfig = (name, content) => {
+    process.env.TENANTS_CONFIG_PATH = path.join(dir, name);
+    fs.writeFileSync(process.env.TENANTS_CONFIG_PATH, content);
+    resetTenants();
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+    process.env.ACME_PRIVATE_KEY = 'line1\\nline2';
+  });
+
+  afterEach(() => {
+    delete process.env.TENANTS_CONFIG_PATH;
+    delete process.env.ACME_PRIVATE_KEY;
+    delete process.env.ALLOWED_ORIGINS;
+    fs.rmSync(dir, { recursive: true, force: true });
+    resetTenants();
+  });
+
+  it('should load tenants from YAML with environment references and service account files', () => {
+    fs.writeFileSync(path.join(dir, 'beta.json'), JSON.stringify({ project_id: 'beta-project', private_key: 'k' }));
+    writeConfig('tenants.yaml', [
+      'tenants:',
+      '  acme:',
+      '    firebase:',
+      '      projectId: acme-project',
+      '      clientEmail: sdk@acme.iam.gserviceaccount.com',
+      '      privateKey: ${ACME_PRIVATE_KEY}',
+      '    googleMapsApiKey: acme-key',
+      '    allowedOrigins: [https://acme.example]',
+      '    cachePrefix: acme',
+      '    quotas:',
+      '      userMisses: 50',
+      '  beta:',
+      '    firebase:',
+      '      serviceAccountFile: beta.json'
+    ].join('\n'));
+
+    expect(getTenants().map(tenant => tenant.name)).toEqual(['acme', 'beta']);
+    expect(getTenant('acme')).toMatchObject({
+      projectId: 'acme-project',
+      serviceAccount: { privateKey: 'line1\nline2' },
+      googleMapsApiKey: 'acme-key',
+      cachePrefix: 'acme',
+      quotas: { userMisses: 50 }
+    });
+    expect(getTenant('beta')).toMatchObject({ projectId: 'beta-project', googleMapsApiKey: null, cachePrefix: null });
+
+    process.env.ALLOWED_ORIGINS = 'https://admin.example';
+    expect(getAllowedOrigins()).toEqual(['https://admin.example', 'https://acme.example']);
+  });
+
+  it('should reject invalid entries', () => {
+    const firebase = { projectId: 'p', clientEmail: 'e', privateKey: 'k' };
+
+    writeConfig('tenants.json', JSON.stringify({ tenants: { acme: { firebase, cachePrefix: 'user' } } }));
+    expect(() => getTenants()).toThrow(/cachePrefix/);
+
+    writeConfig('tenants.json', JSON.stringify({ tenants: { a: { firebase, cachePrefix: 'x' }, b: { firebase, cachePrefix: 'x' } } }));
+    expect(() => getTenants()).toThrow(/used by more than one tenant/);
+
+    writeConfig('tenants.json', JSON.stringify({ tenants: { a: { firebase }, b: { firebase: { ...firebase, clientEmail: 'other' } } } }));
+    expect(() => getTenants()).toThrow("Firebase project 'p' is used by more than one tenant");
+
+    writeConfig('tenants.json', JSON.stringify({ tenants: { acme: { firebase, quotas: { misses: 5 } } } }));
+    expect(() => getTenants()).toThrow(/quotas.misses/);
+
+    writeConfig('tenants.json', JSON.stringify({ tenants: { acme: { firebase: { privateKey: '${UNSET_TENANT_VAR}' } } } }));
+    expect(() => getTenants()).toThrow(/UNSET_TENANT_VAR/);
+  });
+
+  it('should keep tenant namespaces apart in cache keys and geo indexes', () => {
+    const coordinates = { latitude: -23.56, longitude: -46.66 };
+    const precision = { scheme: 'decimal', decimals: 2 };
+    const shared = generateReverseCacheKey(coordinates, precision);
+    const namespaced = generateReverseCacheKey(coordinates, precision, null, 'acme');
+
+    expect(namespaced).toBe(shared.replace('reverse-geocode:', 'reverse-geocode:acme:'));
+    expect(getCacheNamespace(namespaced)).toBe('acme');
+    expect(getCacheNamespace(shared)).toBeNull();
+    expect(getCacheNamespace(generateReverseCacheKey(coordinates, precision, 'u1'))).toBeNull();
+    expect(getCacheNamespace(generateReverseCacheKey(coordinates, precision, 'u1', 'acme'))).toBe('acme');
+    expect(getGeoIndexKey('acme')).toBe('geo-index:acme:reverse-geocode');
+  });
+});
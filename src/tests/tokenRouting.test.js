@@ -0,0 +1,107 @@
+const mockAuths = [
+  { name: 'primary', projectId: 'main-app', auth: { verifyIdToken: jest.fn() } },
+  { name: 'anonymous', projectId: 'guest-app', auth: { verifyIdToken: jest.fn() } }
+];
+
+jest.mock('../config/firebase', () => ({
+  getAllFirebaseAuths: () => mockAuths
+}));
+
+const { authenticateFirebaseToken, authenticateAdminToken, authenticateWithSpecificFirebase } = require('../middleware/auth');
+const tokenCache = require('../utils/tokenCache');
+
+const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+const tokenFor = (projectId) => [
+  encode({ alg: 'RS256', kid: 'k1' }),
+  encode({ aud: projectId, iss: `https://securetoken.google.com/${projectId}`, sub: 'u1' }),
+  'signature'
+].join('.');
+
+const run = async (middleware, token) => {
+  const res = {
+    status: jest.fn(function () { return this; }),
+    json: jest.fn(function () { return this; })
+  };
+  const req = { method: 'POST', originalUrl: '/api/geocoding/reverse', headers: { authorization: `Bearer ${token}` } };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('Firebase token verification', () => {
+  beforeEach(() => {
+    mockAuths.forEach(({ auth }) => auth.verifyIdToken.mockReset());
+    tokenCache.clear();
+  });
+
+  it('should verify only against the project named by the token', async () => {
+    mockAuths[1].auth.verifyIdToken.mockResolvedValue({ uid: 'u1', firebase: { sign_in_provider: 'anonymous' } });
+
+    const { req, next } = await run(authenticateFirebaseToken, tokenFor('guest-app'));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ uid: 'u1', isAnonymous: true, authenticatedWith: 'anonymous' });
+    expect(mockAuths[0].auth.verifyIdToken).not.toHaveBeenCalled();
+  });
+
+  it('should reject tokens of unknown projects and malformed tokens without verifying them', async () => {
+    let { res } = await run(authenticateFirebaseToken, tokenFor('someone-else'));
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'UNKNOWN_PROJECT' }));
+
+    // A token of a known project is still unknown to a route restricted to another config
+    ({ res } = await run(authenticateWithSpecificFirebase('primary'), tokenFor('guest-app')));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'UNKNOWN_PROJECT' }));
+
+    ({ res } = await run(authenticateFirebaseToken, 'not-a-jwt'));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+    mockAuths.forEach(({ auth }) => expect(auth.verifyIdToken).not.toHaveBeenCalled());
+  });
+
+  it('should map Firebase errors the same way in both middlewares', async () => {
+    mockAuths[0].auth.verifyIdToken.mockRejectedValue(Object.assign(new Error('expired'), { code: 'auth/id-token-expired' }));
+
+    for (const middleware of [authenticateFirebaseToken, authenticateWithSpecificFirebase('primary')]) {
+      const { res, next } = await run(middleware, tokenFor('main-app'));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    }
+  });
+
+  it('should reuse recent verifications until the token expires', async () => {
+    const token = tokenFor('main-app');
+    const claims = { uid: 'u2', firebase: { sign_in_provider: 'password' }, exp: Math.floor(Date.now() / 1000) + 3600 };
+    mockAuths[0].auth.verifyIdToken.mockResolvedValue(claims);
+
+    await run(authenticateFirebaseToken, token);
+    const { req, next } = await run(authenticateFirebaseToken, token);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ uid: 'u2', authenticatedWith: 'primary' });
+    expect(mockAuths[0].auth.verifyIdToken).toHaveBeenCalledTimes(1);
+
+    // Not past the token's own exp
+    tokenCache.clear();
+    mockAuths[0].auth.verifyIdToken.mockResolvedValue({ ...claims, exp: Math.floor(Date.now() / 1000) - 1 });
+    await run(authenticateFirebaseToken, token);
+    await run(authenticateFirebaseToken, token);
+    expect(mockAuths[0].auth.verifyIdToken).toHaveBeenCalledTimes(3);
+  });
+
+  it('should check revocation on admin routes without using the cache', async () => {
+    const token = tokenFor('main-app');
+    mockAuths[0].auth.verifyIdToken.mockResolvedValue({ uid: 'u2', firebase: { sign_in_provider: 'password' }, exp: Math.floor(Date.now() / 1000) + 3600 });
+    await run(authenticateFirebaseToken, token);
+
+    mockAuths[0].auth.verifyIdToken.mockRejectedValue(Object.assign(new Error('revoked'), { code: 'auth/id-token-revoked' }));
+    const { res } = await run(authenticateAdminToken, token);
+
+    expect(mockAuths[0].auth.verifyIdToken).toHaveBeenLastCalledWith(token, true);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+    expect(tokenCache.get(token)).toBeNull();
+  });
+});
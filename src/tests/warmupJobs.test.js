@@ -0,0 +1,180 @@
+const mockStore = new Map();
+
+jest.mock('../config/redis', () => ({
+  isAvailable: jest.fn(() => true),
+  ensureInitialized: jest.fn(async () => {}),
+  get: jest.fn(async (key) => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => {
+    mockStore.set(key, JSON.stringify(value));
+    return true;
+  }),
+  setIfAbsent: jest.fn(async (key, value) => {
+    if (mockStore.has(key)) {
+      return false;
+    }
+    mockStore.set(key, value);
+    return true;
+  }),
+  sadd: jest.fn(async (key, member) => {
+    const members = new Set(mockStore.has(key) ? JSON.parse(mockStore.get(key)) : []);
+    members.add(member);
+    mockStore.set(key, JSON.stringify([...members]));
+    return true;
+  }),
+  smembers: jest.fn(async (key) => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : []),
+  srem: jest.fn(async (key, member) => {
+    const members = mockStore.has(key) ? JSON.parse(mockStore.get(key)) : [];
+    mockStore.set(key, JSON.stringify(members.filter(existing => existing !== member)));
+    return true;
+  })
+}));
+
+jest.mock('../utils/perpetualCache', () => ({ warmupCache: jest.fn() }));
+
+const redisService = require('../config/redis');
+const perpetualCache = require('../utils/perpetualCache');
+const warmupJobs = require('../utils/warmupJobs');
+
+const storeValue = redisService.set.getMockImplementation();
+
+const locations = ['a', 'b', 'c', 'd', 'e'].map(street => ({ address: `Rua ${street}, 1` }));
+
+// Fill every location of a chunk and fail the last one
+const warmChunk = async (chunk) => ({
+  success: true,
+  filled: chunk.slice(0, -1).map((location, index) => ({ index, location })),
+  alreadyCached: 0,
+  skipped: [],
+  failed: [{ index: chunk.length - 1, location: chunk[chunk.length - 1], reason: 'not_found' }],
+  apiCallsUsed: chunk.length
+});
+
+const waitForJob = async (jobId) => {
+  while (warmupJobs.runningJobs.has(jobId)) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return warmupJobs.getJob(jobId);
+};
+
+describe('warmupJobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.clear();
+    process.env.WARMUP_JOB_CHUNK_SIZE = '2';
+    perpetualCache.warmupCache.mockImplementation(warmChunk);
+    redisService.set.mockImplementation(storeValue);
+  });
+
+  afterEach(() => {
+    delete process.env.WARMUP_JOB_CHUNK_SIZE;
+  });
+
+  it('should run a job chunk by chunk and record its progress', async () => {
+    const created = await warmupJobs.createJob(locations, { concurrency: 3, budget: 4 }, 'admin-1');
+    expect(created).toMatchObject({ status: 'queued', createdBy: 'admin-1', progress: { total: 5, processed: 0 } });
+
+    const job = await waitForJob(created.id);
+
+    expect(job).toMatchObject({
+      status: 'completed',
+      nextIndex: 5,
+      progress: { total: 5, processed: 5, cached: 2, failed: 3, apiCallsUsed: 5 }
+    });
+    expect(job.failures.map(failure => failure.index)).toEqual([1, 3, 4]);
+    expect(perpetualCache.warmupCache.mock.calls.map(([chunk, options]) => [chunk.length, options.budget])).toEqual([
+      [2, 4],
+      [2, 2],
+      [1, 0]
+    ]);
+    await expect(warmupJobs.redisService.smembers('warmup-jobs')).resolves.toEqual([created.id]);
+  });
+
+  it('should stop after the current chunk when cancelled and not cancel finished jobs', async () => {
+    let jobId;
+    perpetualCache.warmupCache.mockImplementationOnce(async (chunk) => {
+      await warmupJobs.cancelJob(jobId);
+      return warmChunk(chunk);
+    });
+
+    jobId = (await warmupJobs.createJob(locations)).id;
+    const job = await waitForJob(jobId);
+
+    expect(job).toMatchObject({ status: 'cancelled', progress: { processed: 2 } });
+    expect(job.finishedAt).not.toBeNull();
+    expect(perpetualCache.warmupCache).toHaveBeenCalledTimes(1);
+    await expect(warmupJobs.cancelJob(jobId)).resolves.toMatchObject({ cancelled: false });
+    await expect(warmupJobs.cancelJob('missing')).resolves.toBeNull();
+  });
+
+  it('should keep a cancellation that lands while the runner saves progress of a chunk in flight', async () => {
+    let jobId;
+    let cancellation;
+    // Cancel between the runner's last cancellation check and its progress save
+    redisService.set.mockImplementation(async (key, value, ttl) => {
+      if (!cancellation && key === `warmup-job:${jobId}` && value.progress.processed === locations.length) {
+        cancellation = await warmupJobs.cancelJob(jobId);
+      }
+      return storeValue(key, value, ttl);
+    });
+
+    jobId = (await warmupJobs.createJob(locations)).id;
+    const job = await waitForJob(jobId);
+
+    expect(cancellation).toMatchObject({ cancelled: true, job: { status: 'cancelled' } });
+    expect(job).toMatchObject({ status: 'cancelled', progress: { processed: 5 } });
+    expect(job.finishedAt).toBe(cancellation.job.finishedAt);
+    expect(JSON.parse(mockStore.get(`warmup-job:${jobId}`)).status).toBe('cancelled');
+    await expect(warmupJobs.cancelJob(jobId)).resolves.toMatchObject({ cancelled: false });
+  });
+
+  it('should report a cancellation that lost the race with completion as not cancelled', async () => {
+    const jobId = (await warmupJobs.createJob(locations)).id;
+    const running = await warmupJobs.getJob(jobId);
+    await waitForJob(jobId);
+
+    // A cancel that read the job before the runner finished must not override the completion
+    redisService.get.mockResolvedValueOnce(running).mockResolvedValueOnce(null);
+    const outcome = await warmupJobs.cancelJob(jobId);
+
+    expect(outcome).toMatchObject({ cancelled: false, job: { status: 'completed' } });
+    await expect(warmupJobs.getJob(jobId)).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  it('should fail a job whose chunk could not be warmed', async () => {
+    perpetualCache.warmupCache.mockResolvedValueOnce({ success: false, message: 'Cache not available or no locations provided' });
+
+    const job = await waitForJob((await warmupJobs.createJob(locations)).id);
+
+    expect(job).toMatchObject({ status: 'failed', error: 'Cache not available or no locations provided', nextIndex: 0 });
+  });
+
+  it('should resume stale unfinished jobs from where they stopped after a restart', async () => {
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const stored = (id, status, updatedAt) => {
+      mockStore.set(`warmup-job:${id}`, JSON.stringify({
+        id,
+        status,
+        updatedAt,
+        startedAt: longAgo,
+        options: { dryRun: false },
+        nextIndex: 4,
+        progress: { total: 5, processed: 4, cached: 4, alreadyCached: 0, skipped: 0, failed: 0, apiCallsUsed: 4 },
+        failures: []
+      }));
+      mockStore.set(`warmup-job:${id}:locations`, JSON.stringify(locations));
+    };
+    stored('interrupted', 'running', longAgo);
+    stored('live', 'running', new Date().toISOString());
+    stored('done', 'completed', longAgo);
+    mockStore.set('warmup-jobs', JSON.stringify(['interrupted', 'live', 'done', 'expired']));
+
+    await expect(warmupJobs.resumeInterruptedJobs()).resolves.toEqual(['interrupted']);
+    const job = await waitForJob('interrupted');
+
+    expect(perpetualCache.warmupCache).toHaveBeenCalledTimes(1);
+    expect(perpetualCache.warmupCache.mock.calls[0][0]).toEqual([locations[4]]);
+    expect(job).toMatchObject({ status: 'completed', progress: { processed: 5, failed: 1 } });
+    expect(job.failures).toEqual([expect.objectContaining({ index: 4 })]);
+    await expect(warmupJobs.redisService.smembers('warmup-jobs')).resolves.toEqual(['interrupted', 'live', 'done']);
+  });
+});
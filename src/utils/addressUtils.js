@@ -0,0 +1,83 @@
+/**
+ * Utility functions for address processing
+ */
+
+// Common street type and place abbreviations (Brazilian and English), without punctuation
+const ADDRESS_ABBREVIATIONS = {
+  // Portuguese
+  av: 'avenida',
+  avda: 'avenida',
+  r: 'rua',
+  al: 'alameda',
+  rod: 'rodovia',
+  estr: 'estrada',
+  tv: 'travessa',
+  trav: 'travessa',
+  pc: 'praca',
+  pca: 'praca',
+  pq: 'parque',
+  lgo: 'largo',
+  jd: 'jardim',
+  jrd: 'jardim',
+  vl: 'vila',
+  cj: 'conjunto',
+  conj: 'conjunto',
+  qd: 'quadra',
+  lt: 'lote',
+  // English
+  ave: 'avenue',
+  st: 'street',
+  str: 'street',
+  rd: 'road',
+  blvd: 'boulevard',
+  ln: 'lane',
+  hwy: 'highway',
+  pkwy: 'parkway',
+  sq: 'square'
+};
+
+// Number markers dropped when followed by a number ("nº 1000", "n. 1000", "no 1000")
+const NUMBER_MARKERS = ['n', 'no', 'nr', 'num', 'numero', 'number'];
+
+/**
+ * Normalize an address for use in cache keys
+ * Folds case, strips accents, collapses punctuation and whitespace and expands
+ * common street abbreviations, so "Av. Paulista, 1000 - São Paulo" and
+ * "avenida paulista 1000 sao paulo" produce the same string. Letters and digits
+ * of every script are kept ("Москва, Тверская 1" becomes "москва тверская 1").
+ * Only meant for matching: geocoding providers still receive the address as typed.
+ * @param {string} address - Address as typed by the client
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  const tokens = address
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1') // Strip accents from Latin letters
+    .normalize('NFC') // Recompose other scripts' letters (Cyrillic й, Japanese が)
+    .toLowerCase()
+    .replace(/[ºª]/g, ' ') // Ordinal indicators are letters to Unicode, but separators here
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ') // Punctuation becomes a separator
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  return tokens
+    .filter((token, index) => !(NUMBER_MARKERS.includes(token) && /^\d/.test(tokens[index + 1] || '')))
+    .map(token => ADDRESS_ABBREVIATIONS[token] || token)
+    .join(' ');
+}
+
+/**
+ * Check whether a normalized address is specific enough to share a cache entry
+ * with other spellings: without any letter ("", "1", "1 2") it says too little.
+ * @param {string} normalized - Result of normalizeAddress
+ * @returns {boolean} Whether the normalized form may be used as cache key
+ */
+function isDistinctiveAddress(normalized) {
+  return /\p{L}/u.test(normalized);
+}
+
+module.exports = {
+  normalizeAddress,
+  isDistinctiveAddress
+};
@@ -0,0 +1,274 @@
+const redisService = require('../config/redis');
+const { logger } = require('./logger');
+const { getCacheNamespace, getGeoIndexKey, isCacheEntryKey } = require('../middleware/cache');
+const perpetualCache = require('./perpetualCache');
+const memoryCache = require('./memoryCache');
+const { CACHE_SCHEMA_VERSION, upgradeCachedResponse } = require('./cacheSchema');
+
+const EXPORT_FORMAT = 'geocoding-cache';
+const EXPORT_FORMAT_VERSION = 1;
+const DEFAULT_EXPORT_PATTERN = '*geocode:*';
+const CONFLICT_MODES = ['skip', 'overwrite', 'newer'];
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Get when an entry was last confirmed by the provider
+ * @param {Object} response - Cached response body
+ * @returns {number} Epoch milliseconds (0 when unknown)
+ */
+function getEntryTime(response) {
+  const metadata = response?.cacheMetadata || {};
+  return Date.parse(metadata.revalidatedAt || metadata.cachedAt) || 0;
+}
+
+/**
+ * Check an imported line against the export format
+ * @param {Object} record - Parsed line
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return 'line is not a JSON object';
+  }
+  if (typeof record.key !== 'string' || !isCacheEntryKey(record.key)) {
+    return 'key must start with geocode: or reverse-geocode:';
+  }
+
+  const { value } = record;
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value.success !== true) {
+    return 'value must be a successful geocoding response';
+  }
+  if (!value.data || typeof value.data !== 'object') {
+    return 'value.data is missing';
+  }
+  if (record.ttl !== undefined && (!Number.isInteger(record.ttl) || record.ttl < -1)) {
+    return 'ttl must be an integer of -1 or more';
+  }
+  return null;
+}
+
+/**
+ * Backup and seeding of the geocoding cache as NDJSON
+ *
+ * An export starts with a header line
+ *   {"format":"geocoding-cache","version":1,"schemaVersion":3,"exportedAt":"..."}
+ * followed by one line per cached response with its remaining TTL (-1 for perpetual):
+ *   {"key":"reverse-geocode:...","ttl":-1,"value":{"success":true,"data":{...},"cacheMetadata":{...}}}
+ * Imports validate every line, upgrade it to the current schema version and
+ * add reverse geocoding entries to the geo index used for nearby reuse.
+ */
+class CacheBackup {
+  constructor() {
+    this.redisService = redisService;
+  }
+
+  /**
+   * Write every cached response matching a pattern as NDJSON lines
+   * @param {Function} writeLine - async (line) => void, called once per line without the newline
+   * @param {Object} options - { pattern, batchSize, signal }
+   * @param {string} options.pattern - Cache key pattern (default: '*geocode:*', every entry)
+   * @param {number} options.batchSize - SCAN COUNT hint per batch (default: 500)
+   * @param {AbortSignal} options.signal - Stops the export, e.g. when the client disconnects
+   * @returns {Promise<Object>} Results with exportedCount and skippedCount
+   */
+  async exportEntries(writeLine, { pattern = DEFAULT_EXPORT_PATTERN, batchSize, signal = null } = {}) {
+    if (!this.redisService.isAvailable()) {
+      return { success: false, message: 'Redis service is not available' };
+    }
+
+    await writeLine(JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_FORMAT_VERSION,
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      pattern
+    }));
+
+    const results = await perpetualCache.processKeys('Export', pattern, { batchSize, signal }, async (key) => {
+      if (signal?.aborted || !isCacheEntryKey(key)) {
+        return 'skipped';
+      }
+
+      const ttl = await this.redisService.ttl(key);
+      const value = ttl === -2 ? null : await this.redisService.get(key);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'skipped';
+      }
+
+      await writeLine(JSON.stringify({ key, ttl: ttl > 0 ? ttl : -1, value }));
+      return 'exported';
+    });
+
+    return {
+      ...results,
+      exportedCount: results.outcomes.exported || 0,
+      skippedCount: results.outcomes.skipped || 0
+    };
+  }
+
+  /**
+   * Import NDJSON lines written by exportEntries
+   * @param {AsyncIterable<string>} lines - Lines of the export (e.g. a readline interface)
+   * @param {Object} options - { onConflict, dryRun }
+   * @param {string} options.onConflict - When the key already exists: 'skip' (default) keeps it,
+   *   'overwrite' replaces it, 'newer' replaces it only if the imported entry was cached or revalidated later
+   * @param {boolean} options.dryRun - Only validate and report, without writing
+   * @returns {Promise<Object>} Results with importedCount, replacedCount, skippedCount, invalidCount and errors
+   */
+  async importEntries(lines, { onConflict = 'skip', dryRun = false } = {}) {
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return { success: false, message: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}` };
+    }
+    if (!this.redisService.isAvailable()) {
+      return { success: false, message: 'Redis service is not available' };
+    }
+
+    const results = {
+      success: true,
+      message: '',
+      onConflict,
+      dryRun,
+      header: null,
+      totalLines: 0,
+      importedCount: 0,
+      replacedCount: 0,
+      skippedCount: 0,
+      invalidCount: 0,
+      errorCount: 0,
+      errors: []
+    };
+    const report = (lineNumber, message) => {
+      if (results.errors.length < MAX_REPORTED_ERRORS) {
+        results.errors.push(`line ${lineNumber}: ${message}`);
+      }
+    };
+
+    logger.info('Starting import of cache entries', { onConflict, dryRun });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      results.totalLines++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        results.invalidCount++;
+        report(lineNumber, 'invalid JSON');
+        continue;
+      }
+
+      if (record?.format !== undefined) {
+        if (record.format !== EXPORT_FORMAT || record.version !== EXPORT_FORMAT_VERSION) {
+          return {
+            ...results,
+            success: false,
+            message: `Unsupported export format ${record.format} version ${record.version}`
+          };
+        }
+        results.header = record;
+        continue;
+      }
+
+      const invalid = validateRecord(record);
+      if (invalid) {
+        results.invalidCount++;
+        report(lineNumber, invalid);
+        continue;
+      }
+
+      try {
+        const outcome = await this.importRecord(record, onConflict, dryRun);
+        results[`${outcome}Count`]++;
+      } catch (error) {
+        results.errorCount++;
+        report(lineNumber, `${record.key}: ${error.message}`);
+      }
+    }
+
+    const written = results.importedCount + results.replacedCount;
+    results.message = `${dryRun ? 'Import dry run' : 'Import'} completed: ${written} entries ${dryRun ? 'would be ' : ''}written`;
+    logger.info('Import results:', { ...results, errors: results.errors.length });
+    return results;
+  }
+
+  /**
+   * Import one validated record
+   * @param {Object} record - { key, ttl, value }
+   * @param {string} onConflict - 'skip', 'overwrite' or 'newer'
+   * @param {boolean} dryRun - Only report what would happen
+   * @returns {Promise<string>} 'imported', 'replaced' or 'skipped'
+   * @throws {Error} When Redis rejects the write
+   */
+  async importRecord({ key, ttl = -1, value }, onConflict, dryRun) {
+    const cachePrefix = key.startsWith('reverse-geocode:') ? 'reverse-geocode' : 'geocode';
+    const { response } = upgradeCachedResponse(value, cachePrefix);
+
+    const existing = await this.redisService.get(key);
+    if (existing && (onConflict === 'skip' || (onConflict === 'newer' && getEntryTime(response) <= getEntryTime(existing)))) {
+      return 'skipped';
+    }
+
+    const outcome = existing ? 'replaced' : 'imported';
+    if (dryRun) {
+      return outcome;
+    }
+
+    if (!await this.redisService.set(key, response, ttl > 0 ? ttl : 0)) {
+      throw new Error('SET failed');
+    }
+    memoryCache.delete(key);
+    await this.indexEntry(key, response);
+    return outcome;
+  }
+
+  /**
+   * Add a shared reverse geocoding entry to the geo index of its namespace, used for nearby reuse
+   * @param {string} key - Cache key
+   * @param {Object} response - Cached response body
+   * @returns {Promise<boolean>} Whether the entry was indexed
+   */
+  async indexEntry(key, response) {
+    const coordinates = response?.data?.coordinates;
+    if (!key.startsWith('reverse-geocode:') || key.includes(':user:') || !coordinates) {
+      return false;
+    }
+    return this.redisService.geoadd(getGeoIndexKey(getCacheNamespace(key)), coordinates.longitude, coordinates.latitude, key);
+  }
+
+  /**
+   * Rebuild the geo index from the stored reverse geocoding entries
+   * Index members whose entry is gone are removed on lookup, so only missing members are added.
+   * @param {Object} options - { dryRun, batchSize, cursor, maxBatches } as for perpetualCache.processKeys
+   * @returns {Promise<Object>} Results with indexedCount and skippedCount
+   */
+  async rebuildGeoIndex(options = {}) {
+    if (!this.redisService.isAvailable()) {
+      return { success: false, message: 'Redis service is not available' };
+    }
+
+    const results = await perpetualCache.processKeys('Reindex', 'reverse-geocode:*', options, async (key, dryRun) => {
+      const value = await this.redisService.get(key);
+      if (!value?.data?.coordinates || key.includes(':user:')) {
+        return 'skipped';
+      }
+      if (!dryRun && !await this.indexEntry(key, value)) {
+        throw new Error('GEOADD failed');
+      }
+      return 'indexed';
+    });
+
+    return {
+      ...results,
+      indexedCount: results.outcomes.indexed || 0,
+      skippedCount: results.outcomes.skipped || 0
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CacheBackup();
@@ -106,8 +106,8 @@ class CacheDiagnostic {
         return result;
       }
 
-      // Get raw data directly from Redis
-      const rawData = await this.redisService.client.get(key);
+      // Get raw data directly from the cache store
+      const rawData = await this.redisService.getRaw(key);
       result.keyExists = rawData !== null;
       result.rawData = rawData;
       result.dataType = typeof rawData;
@@ -1,5 +1,30 @@
 const redisService = require('../config/redis');
 const { logger } = require('./logger');
+const { getCacheNamespace, getGeoIndexKey } = require('../middleware/cache');
+const { normalizeAddress } = require('./addressUtils');
+const memoryCache = require('./memoryCache');
+
+const DEFAULT_CLEAR_PATTERN = '*geocode:*';
+const DEFAULT_CLEAR_LIMIT = 1000;
+const DEFAULT_CLEAR_BATCH_SIZE = 500;
+const MAX_REPORTED_KEYS = 100;
+
+/**
+ * Check whether a cached response is located in the given area
+ * Names are compared normalized (case and accents folded); country also matches the ISO code.
+ * @param {Object} cachedResponse - Cached response body
+ * @param {Object} filters - { city, state, country }, missing filters match everything
+ * @returns {boolean} Whether every given filter matches
+ */
+function matchesArea(cachedResponse, { city, state, country }) {
+  const components = cachedResponse?.data?.address_components || {};
+  const matches = (expected, candidates) => !expected ||
+    candidates.some(candidate => candidate && normalizeAddress(candidate) === normalizeAddress(expected));
+
+  return matches(city, [components.administrative_area_level_2, components.locality]) &&
+    matches(state, [components.administrative_area_level_1]) &&
+    matches(country, [components.country, components.country_code]);
+}
 
 class CacheManager {
   constructor() {
@@ -37,58 +62,138 @@ class CacheManager {
   /**
    * Warm up cache with commonly requested data
    * @param {Array} locations - Array of {latitude, longitude} or {address} objects
+   * @param {Object} options - { dryRun, concurrency, budget } (see PerpetualCacheManager.warmupCache)
    * @returns {Promise<Object>} Warmup results
    */
-  async warmup(locations = []) {
+  async warmup(locations = [], options = {}) {
     if (!this.redisService.isAvailable() || locations.length === 0) {
       return { success: false, message: 'Cache not available or no locations provided' };
     }
 
-    let successCount = 0;
-    let failCount = 0;
-
-    for (const location of locations) {
-      try {
-        if (location.latitude && location.longitude) {
-          // This would typically involve calling your geocoding service
-          // and caching the results, but for now we'll just log it
-          logger.debug('Would warm up reverse geocoding cache', { latitude: location.latitude, longitude: location.longitude });
-          successCount++;
-        } else if (location.address) {
-          logger.debug('Would warm up geocoding cache', { address: location.address });
-          successCount++;
-        }
-      } catch (error) {
-        failCount++;
-  logger.error('Cache warmup failed for location', { location, error: error.message });
-      }
+    // Required lazily: perpetualCache pulls in the geocoding service stack
+    const perpetualCache = require('./perpetualCache');
+    const results = await perpetualCache.warmupCache(locations, options);
+
+    if (!results.success) {
+      return results;
     }
 
     return {
       success: true,
       processed: locations.length,
-      successful: successCount,
-      failed: failCount
+      successful: results.filled.length + results.alreadyCached,
+      failed: results.failed.length,
+      details: results
     };
   }
 
   /**
-   * Clear cache entries by pattern (limited in Upstash)
-   * Note: Upstash Redis doesn't support KEYS command, so this is a placeholder
-   * In production, you'd need to track keys separately or use a different approach
-   * @param {string} pattern - Pattern to match (e.g., 'geocode:*')
-   * @returns {Promise<Object>} Clear operation results
+   * Clear cache entries by pattern, optionally only those located in a city, state or country
+   * Walks the keyspace with SCAN, so it works on Upstash and local Redis alike.
+   * Stops once `limit` entries matched and returns the cursor to continue from
+   * ('0' when the scan completed); a dry run reports the same keys again when
+   * continued. Deleted reverse entries leave the geo index too.
+   * @param {string} pattern - Pattern to match (default: '*geocode:*', every geocoding entry)
+   * @param {Object} options - { city, state, country, dryRun, limit, cursor, batchSize }
+   * @param {boolean} options.dryRun - Only report matching keys, without deleting
+   * @param {number} options.limit - Maximum entries to delete in this call (default: 1000)
+   * @param {string} options.cursor - Cursor returned by a previous call (default: '0', start over)
+   * @returns {Promise<Object>} { success, matched, deleted, scanned, cursor, complete, keys }
    */
-  async clearByPattern(pattern) {
-    logger.warn(`Cache clear by pattern '${pattern}' requested, but not implemented for Upstash Redis`);
-    // Warn só se debug
-    if (process.env.NODE_ENV === 'development') {
-      logger.warn(`Cache clear by pattern '${pattern}' requested, but not implemented for Upstash Redis`);
+  async clearByPattern(pattern = DEFAULT_CLEAR_PATTERN, {
+    city,
+    state,
+    country,
+    dryRun = false,
+    limit = DEFAULT_CLEAR_LIMIT,
+    cursor = '0',
+    batchSize = DEFAULT_CLEAR_BATCH_SIZE
+  } = {}) {
+    if (!this.redisService.isAvailable()) {
+      return {
+        success: false,
+        message: 'Redis service is not available'
+      };
     }
-    return {
-      success: false,
-      message: 'Pattern-based cache clearing not available with Upstash Redis'
+
+    const filters = { city, state, country };
+    const hasFilters = Object.values(filters).some(Boolean);
+    const results = {
+      success: true,
+      pattern,
+      filters,
+      dryRun,
+      cursor: String(cursor),
+      complete: false,
+      scanned: 0,
+      matched: 0,
+      deleted: 0,
+      keys: []
     };
+
+    logger.info(`Cache clear by pattern '${pattern}' requested`, { filters, dryRun, limit });
+
+    let cutShort = false;
+
+    try {
+      do {
+        const batch = await this.redisService.scan(results.cursor, { match: pattern, count: batchSize });
+        const remaining = limit - results.matched;
+        const matchedKeys = [];
+
+        for (const key of batch.keys) {
+          if (matchedKeys.length >= remaining) {
+            cutShort = true;
+            break;
+          }
+          results.scanned++;
+
+          if (key.startsWith('geo-index:')) {
+            continue;
+          }
+          if (hasFilters && !matchesArea(await this.redisService.get(key), filters)) {
+            continue;
+          }
+          matchedKeys.push(key);
+        }
+
+        for (const key of matchedKeys) {
+          if (!dryRun) {
+            memoryCache.delete(key);
+          }
+          if (!dryRun && await this.redisService.del(key)) {
+            results.deleted++;
+            if (key.startsWith('reverse-geocode:')) {
+              await this.redisService.zrem(getGeoIndexKey(getCacheNamespace(key)), key);
+            }
+          }
+        }
+        results.matched += matchedKeys.length;
+        results.keys.push(...matchedKeys.slice(0, MAX_REPORTED_KEYS - results.keys.length));
+
+        // A batch cut short by the limit is scanned again on the next call
+        if (cutShort) {
+          break;
+        }
+        results.cursor = batch.cursor;
+      } while (results.cursor !== '0' && results.matched < limit);
+
+      results.complete = !cutShort && results.cursor === '0';
+      logger.info(`Cache clear by pattern '${pattern}' ${dryRun ? 'dry run ' : ''}finished`, {
+        matched: results.matched,
+        deleted: results.deleted,
+        complete: results.complete
+      });
+      return results;
+    } catch (error) {
+      logger.error('Cache clear by pattern error', { pattern, error: error.message });
+      return {
+        ...results,
+        success: false,
+        message: 'Cache clear by pattern failed',
+        error: error.message
+      };
+    }
   }
 
   /**
@@ -102,6 +207,7 @@ class CacheManager {
     }
 
     try {
+      memoryCache.delete(key);
       const result = await this.redisService.del(key);
       logger.info('Cache cleared', { key });
       return result;
@@ -0,0 +1,211 @@
+const redisService = require('../config/redis');
+const { logger } = require('./logger');
+
+const STATS_KEY_PREFIX = 'cache-stats';
+const CACHE_PREFIXES = ['reverse-geocode', 'geocode'];
+const COUNTERS = ['hits', 'l1Hits', 'approximateHits', 'coalesced', 'misses', 'writes'];
+const DEFAULT_RETENTION_DAYS = 400;
+const DEFAULT_SCAN_LIMIT = 100000;
+const MEMORY_SAMPLE_SIZE = 20;
+const DEFAULT_GOOGLE_COST_PER_1000 = 5.0; // USD, Geocoding API list price
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyCounters() {
+  return { hits: 0, l1Hits: 0, approximateHits: 0, coalesced: 0, misses: 0, writes: 0 };
+}
+
+/**
+ * Add hit rates to a counters object
+ * Coalesced requests count as lookups but not as hits: they missed the cache
+ * and were answered by another request's upstream call. l1Hits are the hits
+ * served from the in-process L1 cache, a subset of hits.
+ * @param {Object} counters - { hits, l1Hits, approximateHits, coalesced, misses, writes }
+ * @returns {Object} Counters with lookups, hitRate and l1HitRate (null without lookups)
+ */
+function withHitRate(counters) {
+  const served = counters.hits + counters.approximateHits;
+  const lookups = served + counters.coalesced + counters.misses;
+  return {
+    ...counters,
+    lookups,
+    hitRate: lookups > 0 ? Math.round((served / lookups) * 10000) / 10000 : null,
+    l1HitRate: lookups > 0 ? Math.round((counters.l1Hits / lookups) * 10000) / 10000 : null
+  };
+}
+
+/**
+ * Records cache hits, coalesced requests, misses and writes in daily Redis counters and turns them,
+ * together with key counts, into statistics and estimated Google API savings.
+ *
+ * Counters live in one hash per UTC day (cache-stats:YYYY-MM-DD) with fields
+ * <cachePrefix>:<firebaseConfig>:<counter>, kept for CACHE_STATS_RETENTION_DAYS.
+ */
+class CacheMetrics {
+  constructor() {
+    this.redisService = redisService;
+    // Day key whose retention this instance already set; only the current day is ever written
+    this.expiringDayKey = null;
+  }
+
+  getDayKey(date) {
+    return `${STATS_KEY_PREFIX}:${date}`;
+  }
+
+  getRetentionSeconds() {
+    return (parseInt(process.env.CACHE_STATS_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60;
+  }
+
+  /**
+   * Record cache events
+   * Never throws: statistics must not break the request being counted.
+   * @param {string} cachePrefix - 'reverse-geocode' or 'geocode'
+   * @param {string|null} firebaseConfig - Firebase config that authenticated the request, or 'warmup'
+   * @param {Object} counts - Increments by counter, e.g. { hits: 1 } or { misses: 3, writes: 2 }
+   * @returns {Promise<void>}
+   */
+  async record(cachePrefix, firebaseConfig, counts) {
+    if (!this.redisService.isAvailable()) {
+      return;
+    }
+
+    const key = this.getDayKey(new Date().toISOString().slice(0, 10));
+    const config = firebaseConfig || 'unknown';
+
+    try {
+      for (const [counter, value] of Object.entries(counts)) {
+        if (COUNTERS.includes(counter) && value > 0) {
+          await this.redisService.hincrby(key, `${cachePrefix}:${config}:${counter}`, value);
+        }
+      }
+
+      // Each instance sets the retention once per day key
+      if (this.expiringDayKey !== key) {
+        this.expiringDayKey = key;
+        await this.redisService.expire(key, this.getRetentionSeconds());
+      }
+    } catch (error) {
+      logger.error('Failed to record cache statistics:', error.message);
+    }
+  }
+
+  /**
+   * Sum the daily counters of a date range
+   * @param {string} from - First day (YYYY-MM-DD, UTC)
+   * @param {string} to - Last day (YYYY-MM-DD, UTC)
+   * @returns {Promise<Object>} { totals, byPrefix, byFirebaseConfig, daily }
+   */
+  async getCounters(from, to) {
+    const totals = emptyCounters();
+    const byPrefix = {};
+    const byFirebaseConfig = {};
+    const daily = [];
+
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+      const date = new Date(time).toISOString().slice(0, 10);
+      const fields = await this.redisService.hgetall(this.getDayKey(date));
+      const day = emptyCounters();
+
+      Object.entries(fields).forEach(([field, rawValue]) => {
+        const [cachePrefix, config, counter] = field.split(':');
+        const value = Number(rawValue) || 0;
+        if (!COUNTERS.includes(counter)) {
+          return;
+        }
+
+        byPrefix[cachePrefix] = byPrefix[cachePrefix] || emptyCounters();
+        byFirebaseConfig[config] = byFirebaseConfig[config] || emptyCounters();
+
+        day[counter] += value;
+        totals[counter] += value;
+        byPrefix[cachePrefix][counter] += value;
+        byFirebaseConfig[config][counter] += value;
+      });
+
+      daily.push({ date, ...day });
+    }
+
+    const mapValues = (object) => Object.fromEntries(
+      Object.entries(object).map(([name, counters]) => [name, withHitRate(counters)])
+    );
+
+    return {
+      totals: withHitRate(totals),
+      byPrefix: mapValues(byPrefix),
+      byFirebaseConfig: mapValues(byFirebaseConfig),
+      daily
+    };
+  }
+
+  /**
+   * Count the keys of a cache prefix with SCAN and estimate their memory from a sample
+   * @param {string} cachePrefix - Cache key prefix
+   * @returns {Promise<Object>} { count, complete, estimatedBytes, sampled }
+   */
+  async countKeys(cachePrefix) {
+    const limit = parseInt(process.env.CACHE_STATS_SCAN_LIMIT) || DEFAULT_SCAN_LIMIT;
+    const sample = [];
+    let cursor = '0';
+    let count = 0;
+
+    do {
+      const result = await this.redisService.scan(cursor, { match: `${cachePrefix}:*`, count: 1000 });
+      cursor = result.cursor;
+      count += result.keys.length;
+      sample.push(...result.keys.slice(0, MEMORY_SAMPLE_SIZE - sample.length));
+    } while (cursor !== '0' && count < limit);
+
+    let sampledBytes = 0;
+    for (const key of sample) {
+      const value = await this.redisService.get(key);
+      if (value) {
+        sampledBytes += Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+      }
+    }
+
+    return {
+      count,
+      complete: cursor === '0',
+      estimatedBytes: sample.length > 0 ? Math.round((sampledBytes / sample.length) * count) : 0,
+      sampled: sample.length
+    };
+  }
+
+  /**
+   * Build cache statistics for a date range
+   * @param {Object} range - { from, to } days (YYYY-MM-DD, UTC)
+   * @param {Object} options - { includeKeys } to skip the SCAN on large keyspaces
+   * @returns {Promise<Object>} Counters, key counts, estimated memory and estimated savings
+   */
+  async getStats({ from, to }, { includeKeys = true } = {}) {
+    const counters = await this.getCounters(from, to);
+    const stats = {
+      period: { from, to, days: counters.daily.length },
+      ...counters
+    };
+
+    if (includeKeys) {
+      const keys = {};
+      for (const cachePrefix of CACHE_PREFIXES) {
+        keys[cachePrefix] = await this.countKeys(cachePrefix);
+      }
+      stats.keys = keys;
+      stats.estimatedMemoryBytes = Object.values(keys).reduce((sum, prefix) => sum + prefix.estimatedBytes, 0);
+    }
+
+    // Every hit or coalesced request is a geocoding request that did not reach Google
+    const costPer1000 = parseFloat(process.env.GOOGLE_GEOCODING_COST_PER_1000) || DEFAULT_GOOGLE_COST_PER_1000;
+    const googleCallsAvoided = counters.totals.hits + counters.totals.approximateHits + counters.totals.coalesced;
+    stats.savings = {
+      googleCallsAvoided,
+      costPer1000,
+      currency: 'USD',
+      estimatedDollarsSaved: Math.round(googleCallsAvoided * costPer1000 / 10) / 100
+    };
+
+    return stats;
+  }
+}
+
+// Export singleton instance
+module.exports = new CacheMetrics();
@@ -0,0 +1,122 @@
+/**
+ * Versioning of cached geocoding responses
+ *
+ * Cached values are whole response bodies, so a change to the data shape
+ * (e.g. a new address component) leaves older entries behind. Each entry
+ * records cacheMetadata.schemaVersion; entries without one are version 0.
+ * Entries are upgraded on read, one version at a time, by the functions
+ * below. To change the shape: bump CACHE_SCHEMA_VERSION and add the upgrade
+ * that turns the previous version into the new one.
+ */
+
+const { DEFAULT_COORDINATE_PRECISION } = require('./coordinateUtils');
+
+const CACHE_SCHEMA_VERSION = 3;
+
+// Fields every address_components object has, in provider output order
+const ADDRESS_COMPONENT_FIELDS = [
+  'street_number',
+  'route',
+  'locality',
+  'administrative_area_level_1',
+  'administrative_area_level_2',
+  'country',
+  'country_code',
+  'postal_code',
+  'sublocality',
+  'sublocality_level_1',
+  'neighborhood'
+];
+
+/**
+ * Upgrades keyed by the version they produce
+ * Each receives the cached response body and the cache prefix and returns the new body.
+ */
+const upgrades = {
+  // Baseline: data as cached before versioning, from Google at precision 2
+  1: (response, cachePrefix) => ({
+    ...response,
+    data: {
+      ...response.data,
+      ...(cachePrefix === 'reverse-geocode' && !response.data.precision && {
+        precision: { scheme: 'decimal', decimals: DEFAULT_COORDINATE_PRECISION }
+      }),
+      provider: response.data.provider || 'google'
+    }
+  }),
+
+  // sublocality_level_1 reported separately; Google tags both types on the same component
+  2: (response) => ({
+    ...response,
+    data: {
+      ...response.data,
+      address_components: response.data.address_components && {
+        ...response.data.address_components,
+        sublocality_level_1: response.data.address_components.sublocality_level_1 ??
+          response.data.address_components.sublocality ?? null
+      }
+    }
+  }),
+
+  // The user block of whoever first requested the entry is personal data; it is built per request
+  3: ({ user, ...response }) => response
+};
+
+/**
+ * Get the schema version of a cached response
+ * @param {Object} cachedResponse - Cached response body
+ * @returns {number} Schema version (0 for entries cached before versioning)
+ */
+function getSchemaVersion(cachedResponse) {
+  return cachedResponse.cacheMetadata?.schemaVersion || 0;
+}
+
+/**
+ * Bring a cached response to the current schema version
+ * Entries written by a newer deployment are returned unchanged.
+ * @param {Object} cachedResponse - Cached response body
+ * @param {string} cachePrefix - 'reverse-geocode' or 'geocode'
+ * @returns {Object} { response, upgraded } where upgraded tells whether the response changed
+ */
+function upgradeCachedResponse(cachedResponse, cachePrefix) {
+  const version = getSchemaVersion(cachedResponse);
+  if (version >= CACHE_SCHEMA_VERSION) {
+    return { response: cachedResponse, upgraded: false };
+  }
+
+  let response = { ...cachedResponse, data: cachedResponse.data || {} };
+  for (let target = version + 1; target <= CACHE_SCHEMA_VERSION; target++) {
+    response = upgrades[target](response, cachePrefix);
+  }
+
+  // Keep address components complete and in a stable order
+  const components = response.data.address_components;
+  if (components) {
+    response.data = {
+      ...response.data,
+      address_components: Object.fromEntries([
+        ...ADDRESS_COMPONENT_FIELDS.map(field => [field, components[field] ?? null]),
+        ...Object.entries(components).filter(([field]) => !ADDRESS_COMPONENT_FIELDS.includes(field))
+      ])
+    };
+  }
+
+  return {
+    response: {
+      ...response,
+      cacheMetadata: {
+        ...cachedResponse.cacheMetadata,
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        upgradedFrom: version
+      }
+    },
+    upgraded: true
+  };
+}
+
+module.exports = {
+  CACHE_SCHEMA_VERSION,
+  ADDRESS_COMPONENT_FIELDS,
+  getSchemaVersion,
+  upgradeCachedResponse
+};
@@ -0,0 +1,170 @@
+/**
+ * Circuit breaker tracking the error rate of an upstream over a rolling window
+ *
+ * closed    - requests flow normally
+ * open      - error rate exceeded the threshold; requests are skipped until the cool-down ends
+ * half_open - cool-down ended; a single trial request decides whether to close or re-open
+ */
+
+const DEFAULT_OPTIONS = {
+  errorRateThreshold: 0.5,
+  minimumRequests: 5,
+  windowMs: 60 * 1000,
+  cooldownMs: 30 * 1000
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the protected upstream
+   * @param {Object} options - { errorRateThreshold, minimumRequests, windowMs, cooldownMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Build a breaker configured from CIRCUIT_BREAKER_* environment variables
+   * @param {string} name - Name of the protected upstream
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  static fromEnv(name) {
+    return new CircuitBreaker(name, {
+      errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE) || DEFAULT_OPTIONS.errorRateThreshold,
+      minimumRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS) || DEFAULT_OPTIONS.minimumRequests,
+      windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS) || DEFAULT_OPTIONS.windowMs,
+      cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || DEFAULT_OPTIONS.cooldownMs
+    });
+  }
+
+  /**
+   * Drop outcomes that fell out of the rolling window
+   * @param {number} now - Current timestamp in ms
+   */
+  prune(now) {
+    const cutoff = now - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Check whether a request may be sent, moving open breakers to half-open after the cool-down
+   * @returns {boolean} True if the request may proceed
+   */
+  canRequest() {
+    const now = Date.now();
+
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.options.cooldownMs) {
+        return false;
+      }
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    const now = Date.now();
+
+    if (this.state === 'half_open') {
+      this.close();
+    }
+
+    this.outcomes.push({ at: now, ok: true });
+    this.prune(now);
+  }
+
+  /**
+   * End a request without recording an outcome, e.g. one that failed for reasons
+   * unrelated to the upstream's health; a half-open trial slot is given back
+   */
+  releaseTrial() {
+    if (this.state === 'half_open') {
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * @param {Error} error - Failure to record
+   */
+  recordFailure(error) {
+    const now = Date.now();
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date(now).toISOString();
+
+    if (this.state === 'half_open') {
+      this.open(now);
+      return;
+    }
+
+    this.outcomes.push({ at: now, ok: false });
+    this.prune(now);
+
+    const { errorRate, requests } = this.getCounts();
+    if (requests >= this.options.minimumRequests && errorRate >= this.options.errorRateThreshold) {
+      this.open(now);
+    }
+  }
+
+  open(now) {
+    this.state = 'open';
+    this.openedAt = now;
+    this.trialInFlight = false;
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.outcomes = [];
+  }
+
+  getCounts() {
+    const requests = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+    return {
+      requests,
+      failures,
+      errorRate: requests > 0 ? failures / requests : 0
+    };
+  }
+
+  /**
+   * Describe the breaker for status endpoints
+   * @returns {Object} Breaker state
+   */
+  getState() {
+    this.prune(Date.now());
+    const { requests, failures, errorRate } = this.getCounts();
+
+    return {
+      name: this.name,
+      state: this.state,
+      requests,
+      failures,
+      errorRate: Math.round(errorRate * 1000) / 1000,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
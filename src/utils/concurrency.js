@@ -0,0 +1,30 @@
+/**
+ * Utility functions for running async work with bounded concurrency
+ */
+
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls (default: 5)
+ * @param {Function} iteratee - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the input items
+ */
+async function mapWithConcurrency(items, concurrency = 5, iteratee) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iteratee(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
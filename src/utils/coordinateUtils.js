@@ -2,6 +2,25 @@
  * Utility functions for coordinate processing
  */
 
+const { encodeGeohash, decodeGeohash } = require('./geoUtils');
+
+const DEFAULT_COORDINATE_PRECISION = 2;
+const DEFAULT_MIN_COORDINATE_PRECISION = 1;
+const DEFAULT_MAX_COORDINATE_PRECISION = 5;
+const MAX_SUPPORTED_PRECISION = 6;
+const COORDINATE_CELL_SCHEMES = ['decimal', 'geohash'];
+
+// Geohash length whose cell is closest in size to rounding at N decimal places
+// (2 decimals ~ 1.1 km, geohash 6 ~ 1.2 km x 0.6 km)
+const GEOHASH_LENGTH_BY_PRECISION = {
+  1: 5,
+  2: 6,
+  3: 7,
+  4: 8,
+  5: 10,
+  6: 11
+};
+
 /**
  * Round coordinates to specified decimal places
  * @param {number} coordinate - The coordinate value to round
@@ -48,8 +67,63 @@ function areCoordinatesEqual(lat1, lng1, lat2, lng2, decimalPlaces = 2) {
          rounded1.longitude === rounded2.longitude;
 }
 
+/**
+ * Read the coordinate precision settings for this deployment
+ * @returns {Object} { defaultPrecision, minPrecision, maxPrecision, scheme }
+ */
+function getPrecisionConfig() {
+  const maxPrecision = Math.min(
+    parseInt(process.env.COORDINATE_PRECISION_MAX) || DEFAULT_MAX_COORDINATE_PRECISION,
+    MAX_SUPPORTED_PRECISION
+  );
+  const minPrecision = Math.min(
+    parseInt(process.env.COORDINATE_PRECISION_MIN) || DEFAULT_MIN_COORDINATE_PRECISION,
+    maxPrecision
+  );
+  const defaultPrecision = parseInt(process.env.COORDINATE_PRECISION) || DEFAULT_COORDINATE_PRECISION;
+  const scheme = process.env.COORDINATE_CELL_SCHEME || 'decimal';
+
+  return {
+    defaultPrecision: Math.min(Math.max(defaultPrecision, minPrecision), maxPrecision),
+    minPrecision,
+    maxPrecision,
+    scheme: COORDINATE_CELL_SCHEMES.includes(scheme) ? scheme : 'decimal'
+  };
+}
+
+/**
+ * Snap coordinates to the cell used for provider calls and cache keys
+ * 'decimal' rounds to the given decimal places; 'geohash' moves the point to
+ * the centre of the geohash cell of comparable size.
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} precision - Decimal places (default: 2)
+ * @param {string} scheme - 'decimal' or 'geohash' (default: 'decimal')
+ * @returns {Object} { coordinates: { latitude, longitude }, precision: { scheme, decimals, cell? } }
+ */
+function snapCoordinates(latitude, longitude, precision = DEFAULT_COORDINATE_PRECISION, scheme = 'decimal') {
+  if (scheme === 'geohash') {
+    const cell = encodeGeohash(latitude, longitude, GEOHASH_LENGTH_BY_PRECISION[precision]);
+    const centre = decodeGeohash(cell);
+
+    return {
+      // Two extra decimals keep the centre inside the cell
+      coordinates: roundCoordinates(centre.latitude, centre.longitude, precision + 2),
+      precision: { scheme, decimals: precision, cell }
+    };
+  }
+
+  return {
+    coordinates: roundCoordinates(latitude, longitude, precision),
+    precision: { scheme: 'decimal', decimals: precision }
+  };
+}
+
 module.exports = {
   roundCoordinate,
   roundCoordinates,
-  areCoordinatesEqual
+  areCoordinatesEqual,
+  getPrecisionConfig,
+  snapCoordinates,
+  DEFAULT_COORDINATE_PRECISION
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Utility functions for GeoJSON geometry lookups and geohash cells
+ */
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+// Earth radius used by Redis GEO commands, so distances match GEOSEARCH
+const EARTH_RADIUS_METERS = 6372797.560856;
+
+/**
+ * Check whether a point lies inside a linear ring (ray casting)
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array<Array<number>>} ring - Ring of [lng, lat] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+function isPointInRing(lng, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a polygon, honouring holes
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array} rings - Polygon coordinates: outer ring followed by holes
+ * @returns {boolean} True if the point is inside the polygon
+ */
+function isPointInPolygon(lng, lat, rings) {
+  const [outer, ...holes] = rings;
+  if (!outer || !isPointInRing(lng, lat, outer)) {
+    return false;
+  }
+  return !holes.some(hole => isPointInRing(lng, lat, hole));
+}
+
+/**
+ * Check whether a point lies inside a GeoJSON Polygon or MultiPolygon geometry
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+function isPointInGeometry(lng, lat, geometry) {
+  if (!geometry) {
+    return false;
+  }
+
+  if (geometry.type === 'Polygon') {
+    return isPointInPolygon(lng, lat, geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => isPointInPolygon(lng, lat, polygon));
+  }
+
+  return false;
+}
+
+/**
+ * Compute the bounding box of a GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} { minLng, minLat, maxLng, maxLat } or null for unsupported geometries
+ */
+function getBoundingBox(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return null;
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const box = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+
+  polygons.forEach(polygon => {
+    // Holes are inside the outer ring, so only the outer ring matters
+    polygon[0].forEach(([lng, lat]) => {
+      box.minLng = Math.min(box.minLng, lng);
+      box.minLat = Math.min(box.minLat, lat);
+      box.maxLng = Math.max(box.maxLng, lng);
+      box.maxLat = Math.max(box.maxLat, lat);
+    });
+  });
+
+  return box;
+}
+
+/**
+ * Check whether a point lies inside a bounding box
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Object} box - { minLng, minLat, maxLng, maxLat }
+ * @returns {boolean} True if the point is inside the box
+ */
+function isPointInBoundingBox(lng, lat, box) {
+  return lng >= box.minLng && lng <= box.maxLng && lat >= box.minLat && lat <= box.maxLat;
+}
+
+/**
+ * Encode a point as a geohash
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} length - Geohash length (1-12)
+ * @returns {string} Geohash of the cell containing the point
+ */
+function encodeGeohash(latitude, longitude, length) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true; // Bits alternate between longitude and latitude, longitude first
+
+  while (hash.length < length) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Decode a geohash into its cell centre and bounds
+ * @param {string} hash - Geohash
+ * @returns {Object} { latitude, longitude, bounds: { minLat, minLng, maxLat, maxLng } }
+ */
+function decodeGeohash(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const index = GEOHASH_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (latRange[0] + latRange[1]) / 2,
+    longitude: (lngRange[0] + lngRange[1]) / 2,
+    bounds: { minLat: latRange[0], minLng: lngRange[0], maxLat: latRange[1], maxLng: lngRange[1] }
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1 - First point latitude
+ * @param {number} lng1 - First point longitude
+ * @param {number} lat2 - Second point latitude
+ * @param {number} lng2 - Second point longitude
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  isPointInRing,
+  isPointInPolygon,
+  isPointInGeometry,
+  getBoundingBox,
+  isPointInBoundingBox,
+  encodeGeohash,
+  decodeGeohash,
+  distanceMeters
+};
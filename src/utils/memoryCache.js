@@ -0,0 +1,127 @@
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * In-process LRU cache in front of Redis (L1)
+ *
+ * Holds cached geocoding response bodies for hot keys, so repeated lookups
+ * skip the network round trip to Redis. Entries expire after L1_CACHE_TTL_SECONDS
+ * and the least recently used entry is evicted beyond L1_CACHE_MAX_ENTRIES
+ * (0 disables the tier). The cache is per instance: a Redis entry deleted or
+ * replaced elsewhere may still be served from here until its L1 TTL runs out.
+ * When Redis is unavailable it is the only cache left (degraded mode).
+ *
+ * Values are shared objects and must not be mutated by callers.
+ */
+class MemoryCache {
+  constructor() {
+    // Map iteration order is insertion order: the first key is the least recently used
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  getMaxEntries() {
+    const configured = parseInt(process.env.L1_CACHE_MAX_ENTRIES);
+    return isNaN(configured) ? DEFAULT_MAX_ENTRIES : Math.max(0, configured);
+  }
+
+  getTtlSeconds() {
+    return parseInt(process.env.L1_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  }
+
+  isEnabled() {
+    return this.getMaxEntries() > 0;
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cached value or null on miss
+   */
+  get(key) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries beyond the size limit
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to cache
+   * @param {number} ttl - Time to live in seconds, capped at L1_CACHE_TTL_SECONDS (0 for the L1 TTL)
+   */
+  set(key, value, ttl = 0) {
+    const maxEntries = this.getMaxEntries();
+    if (maxEntries === 0) {
+      return;
+    }
+
+    const l1Ttl = this.getTtlSeconds();
+    const seconds = ttl > 0 ? Math.min(ttl, l1Ttl) : l1Ttl;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + seconds * 1000 });
+
+    while (this.entries.size > maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether the key was cached
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every key
+   */
+  clear() {
+    const size = this.entries.size;
+    this.entries.clear();
+    logger.info('L1 cache cleared', { entries: size });
+  }
+
+  /**
+   * Get counters of this instance since it started
+   * @returns {Object} { enabled, entries, maxEntries, ttlSeconds, hits, misses, evictions, hitRate }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.isEnabled(),
+      entries: this.entries.size,
+      maxEntries: this.getMaxEntries(),
+      ttlSeconds: this.getTtlSeconds(),
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 10000) / 10000 : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MemoryCache();
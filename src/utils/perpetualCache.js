@@ -1,18 +1,120 @@
 const redisService = require('../config/redis');
 const { logger } = require('./logger');
-const { generateCacheKey } = require('../middleware/cache');
+const {
+  generateReverseCacheKey,
+  generateForwardCacheKey,
+  getLegacyForwardResponse,
+  isCacheableResponse,
+  isCacheEntryKey
+} = require('../middleware/cache');
+const { parseCoordinates, parseAddress, parseStatsRange } = require('../middleware/validation');
+const { resolveReverseGeocode, resolveForwardGeocode } = require('../services/geocodingCache');
+const { mapWithConcurrency } = require('./concurrency');
+const cacheMetrics = require('./cacheMetrics');
+const memoryCache = require('./memoryCache');
+const { CACHE_SCHEMA_VERSION, upgradeCachedResponse } = require('./cacheSchema');
+
+const DEFAULT_WARMUP_CONCURRENCY = 5;
+const DEFAULT_MIGRATION_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 50;
 
 class PerpetualCacheManager {
   constructor() {
     this.redisService = redisService;
   }
 
+  /**
+   * Walk the keys matching a pattern with SCAN and process them one batch at a time
+   * Stops after maxBatches, or after the batch in progress when signal is aborted,
+   * and returns the cursor to resume from ('0' when complete).
+   * @param {string} label - Operation name for logs and messages (e.g. 'Migration')
+   * @param {string} pattern - Cache key pattern
+   * @param {Object} options - { dryRun, batchSize, cursor, maxBatches, signal }
+   * @param {Function} processKey - async (key, dryRun) => outcome name; throws to count an error
+   * @returns {Promise<Object>} Results with outcome counts, cursor and errors
+   */
+  async processKeys(label, pattern, {
+    dryRun = false,
+    batchSize = DEFAULT_MIGRATION_BATCH_SIZE,
+    cursor = '0',
+    maxBatches = Infinity,
+    signal = null
+  } = {}, processKey) {
+    const results = {
+      success: true,
+      message: '',
+      pattern,
+      dryRun,
+      startCursor: String(cursor),
+      cursor: String(cursor),
+      complete: false,
+      batches: 0,
+      totalProcessed: 0,
+      outcomes: {},
+      errorCount: 0,
+      errors: []
+    };
+
+    logger.info(`Starting ${label.toLowerCase()} of cache entries: ${pattern}`, { dryRun, batchSize, cursor: results.cursor });
+
+    try {
+      do {
+        const batch = await this.redisService.scan(results.cursor, { match: pattern, count: batchSize });
+
+        for (const key of batch.keys) {
+          results.totalProcessed++;
+          try {
+            const outcome = await processKey(key, dryRun);
+            results.outcomes[outcome] = (results.outcomes[outcome] || 0) + 1;
+          } catch (error) {
+            results.errorCount++;
+            if (results.errors.length < MAX_REPORTED_ERRORS) {
+              results.errors.push(`${key}: ${error.message}`);
+            }
+          }
+        }
+
+        // Only advance once the batch is done, so a resumed run never skips keys
+        results.cursor = batch.cursor;
+        results.batches++;
+        logger.info(`${label} batch completed`, {
+          batch: results.batches,
+          cursor: results.cursor,
+          processed: results.totalProcessed,
+          outcomes: results.outcomes
+        });
+      } while (results.cursor !== '0' && results.batches < maxBatches && !signal?.aborted);
+
+      results.complete = results.cursor === '0';
+      results.message = results.complete
+        ? `${label} ${dryRun ? 'dry run ' : ''}completed successfully`
+        : `${label} ${dryRun ? 'dry run ' : ''}paused after ${results.batches} batches; resume from cursor ${results.cursor}`;
+
+      logger.info(`${label} results:`, { ...results, errors: results.errors.length });
+      return results;
+    } catch (error) {
+      logger.error(`${label} error:`, error.message);
+      return {
+        ...results,
+        success: false,
+        message: `${label} failed; resume from cursor ${results.cursor}`,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Migrate existing geocoding cache entries to perpetual (no expiration)
+   * Keys with a TTL are persisted and cacheMetadata.perpetual is set on every stored value.
    * @param {string} pattern - Cache key pattern to migrate (e.g., 'geocode:*', 'reverse-geocode:*')
-   * @returns {Promise<Object>} Migration results
+   * @param {Object} options - { dryRun, batchSize, cursor, maxBatches }
+   * @param {boolean} options.dryRun - Only report what would be migrated, without writing
+   * @param {number} options.batchSize - SCAN COUNT hint per batch (default: 500)
+   * @param {string} options.cursor - Cursor returned by a previous, unfinished run (default: '0', start over)
+   * @param {number} options.maxBatches - Stop after this many batches (default: until the scan completes)
+   * @returns {Promise<Object>} Migration results; successCount counts entries migrated, or that would be in a dry run
    */
-  async migrateToPerpetual(pattern = '*geocode*') {
+  async migrateToPerpetual(pattern = '*geocode:*', options = {}) {
     if (!this.redisService.isAvailable()) {
       return {
         success: false,
@@ -20,78 +122,172 @@ class PerpetualCacheManager {
       };
     }
 
-    try {
-      // Note: This is a simplified version. In a production environment with many keys,
-      // you'd want to implement this with SCAN for better performance
-      logger.info(`Starting migration of cache entries to perpetual: ${pattern}`);
-      
-      const results = {
-        success: true,
-        message: 'Migration completed successfully',
-        totalProcessed: 0,
-        successCount: 0,
-        errorCount: 0,
-        errors: []
+    const { outcomes, ...results } = await this.processKeys('Migration', pattern, options, (key, dryRun) => this.migrateKey(key, dryRun));
+    return {
+      ...results,
+      successCount: outcomes.migrated || 0,
+      alreadyPerpetual: outcomes.already_perpetual || 0,
+      skippedCount: outcomes.skipped || 0
+    };
+  }
+
+  /**
+   * Make a single cache entry perpetual
+   * @param {string} key - Cache key
+   * @param {boolean} dryRun - Only report what would change
+   * @returns {Promise<string>} 'migrated', 'already_perpetual' or 'skipped' (gone or not a cached response)
+   * @throws {Error} When Redis rejects the update
+   */
+  async migrateKey(key, dryRun) {
+    // Locks and indexes can match the pattern too; they keep their own TTL
+    if (!isCacheEntryKey(key)) {
+      return 'skipped';
+    }
+
+    const ttl = await this.redisService.ttl(key);
+    const value = ttl === -2 ? null : await this.redisService.get(key);
+
+    // Expired meanwhile, or not a cached response
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'skipped';
+    }
+
+    const hasTtl = ttl > 0;
+    const needsRewrite = value.cacheMetadata?.perpetual !== true;
+    if (!hasTtl && !needsRewrite) {
+      return 'already_perpetual';
+    }
+    if (dryRun) {
+      return 'migrated';
+    }
+
+    if (hasTtl && !await this.redisService.persist(key)) {
+      throw new Error('PERSIST failed');
+    }
+
+    if (needsRewrite) {
+      const migrated = {
+        ...value,
+        cacheMetadata: {
+          ...value.cacheMetadata,
+          perpetual: true,
+          migratedAt: new Date().toISOString()
+        }
       };
+      // A SET without TTL also keeps the key persistent
+      if (!await this.redisService.set(key, migrated, 0)) {
+        throw new Error('SET failed');
+      }
+    }
 
-      logger.info('Migration results:', results);
-      return results;
-    } catch (error) {
-      logger.error('Migration error:', error.message);
+    return 'migrated';
+  }
+
+  /**
+   * Upgrade stored geocoding entries to the current cache schema version in bulk
+   * Same upgrade as on read (see cacheSchema), without waiting for each entry to be requested.
+   * @param {string} pattern - Cache key pattern (default: every geocoding entry)
+   * @param {Object} options - { dryRun, batchSize, cursor, maxBatches } (see migrateToPerpetual)
+   * @returns {Promise<Object>} Upgrade results; successCount counts entries upgraded, or that would be in a dry run
+   */
+  async upgradeSchema(pattern = '*geocode:*', options = {}) {
+    if (!this.redisService.isAvailable()) {
       return {
         success: false,
-        message: 'Migration failed',
-        error: error.message
+        message: 'Redis service is not available'
       };
     }
+
+    const { outcomes, ...results } = await this.processKeys('Schema upgrade', pattern, options, (key, dryRun) => this.upgradeKey(key, dryRun));
+    return {
+      ...results,
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      successCount: outcomes.upgraded || 0,
+      alreadyCurrent: outcomes.current || 0,
+      skippedCount: outcomes.skipped || 0
+    };
+  }
+
+  /**
+   * Upgrade a single cache entry to the current schema version, keeping its TTL
+   * @param {string} key - Cache key
+   * @param {boolean} dryRun - Only report what would change
+   * @returns {Promise<string>} 'upgraded', 'current' or 'skipped' (gone or not a cached response)
+   * @throws {Error} When Redis rejects the update
+   */
+  async upgradeKey(key, dryRun) {
+    if (!isCacheEntryKey(key)) {
+      return 'skipped';
+    }
+
+    const ttl = await this.redisService.ttl(key);
+    const value = ttl === -2 ? null : await this.redisService.get(key);
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'skipped';
+    }
+
+    const cachePrefix = key.startsWith('reverse-geocode:') ? 'reverse-geocode' : 'geocode';
+    const { response, upgraded } = upgradeCachedResponse(value, cachePrefix);
+    if (!upgraded) {
+      return 'current';
+    }
+    if (dryRun) {
+      return 'upgraded';
+    }
+
+    if (!await this.redisService.set(key, response, ttl > 0 ? ttl : 0)) {
+      throw new Error('SET failed');
+    }
+    return 'upgraded';
   }
 
   /**
    * Get statistics about perpetual cache usage
+   * @param {Object} range - { from, to } days (YYYY-MM-DD, UTC), default last 30 days
+   * @param {Object} options - { includeKeys } to skip counting keys with SCAN
    * @returns {Promise<Object>} Cache statistics
    */
-  async getStats() {
+  async getStats(range = parseStatsRange(), { includeKeys = true } = {}) {
+    // The L1 cache keeps serving without Redis, so its counters are always reported
     if (!this.redisService.isAvailable()) {
       return {
         available: false,
-        message: 'Redis service is not available'
+        message: 'Redis service is not available',
+        l1: memoryCache.getStats()
       };
     }
 
     try {
-      const stats = {
+      return {
         available: true,
         connected: await this.redisService.ping(),
-        perpetualStrategy: 'Active',
-        benefits: [
-          'Zero cache misses for previously geocoded locations',
-          'Reduced Google Maps API costs',
-          'Improved response times',
-          'Better user experience'
-        ],
-        recommendations: [
-          'Monitor Redis memory usage',
-          'Implement cache warming for common locations',
-          'Consider data cleanup for outdated entries if needed'
-        ]
+        ...await cacheMetrics.getStats(range, { includeKeys }),
+        l1: memoryCache.getStats()
       };
-
-      return stats;
     } catch (error) {
       logger.error('Stats error:', error.message);
       return {
         available: false,
-        error: error.message
+        error: error.message,
+        l1: memoryCache.getStats()
       };
     }
   }
 
   /**
    * Pre-warm cache with commonly requested geocoding data
-   * @param {Array} locations - Array of {lat, lng} or {address} objects
-   * @returns {Promise<Object>} Warmup results
+   * Missing entries are geocoded through Google Maps and stored exactly like the
+   * geocoding routes store them, so later requests are served from cache.
+   * @param {Array} locations - Array of {lat, lng}, {latitude, longitude} or {address} objects
+   * @param {Object} options - { dryRun, concurrency, budget, tenant }
+   * @param {boolean} options.dryRun - Only report what would be geocoded, without calling Google
+   * @param {number} options.concurrency - Maximum concurrent Google Maps calls (default: 5)
+   * @param {number} options.budget - Maximum Google Maps calls for this warmup (default: all misses)
+   * @param {Object|null} options.tenant - Tenant whose cache namespace and Google key are used (default: shared cache)
+   * @returns {Promise<Object>} Warmup results with filled, skipped and failed locations
    */
-  async warmupCache(locations = []) {
+  async warmupCache(locations = [], { dryRun = false, concurrency = DEFAULT_WARMUP_CONCURRENCY, budget = Infinity, tenant = null } = {}) {
     if (!this.redisService.isAvailable() || locations.length === 0) {
       return { 
         success: false, 
@@ -101,43 +297,102 @@ class PerpetualCacheManager {
 
     const results = {
       success: true,
+      dryRun,
       totalLocations: locations.length,
       alreadyCached: 0,
       needsGeocoding: 0,
+      apiCallsUsed: 0,
+      filled: [],
+      skipped: [],
+      failed: [],
       errors: []
     };
+    const seenKeys = new Set();
+    const namespace = tenant?.cachePrefix || null;
 
     try {
-      for (const location of locations) {
-        let cacheKey;
-        
-        if (location.lat && location.lng) {
-          // Reverse geocoding cache key
-          cacheKey = generateCacheKey('reverse-geocode', {
-            latitude: location.lat,
-            longitude: location.lng
-          });
-        } else if (location.address) {
-          // Forward geocoding cache key
-          cacheKey = generateCacheKey('geocode', {
-            address: location.address
-          });
-        } else {
+      await mapWithConcurrency(locations, concurrency, async (location, index) => {
+        const target = this.parseWarmupLocation(location);
+
+        if (target.error) {
+          results.failed.push({ index, location, reason: target.error });
           results.errors.push(`Invalid location format: ${JSON.stringify(location)}`);
-          continue;
+          return;
         }
 
-        const cached = await this.redisService.get(cacheKey);
+        const cacheKey = target.cachePrefix === 'reverse-geocode'
+          ? generateReverseCacheKey(target.coordinates, target.precision, null, namespace)
+          : generateForwardCacheKey(target.address, null, namespace);
+        const entry = { index, location, cacheKey };
+
+        if (seenKeys.has(cacheKey)) {
+          results.skipped.push({ ...entry, reason: 'duplicate' });
+          return;
+        }
+        seenKeys.add(cacheKey);
+
+        const cached = await this.redisService.get(cacheKey) ||
+          (target.cachePrefix === 'geocode' && await getLegacyForwardResponse(target.address, cacheKey));
         if (cached) {
           results.alreadyCached++;
+          results.skipped.push({ ...entry, reason: 'already_cached' });
           logger.debug(`Location already cached: ${cacheKey}`);
-        } else {
-          results.needsGeocoding++;
-          logger.debug(`Location needs geocoding: ${cacheKey}`);
+          return;
+        }
+
+        results.needsGeocoding++;
+        logger.debug(`Location needs geocoding: ${cacheKey}`);
+
+        if (dryRun) {
+          results.skipped.push({ ...entry, reason: 'dry_run' });
+          return;
         }
+
+        if (results.apiCallsUsed >= budget) {
+          results.skipped.push({ ...entry, reason: 'budget_exhausted' });
+          return;
+        }
+        results.apiCallsUsed++;
+
+        try {
+          const { result } = target.cachePrefix === 'reverse-geocode'
+            ? await resolveReverseGeocode(target.coordinates, { cacheKey, precision: target.precision, tenant })
+            : await resolveForwardGeocode(target.address, { cacheKey, tenant });
+
+          if (result.success && !isCacheableResponse(result)) {
+            // Only the offline provider answered and its results are not stored
+            results.failed.push({ ...entry, reason: 'offline_only', message: 'Online geocoding providers unavailable' });
+          } else if (result.success) {
+            results.filled.push({ ...entry, formattedAddress: result.data.formatted_address });
+          } else {
+            results.failed.push({ ...entry, reason: 'not_found', message: result.message });
+          }
+        } catch (error) {
+          results.failed.push({ ...entry, reason: 'geocoding_error', message: error.message });
+          results.errors.push(`Failed to geocode ${JSON.stringify(location)}: ${error.message}`);
+        }
+      });
+
+      for (const cachePrefix of ['reverse-geocode', 'geocode']) {
+        const writes = results.filled.filter(entry => entry.cacheKey.startsWith(`${cachePrefix}:`)).length;
+        await cacheMetrics.record(cachePrefix, 'warmup', { writes });
       }
 
-      logger.info('Cache warmup analysis completed:', results);
+      const byIndex = (a, b) => a.index - b.index;
+      results.filled.sort(byIndex);
+      results.skipped.sort(byIndex);
+      results.failed.sort(byIndex);
+
+      logger.info('Cache warmup completed', {
+        dryRun,
+        tenant: tenant?.name || null,
+        totalLocations: results.totalLocations,
+        alreadyCached: results.alreadyCached,
+        filled: results.filled.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length,
+        apiCallsUsed: results.apiCallsUsed
+      });
       return results;
     } catch (error) {
       logger.error('Cache warmup error:', error.message);
@@ -148,6 +403,33 @@ class PerpetualCacheManager {
     }
   }
 
+  /**
+   * Turn a warmup location into the cache prefix and lookup the geocoding routes would use
+   * @param {Object} location - {lat, lng}, {latitude, longitude} (both with optional precision) or {address}
+   * @returns {Object} { cachePrefix, address } or { cachePrefix, coordinates, precision } or { error }
+   */
+  parseWarmupLocation(location) {
+    if (location && typeof location === 'object') {
+      if (location.address !== undefined) {
+        const parsed = parseAddress(location.address);
+        return parsed.error
+          ? { error: parsed.error.code }
+          : { cachePrefix: 'geocode', address: parsed.address };
+      }
+
+      const latitude = location.latitude !== undefined ? location.latitude : location.lat;
+      const longitude = location.longitude !== undefined ? location.longitude : location.lng;
+      if (latitude !== undefined || longitude !== undefined) {
+        const parsed = parseCoordinates({ latitude, longitude, precision: location.precision });
+        return parsed.error
+          ? { error: parsed.error.code }
+          : { cachePrefix: 'reverse-geocode', coordinates: parsed.coordinates, precision: parsed.precision };
+      }
+    }
+
+    return { error: 'INVALID_LOCATION_FORMAT' };
+  }
+
   /**
    * Check cache health and provide recommendations
    * @returns {Promise<Object>} Health check results
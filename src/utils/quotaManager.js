@@ -0,0 +1,127 @@
+const redisService = require('../config/redis');
+const { logger } = require('./logger');
+const { getTenant } = require('../config/tenants');
+
+const DEFAULT_WINDOW_SECONDS = 86400;
+// Per window; 0 disables a limit, so quotas are off until configured
+const DEFAULT_LIMITS = {
+  user: { hits: 0, misses: 0 },
+  tenant: { hits: 0, misses: 0 }
+};
+const QUOTA_KINDS = ['hits', 'misses'];
+
+/**
+ * Quotas on geocoding calls per user and per tenant (Firebase config)
+ *
+ * Cache hits and calls that reach the provider have separate budgets, since
+ * only the latter cost money. Counters are Redis hashes per scope and fixed
+ * window (quota:<scope>:<id>:<window start>), so every instance enforces the
+ * same budget. When Redis is unavailable, quotas are not enforced.
+ */
+class QuotaManager {
+  constructor() {
+    this.redisService = redisService;
+  }
+
+  getWindowSeconds() {
+    return parseInt(process.env.QUOTA_WINDOW_SECONDS) || DEFAULT_WINDOW_SECONDS;
+  }
+
+  /**
+   * Get the configured limit: the tenant's quotas (e.g. userMisses), else QUOTA_USER_MISSES and the like
+   * @param {string} scope - 'user' or 'tenant'
+   * @param {string} kind - 'hits' or 'misses'
+   * @param {Object} user - req.user, whose authenticatedWith names the tenant
+   * @returns {number} Calls allowed per window (0 when unlimited)
+   */
+  getLimit(scope, kind, user = {}) {
+    const tenantLimit = getTenant(user.authenticatedWith)?.quotas[`${scope}${kind[0].toUpperCase()}${kind.slice(1)}`];
+    if (tenantLimit !== undefined) {
+      return tenantLimit;
+    }
+
+    const configured = parseInt(process.env[`QUOTA_${scope.toUpperCase()}_${kind.toUpperCase()}`]);
+    return isNaN(configured) ? DEFAULT_LIMITS[scope][kind] : Math.max(0, configured);
+  }
+
+  /**
+   * @param {Object} user - req.user
+   * @returns {Array<{scope: string, id: string}>} Counters the user's calls are charged to
+   */
+  getScopes(user) {
+    return [
+      { scope: 'user', id: user.uid },
+      { scope: 'tenant', id: user.authenticatedWith }
+    ].filter(({ id }) => id);
+  }
+
+  /**
+   * Charge calls to the user's and tenant's budgets
+   * Calls over a limit are rejected and not charged. A negative count gives calls back.
+   * @param {Object} user - req.user
+   * @param {string} kind - 'hits' (served from cache) or 'misses' (sent to the provider)
+   * @param {number} count - Number of calls (default: 1)
+   * @param {Object} options - { enforce } where enforce: false charges without rejecting
+   * @returns {Promise<Object>} { allowed, kind, limit, remaining, resetInSeconds, exceededScope }
+   *   with limit and remaining for the tightest budget (null when no limit applies)
+   */
+  async consume(user, kind, count = 1, { enforce = true } = {}) {
+    if (!QUOTA_KINDS.includes(kind)) {
+      throw new Error(`Unknown quota kind: ${kind}`);
+    }
+
+    const windowSeconds = this.getWindowSeconds();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const windowStart = nowSeconds - (nowSeconds % windowSeconds);
+    const state = {
+      allowed: true,
+      kind,
+      limit: null,
+      remaining: null,
+      resetInSeconds: windowStart + windowSeconds - nowSeconds,
+      exceededScope: null
+    };
+    const charged = [];
+
+    for (const { scope, id } of this.getScopes(user)) {
+      const limit = this.getLimit(scope, kind, user);
+      if (limit === 0) {
+        continue;
+      }
+
+      const key = `quota:${scope}:${id}:${windowStart}`;
+      const used = await this.redisService.hincrby(key, kind, count);
+      if (used === null) {
+        continue;
+      }
+      charged.push(key);
+
+      // The first call of the window creates the counter
+      if (count > 0 && used === count) {
+        await this.redisService.expire(key, windowSeconds);
+      }
+
+      const remaining = limit - used;
+      if (enforce && remaining < 0) {
+        Object.assign(state, { allowed: false, limit, remaining: 0, exceededScope: scope });
+        break;
+      }
+      if (state.remaining === null || remaining < state.remaining) {
+        state.limit = limit;
+        state.remaining = Math.max(0, remaining);
+      }
+    }
+
+    if (!state.allowed) {
+      logger.warn(`Quota exceeded: ${kind} for ${state.exceededScope}`, { uid: user.uid, tenant: user.authenticatedWith, limit: state.limit });
+      for (const key of charged) {
+        await this.redisService.hincrby(key, kind, -count);
+      }
+    }
+
+    return state;
+  }
+}
+
+// Export singleton instance
+module.exports = new QuotaManager();
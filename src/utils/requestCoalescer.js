@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const redisService = require('../config/redis');
+const { logger } = require('./logger');
+
+const LOCK_KEY_PREFIX = 'coalesce-lock';
+const DEFAULT_LOCK_TTL_MS = 10000;
+const DEFAULT_WAIT_MS = 10000;
+const POLL_INTERVAL_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Single-flight coalescing of concurrent cache misses
+ *
+ * Within a process, the first request for a cache key leads a flight and
+ * concurrent requests for the same key wait for its outcome instead of calling
+ * the provider. Across instances, the leader holds a short Redis lock
+ * (coalesce-lock:<cacheKey>, SET NX PX); other instances poll the cache until
+ * the entry appears or the lock is released. Waiting is bounded by COALESCE_WAIT_MS, after which a
+ * request fetches on its own, so a lost leader never blocks anyone for long.
+ */
+class RequestCoalescer {
+  constructor() {
+    this.redisService = redisService;
+    this.flights = new Map();
+  }
+
+  getWaitMs() {
+    return parseInt(process.env.COALESCE_WAIT_MS) || DEFAULT_WAIT_MS;
+  }
+
+  getLockTtlMs() {
+    return parseInt(process.env.COALESCE_LOCK_TTL_MS) || DEFAULT_LOCK_TTL_MS;
+  }
+
+  /**
+   * Wait for the in-process flight of a cache key, if there is one
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise<Object|null>} Leader outcome { statusCode, body }, or null when there is
+   *   no flight, the leader gave up or the wait timed out
+   */
+  async join(cacheKey) {
+    const flight = this.flights.get(cacheKey);
+    if (!flight) {
+      return null;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.getWaitMs());
+    });
+
+    try {
+      return await Promise.race([flight.promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Lead the in-process flight of a cache key
+   * @param {string} cacheKey - Cache key
+   * @returns {Object} { finish(outcome) } to call once with { statusCode, body }, or null to release waiters
+   */
+  start(cacheKey) {
+    let resolve;
+    const flight = { promise: new Promise(done => { resolve = done; }) };
+    this.flights.set(cacheKey, flight);
+
+    let finished = false;
+    return {
+      finish: (outcome) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        if (this.flights.get(cacheKey) === flight) {
+          this.flights.delete(cacheKey);
+        }
+        resolve(outcome);
+      }
+    };
+  }
+
+  /**
+   * Take the cross-instance lock for a cache key
+   * When Redis cannot answer, the caller proceeds as if it held the lock.
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise<string|null>} Lock token, or null when another instance holds the lock
+   */
+  async acquireLock(cacheKey) {
+    const token = crypto.randomUUID();
+    const acquired = await this.redisService.setIfAbsent(`${LOCK_KEY_PREFIX}:${cacheKey}`, token, this.getLockTtlMs());
+    return acquired === false ? null : token;
+  }
+
+  /**
+   * Release a lock taken with acquireLock, unless it already expired and was taken by someone else
+   * @param {string} cacheKey - Cache key
+   * @param {string} token - Token returned by acquireLock
+   * @returns {Promise<void>}
+   */
+  async releaseLock(cacheKey, token) {
+    try {
+      await this.redisService.delIfEquals(`${LOCK_KEY_PREFIX}:${cacheKey}`, token);
+    } catch (error) {
+      logger.error('Failed to release coalescing lock:', error.message);
+    }
+  }
+
+  /**
+   * Whether another instance still holds the lock of a cache key
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise<boolean>} false once the lock is released or expired, or when Redis cannot answer
+   */
+  async isLocked(cacheKey) {
+    return await this.redisService.ttl(`${LOCK_KEY_PREFIX}:${cacheKey}`) !== -2;
+  }
+
+  /**
+   * Poll for a cache entry written by the instance holding the lock
+   * The holder releases the lock only after its cache write, so a released lock
+   * without an entry means it got no cacheable result (not found or an error)
+   * and there is nothing left to wait for.
+   * @param {string} cacheKey - Cache key
+   * @param {Function} read - async () => cached entry or null
+   * @returns {Promise<Object|null>} Cached entry, or null when the lock was released without one
+   *   or the entry did not appear within COALESCE_WAIT_MS
+   */
+  async waitForEntry(cacheKey, read) {
+    const deadline = Date.now() + this.getWaitMs();
+
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      const entry = await read();
+      if (entry) {
+        return entry;
+      }
+      if (!await this.isLocked(cacheKey)) {
+        // The entry may have been written between the read and the lock check
+        return read();
+      }
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new RequestCoalescer();
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * In-process cache of verified Firebase ID tokens
+ *
+ * Saves the signature check on requests that reuse a token seconds apart.
+ * Entries are keyed by a SHA-256 hash of the token, so raw tokens are never
+ * kept, and live for AUTH_TOKEN_CACHE_TTL_SECONDS but never past the token's
+ * own exp. Only successful verifications are cached. Like verifyIdToken
+ * without checkRevoked, a cached token is accepted until it expires even if it
+ * was revoked meanwhile; routes that must see revocations bypass the cache.
+ */
+class TokenCache {
+  constructor() {
+    // Map iteration order is insertion order: the first key is the oldest
+    this.entries = new Map();
+  }
+
+  getMaxEntries() {
+    const configured = parseInt(process.env.AUTH_TOKEN_CACHE_MAX_ENTRIES);
+    return isNaN(configured) ? DEFAULT_MAX_ENTRIES : Math.max(0, configured);
+  }
+
+  getTtlSeconds() {
+    return parseInt(process.env.AUTH_TOKEN_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  }
+
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @param {string} token - Raw ID token
+   * @returns {Object|null} Verification stored by set, or null on miss
+   */
+  get(token) {
+    const key = this.hash(token);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.verification;
+  }
+
+  /**
+   * Store a successful verification until the cache TTL or the token's exp, whichever comes first
+   * @param {string} token - Raw ID token
+   * @param {Object} verification - { decodedToken, authenticatedWith }
+   */
+  set(token, verification) {
+    const maxEntries = this.getMaxEntries();
+    const expiresAt = Math.min(Date.now() + this.getTtlSeconds() * 1000, (verification.decodedToken.exp || 0) * 1000);
+    if (maxEntries === 0 || expiresAt <= Date.now()) {
+      return;
+    }
+
+    const key = this.hash(token);
+    this.entries.delete(key);
+    this.entries.set(key, { verification, expiresAt });
+
+    while (this.entries.size > maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a token, e.g. once it is known to be revoked
+   * @param {string} token - Raw ID token
+   * @returns {boolean} Whether the token was cached
+   */
+  delete(token) {
+    return this.entries.delete(this.hash(token));
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenCache();
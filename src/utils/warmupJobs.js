@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const redisService = require('../config/redis');
+const perpetualCache = require('./perpetualCache');
+const { getTenant } = require('../config/tenants');
+const { logger } = require('./logger');
+
+const JOB_KEY_PREFIX = 'warmup-job';
+const JOB_INDEX_KEY = 'warmup-jobs';
+const DEFAULT_CHUNK_SIZE = 50;
+const DEFAULT_JOB_TTL = 7 * 24 * 60 * 60; // 7 days
+const DEFAULT_STALE_AFTER_MS = 5 * 60 * 1000; // 5 minutes without progress
+const MAX_RECORDED_FAILURES = 100;
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+/**
+ * Runs cache warmups as background jobs whose state lives in Redis,
+ * so progress can be polled from any instance and survives restarts.
+ */
+class WarmupJobManager {
+  constructor() {
+    this.redisService = redisService;
+    this.runningJobs = new Set();
+  }
+
+  getJobKey(jobId) {
+    return `${JOB_KEY_PREFIX}:${jobId}`;
+  }
+
+  getLocationsKey(jobId) {
+    return `${JOB_KEY_PREFIX}:${jobId}:locations`;
+  }
+
+  getOutcomeKey(jobId) {
+    return `${JOB_KEY_PREFIX}:${jobId}:outcome`;
+  }
+
+  getJobTtl() {
+    return parseInt(process.env.WARMUP_JOB_TTL) || DEFAULT_JOB_TTL;
+  }
+
+  /**
+   * Create a warmup job and start it in the background
+   * @param {Array} locations - Locations accepted by PerpetualCacheManager.warmupCache
+   * @param {Object} options - { dryRun, concurrency, budget, tenant }
+   * @param {string|null} options.tenant - Name of the tenant whose cache is warmed (null for the shared cache)
+   * @param {string|null} createdBy - UID of the user that requested the warmup
+   * @returns {Promise<Object|null>} Created job or null when it could not be stored
+   */
+  async createJob(locations, { dryRun = false, concurrency, budget, tenant = null } = {}, createdBy = null) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdBy,
+      tenant,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      options: { dryRun, concurrency, budget },
+      nextIndex: 0,
+      progress: {
+        total: locations.length,
+        processed: 0,
+        cached: 0,
+        alreadyCached: 0,
+        skipped: 0,
+        failed: 0,
+        apiCallsUsed: 0
+      },
+      failures: [],
+      error: null
+    };
+
+    const stored = await this.redisService.set(this.getLocationsKey(job.id), locations, this.getJobTtl()) &&
+      await this.saveJob(job);
+
+    if (!stored) {
+      return null;
+    }
+
+    await this.redisService.sadd(JOB_INDEX_KEY, job.id);
+    logger.info('Warmup job created', { jobId: job.id, total: locations.length, dryRun, tenant, createdBy });
+
+    this.startJob(job.id);
+    return job;
+  }
+
+  /**
+   * Get a job's current state
+   * The final status and finishedAt come from the outcome key once it is set,
+   * so progress the runner saves afterwards never hides a cancellation.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    const job = await this.redisService.get(this.getJobKey(jobId));
+    if (!job) {
+      return null;
+    }
+
+    const outcome = await this.redisService.get(this.getOutcomeKey(jobId));
+    return outcome ? { ...job, ...outcome } : job;
+  }
+
+  /**
+   * Persist a job's state, refreshing its heartbeat
+   * @param {Object} job - Job to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    return this.redisService.set(this.getJobKey(job.id), job, this.getJobTtl());
+  }
+
+  /**
+   * Record a job's final status unless another one was recorded first
+   * Cancellation and the runner finishing race for a key that is only set
+   * if absent, so exactly one of them wins and neither overwrites the other.
+   * @param {string} jobId - Job ID
+   * @param {string} status - 'completed', 'cancelled' or 'failed'
+   * @returns {Promise<Object>} { status, finishedAt, settled } of the recorded outcome, where
+   *   settled says whether this call recorded it
+   * @throws {Error} When the outcome could not be stored
+   */
+  async settleJob(jobId, status) {
+    const outcome = { status, finishedAt: new Date().toISOString() };
+    const key = this.getOutcomeKey(jobId);
+    const settled = await this.redisService.setIfAbsent(key, JSON.stringify(outcome), this.getJobTtl() * 1000);
+
+    if (settled) {
+      return { ...outcome, settled: true };
+    }
+
+    const recorded = settled === false && await this.redisService.get(key);
+    if (!recorded) {
+      throw new Error(`Failed to store the outcome of warmup job ${jobId}`);
+    }
+    return { ...recorded, settled: false };
+  }
+
+  /**
+   * Finish a job run by this process, saving the status that won
+   * @param {Object} job - Job being run
+   * @param {string} status - 'completed' or 'failed'
+   * @param {string|null} error - Error recorded with a failure
+   * @returns {Promise<boolean>} Whether the job ended with this status (false when it was cancelled first)
+   */
+  async finishJob(job, status, error = null) {
+    const outcome = await this.settleJob(job.id, status);
+
+    job.status = outcome.status;
+    job.finishedAt = outcome.finishedAt;
+    if (outcome.settled) {
+      job.error = error;
+    }
+    await this.saveJob(job);
+    return outcome.settled;
+  }
+
+  /**
+   * Request cancellation of a job; the runner stops before its next chunk
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} { job, cancelled } or null if not found
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return { job, cancelled: false };
+    }
+
+    // The runner may have finished since the read above; the outcome key decides
+    const outcome = await this.settleJob(jobId, 'cancelled');
+    const current = { ...job, status: outcome.status, finishedAt: outcome.finishedAt };
+
+    if (outcome.settled) {
+      logger.info('Warmup job cancelled', { jobId });
+    }
+    return { job: current, cancelled: outcome.settled };
+  }
+
+  /**
+   * Run a job in the background unless this process is already running it
+   * @param {string} jobId - Job ID
+   */
+  startJob(jobId) {
+    if (this.runningJobs.has(jobId)) {
+      return;
+    }
+
+    this.runningJobs.add(jobId);
+    setImmediate(() => {
+      this.runJob(jobId)
+        .catch(error => logger.error('Warmup job crashed', { jobId, error: error.message }))
+        .finally(() => this.runningJobs.delete(jobId));
+    });
+  }
+
+  /**
+   * Process a job's locations chunk by chunk, saving progress after each chunk
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    const locations = await this.redisService.get(this.getLocationsKey(jobId));
+    const job = await this.getJob(jobId);
+
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return;
+    }
+
+    if (!Array.isArray(locations)) {
+      await this.finishJob(job, 'failed', 'Job locations are no longer available');
+      return;
+    }
+
+    // Resolved when the job runs, so a resumed job uses the tenant's current key
+    const tenant = job.tenant ? getTenant(job.tenant) : null;
+    if (job.tenant && !tenant) {
+      const error = `Tenant ${job.tenant} is no longer configured`;
+      await this.finishJob(job, 'failed', error);
+      logger.error('Warmup job failed', { jobId, error });
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.saveJob(job);
+
+    const chunkSize = parseInt(process.env.WARMUP_JOB_CHUNK_SIZE) || DEFAULT_CHUNK_SIZE;
+    const budget = job.options.budget === undefined || job.options.budget === null
+      ? Infinity
+      : job.options.budget;
+
+    while (job.nextIndex < locations.length) {
+      // Pick up cancellations made through any instance
+      const latest = await this.getJob(jobId);
+      if (!latest || latest.status === 'cancelled') {
+        if (latest) {
+          job.status = latest.status;
+          job.finishedAt = latest.finishedAt;
+          await this.saveJob(job);
+        }
+        logger.info('Warmup job stopped after cancellation', { jobId, processed: job.progress.processed });
+        return;
+      }
+
+      const chunk = locations.slice(job.nextIndex, job.nextIndex + chunkSize);
+      const results = await perpetualCache.warmupCache(chunk, {
+        dryRun: job.options.dryRun,
+        concurrency: job.options.concurrency,
+        budget: Math.max(0, budget - job.progress.apiCallsUsed),
+        tenant
+      });
+
+      if (!results.success) {
+        const error = results.error || results.message;
+        await this.finishJob(job, 'failed', error);
+        logger.error('Warmup job failed', { jobId, error });
+        return;
+      }
+
+      const offset = job.nextIndex;
+      job.nextIndex += chunk.length;
+      job.progress.processed += chunk.length;
+      job.progress.cached += results.filled.length;
+      job.progress.alreadyCached += results.alreadyCached;
+      job.progress.skipped += results.skipped.length;
+      job.progress.failed += results.failed.length;
+      job.progress.apiCallsUsed += results.apiCallsUsed;
+      job.failures = job.failures.concat(
+        results.failed.map(failure => ({ ...failure, index: failure.index + offset }))
+      ).slice(0, MAX_RECORDED_FAILURES);
+
+      // A cancellation that arrived meanwhile still wins: getJob reads it from the outcome key
+      await this.saveJob(job);
+    }
+
+    if (await this.finishJob(job, 'completed')) {
+      logger.info('Warmup job completed', { jobId, ...job.progress });
+    } else {
+      logger.info('Warmup job stopped after cancellation', { jobId, processed: job.progress.processed });
+    }
+  }
+
+  /**
+   * Resume jobs left unfinished by a previous process (e.g. after a restart)
+   * Only jobs without progress for WARMUP_JOB_STALE_MS are resumed, so jobs
+   * being run by another live instance are left alone.
+   * @returns {Promise<string[]>} IDs of resumed jobs
+   */
+  async resumeInterruptedJobs() {
+    await this.redisService.ensureInitialized();
+
+    if (!this.redisService.isAvailable()) {
+      return [];
+    }
+
+    const staleAfter = parseInt(process.env.WARMUP_JOB_STALE_MS) || DEFAULT_STALE_AFTER_MS;
+    const jobIds = await this.redisService.smembers(JOB_INDEX_KEY);
+    const resumed = [];
+
+    for (const jobId of jobIds) {
+      const job = await this.getJob(jobId);
+
+      if (!job) {
+        // Job expired, drop it from the index
+        await this.redisService.srem(JOB_INDEX_KEY, jobId);
+        continue;
+      }
+
+      const idleFor = Date.now() - new Date(job.updatedAt).getTime();
+      if (!FINISHED_STATUSES.includes(job.status) && idleFor >= staleAfter) {
+        logger.info('Resuming interrupted warmup job', { jobId, nextIndex: job.nextIndex, total: job.progress.total });
+        this.startJob(jobId);
+        resumed.push(jobId);
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Resume interrupted jobs now and keep checking periodically
+   */
+  startResumeMonitor() {
+    const staleAfter = parseInt(process.env.WARMUP_JOB_STALE_MS) || DEFAULT_STALE_AFTER_MS;
+    const check = () => this.resumeInterruptedJobs().catch(error => {
+      logger.error('Failed to resume warmup jobs', { error: error.message });
+    });
+
+    check();
+    setInterval(check, staleAfter).unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new WarmupJobManager();